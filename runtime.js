@@ -3,8 +3,20 @@
 // Real, Production-Ready Implementation
 // ============================================
 
+// Bump when analyzers change what they report: persisted analysis caches from other versions are discarded
+const ANALYZER_VERSION = 4;
+
+// Analysis workers load this same module (see serveAnalysisRequests). On Node the marker travels in
+// workerData, which unlike an environment variable is not inherited by the processes a worker spawns.
+const MODULE_URL = import.meta.url;
+const ANALYSIS_WORKER = (typeof WorkerGlobalScope !== 'undefined' && self.name === 'cmmands-analysis') ||
+    (Boolean(globalThis.process?.versions?.node) && await import('node:worker_threads').then(
+        ({ isMainThread, workerData }) => !isMainThread && workerData?.cmmandsAnalysis === true,
+        () => false
+    ));
+
 class CmmandsUniversal {
-    constructor() {
+    constructor(options = {}) {
         console.log(`🚀 CMMANDS ULTIMATE v2.0 - Universal Dynamic Command System`);
         console.log(`⚡ REAL IMPLEMENTATION | 🏗️ PRODUCTION READY | 🌐 POLYGLOT SUPPORT`);
         
@@ -13,6 +25,11 @@ class CmmandsUniversal {
         this.projectRoot = null;
         this.dependencyGraph = new Map();
         this.astCache = new Map();
+        this.skippedFiles = new Map();
+        this.options = options;
+        this._listeners = new Map();
+        this._interceptors = [];
+        this.languages = new Map();
         
         // Universal platform detection with fallbacks
         this.platform = this._detectUniversalPlatform();
@@ -23,6 +40,8 @@ class CmmandsUniversal {
         this.security = this._createSecurityEngine();
         this.ai = this._createRealAIEngine();
         this.parser = this._createLanguageParser();
+        this._registerBuiltinLanguages();
+        (options.languages || []).forEach(language => this.registerLanguage(language));
         this.browserMagic = this._setupRealBrowserMagic();
         this.cache = this._createCacheSystem();
         
@@ -92,19 +111,88 @@ class CmmandsUniversal {
         return 'unknown';
     }
     
+    // ================ FILESYSTEM ADAPTERS ================
+    //
+    // Every backend (built-in or passed as `new CmmandsUniversal({ fs })`) implements:
+    //
+    //   readFile(path)        -> Promise<string>   '' when the file does not exist (never throws ENOENT)
+    //   readdir(path)         -> Promise<Array<{ name, isDirectory: boolean, path }>>
+    //                            [] when the directory does not exist; `path` is dir + '/' + name
+    //   stat(path)            -> Promise<{ isDirectory(): boolean, size: number, mtime: Date, ctime: Date }>
+    //                            a zero-size, non-directory stat when the path does not exist
+    //   writeFile(path, data) -> Promise<true>      optional, creates parent directories
+    //   exists(path)          -> Promise<boolean>   optional, derived from stat/readFile when missing
+    //   mkdir(path)           -> Promise<true>      optional, recursive
+    //   watch(path, cb, opts) -> { close() }        optional, cb(eventType, relativeName)
+    //
+    // Read-only adapters (archives, remote snapshots) may omit the write methods or set readOnly: true;
+    // runFileSystemConformance(adapter) checks an adapter against this contract.
+    
     _createUniversalFileSystem() {
+        // Caller-provided adapter wins over platform detection
+        if (this.options.fs) {
+            return this._normalizeFileSystemAdapter(this.options.fs);
+        }
+        
+        // Seeded projects (fixtures, demos) live entirely in memory
+        if (this.options.files) {
+            return this._createVirtualFileSystem(this.options.files);
+        }
+        
         // Real filesystem implementations for each platform
         const platformFS = {
-            browser: this._createRealBrowserFileSystem.bind(this),
-            mobile: this._createMobileFileSystem.bind(this),
-            node: this._createRealNodeFileSystem.bind(this),
-            deno: this._createDenoFileSystem.bind(this),
-            bun: this._createBunFileSystem.bind(this)
+            browser: () => this._createRealBrowserFileSystem(),
+            mobile: () => this._createMobileFileSystem(),
+            node: () => this._createRealNodeFileSystem(),
+            deno: () => this._createDenoFileSystem(),
+            bun: () => this._createBunFileSystem()
         };
         
         return platformFS[this.platform.name]?.() || this._createVirtualFileSystem();
     }
     
+    _normalizeFileSystemAdapter(adapter) {
+        const required = ['readFile', 'readdir', 'stat'];
+        const missing = required.filter(method => typeof adapter?.[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`Invalid filesystem adapter: missing ${missing.map(m => `${m}()`).join(', ')}`);
+        }
+        
+        const readOnly = (method) => async (path) => {
+            throw new Error(`Filesystem adapter is read-only: cannot ${method} ${path}`);
+        };
+        
+        // Bind everything so adapters written as classes keep their `this`
+        const fs = {
+            readFile: adapter.readFile.bind(adapter),
+            readdir: adapter.readdir.bind(adapter),
+            stat: adapter.stat.bind(adapter),
+            readOnly: !!adapter.readOnly || typeof adapter.writeFile !== 'function',
+            writeFile: adapter.writeFile ? adapter.writeFile.bind(adapter) : readOnly('write'),
+            mkdir: adapter.mkdir ? adapter.mkdir.bind(adapter) : readOnly('mkdir'),
+            exists: adapter.exists ? adapter.exists.bind(adapter) : async (path) => {
+                // stat() answers a zero-size file for missing paths, so an empty file is
+                // only told apart from a missing one by its parent directory's listing
+                let stats;
+                try {
+                    stats = await fs.stat(path);
+                } catch {
+                    return false;
+                }
+                if (stats.isDirectory() || stats.size > 0) return true;
+                const slash = path.replace(/\\/g, '/').lastIndexOf('/');
+                const name = path.slice(slash + 1);
+                const entries = await fs.readdir(slash > 0 ? path.slice(0, slash) : '/').catch(() => []);
+                return entries.some(entry => entry.name === name && !entry.isDirectory);
+            }
+        };
+        
+        if (adapter.watch) fs.watch = adapter.watch.bind(adapter);
+        if (adapter.unlink) fs.unlink = adapter.unlink.bind(adapter);
+        
+        return fs;
+    }
+    
     _createRealBrowserFileSystem() {
         // Real browser filesystem with multiple storage backends
         const storage = {
@@ -352,598 +440,5585 @@ class CmmandsUniversal {
     }
     
     _createRealNodeFileSystem() {
-        // Enhanced Node.js filesystem with real operations
-        try {
-            const fs = require('fs');
-            const fsp = fs.promises;
-            const path = require('path');
+        // Enhanced Node.js filesystem with real operations. This file is an ES module, so there is
+        // no require(): node:fs is imported on first use and kept for the synchronous watch()
+        let loaded = null;
+        let loading = null;
+        const load = () => loading || (loading = Promise.all([import('node:fs'), import('node:path')])
+            .then(([fs, path]) => (loaded = { fs, fsp: fs.promises, path })));
+        const missingStat = () => ({
+            isDirectory: () => false,
+            size: 0,
+            mtime: new Date(),
+            ctime: new Date()
+        });
+        
+        return {
+            readFile: async (filePath) => {
+                const { fsp } = await load();
+                try {
+                    return await fsp.readFile(filePath, 'utf8');
+                } catch (e) {
+                    if (e.code === 'ENOENT') return '';
+                    throw e;
+                }
+            },
             
-            return {
-                readFile: async (filePath) => {
-                    try {
-                        return await fsp.readFile(filePath, 'utf8');
-                    } catch (e) {
-                        if (e.code === 'ENOENT') return '';
-                        throw e;
-                    }
-                },
-                
-                readdir: async (dirPath) => {
-                    try {
-                        const entries = await fsp.readdir(dirPath, { withFileTypes: true });
-                        return entries.map(e => ({
-                            name: e.name,
-                            isDirectory: e.isDirectory(),
-                            path: path.join(dirPath, e.name)
-                        }));
-                    } catch (e) {
-                        if (e.code === 'ENOENT') return [];
-                        throw e;
-                    }
-                },
-                
-                stat: async (filePath) => {
-                    try {
-                        return await fsp.stat(filePath);
-                    } catch (e) {
-                        if (e.code === 'ENOENT') {
-                            return {
-                                isDirectory: () => false,
-                                size: 0,
-                                mtime: new Date(),
-                                ctime: new Date()
-                            };
-                        }
-                        throw e;
-                    }
-                },
-                
-                writeFile: async (filePath, content) => {
-                    await fsp.mkdir(path.dirname(filePath), { recursive: true });
-                    await fsp.writeFile(filePath, content, 'utf8');
-                    return true;
-                },
-                
-                exists: async (filePath) => {
-                    try {
-                        await fsp.access(filePath);
-                        return true;
-                    } catch {
-                        return false;
-                    }
-                },
-                
-                mkdir: async (dirPath) => {
-                    await fsp.mkdir(dirPath, { recursive: true });
+            readdir: async (dirPath) => {
+                const { fsp, path } = await load();
+                try {
+                    const entries = await fsp.readdir(dirPath, { withFileTypes: true });
+                    return entries.map(e => ({
+                        name: e.name,
+                        isDirectory: e.isDirectory(),
+                        path: path.join(dirPath, e.name)
+                    }));
+                } catch (e) {
+                    if (e.code === 'ENOENT') return [];
+                    throw e;
+                }
+            },
+            
+            stat: async (filePath) => {
+                const { fsp } = await load();
+                try {
+                    return await fsp.stat(filePath);
+                } catch (e) {
+                    if (e.code === 'ENOENT') return missingStat();
+                    throw e;
+                }
+            },
+            
+            writeFile: async (filePath, content) => {
+                const { fsp, path } = await load();
+                await fsp.mkdir(path.dirname(filePath), { recursive: true });
+                await fsp.writeFile(filePath, content, 'utf8');
+                return true;
+            },
+            
+            exists: async (filePath) => {
+                const { fsp } = await load();
+                try {
+                    await fsp.access(filePath);
                     return true;
-                },
-                
-                watch: (filePath, callback) => {
-                    return fs.watch(filePath, { persistent: false }, callback);
+                } catch {
+                    return false;
                 }
-            };
-        } catch (e) {
-            return this._createVirtualFileSystem();
-        }
+            },
+            
+            mkdir: async (dirPath) => {
+                const { fsp } = await load();
+                await fsp.mkdir(dirPath, { recursive: true });
+                return true;
+            },
+            
+            watch: (filePath, callback, options = {}) => {
+                const open = (fs) => fs.watch(filePath, { persistent: false, recursive: !!options.recursive }, callback);
+                if (loaded) return open(loaded.fs);
+                
+                // Watching before any read: start once node:fs is in
+                let watcher = null;
+                let closed = false;
+                load().then(({ fs }) => {
+                    if (!closed) watcher = open(fs);
+                });
+                return { close: () => { closed = true; watcher?.close(); } };
+            }
+        };
     }
     
-    _createLanguageParser() {
-        // Real language parser with AST support where possible
+    _createDenoFileSystem() {
+        // Deno's native APIs, mapped onto the Node-style contract
+        const missingStat = () => ({
+            isDirectory: () => false,
+            size: 0,
+            mtime: new Date(),
+            ctime: new Date()
+        });
+        const isNotFound = (e) => e instanceof Deno.errors.NotFound;
+        
         return {
-            parseJavaScript(code) {
-                // Try to use real parser if available
+            readFile: async (filePath) => {
                 try {
-                    if (this.platform.name === 'node') {
-                        const parser = require('@babel/parser');
-                        return parser.parse(code, {
-                            sourceType: 'module',
-                            plugins: ['jsx', 'typescript', 'decorators-legacy']
+                    return await Deno.readTextFile(filePath);
+                } catch (e) {
+                    if (isNotFound(e)) return '';
+                    throw e;
+                }
+            },
+            
+            readdir: async (dirPath) => {
+                try {
+                    const entries = [];
+                    for await (const entry of Deno.readDir(dirPath)) {
+                        entries.push({
+                            name: entry.name,
+                            isDirectory: entry.isDirectory,
+                            path: `${dirPath.replace(/\/+$/, '')}/${entry.name}`
                         });
                     }
+                    return entries;
                 } catch (e) {
-                    // Fallback to regex-based parsing
+                    if (isNotFound(e)) return [];
+                    throw e;
                 }
-                
-                // Enhanced regex parsing
-                const ast = {
-                    type: 'Program',
-                    body: [],
-                    comments: [],
-                    tokens: []
-                };
-                
-                // Extract imports
-                const importRegex = /import\s+(?:(?:\*\s+as\s+(\w+))|(?:\{([^}]+)\})|([\w*]+))\s+from\s+['"]([^'"]+)['"]/g;
-                let match;
-                while ((match = importRegex.exec(code)) !== null) {
-                    ast.body.push({
-                        type: 'ImportDeclaration',
-                        specifiers: match[1] ? [{ type: 'ImportNamespaceSpecifier', local: { name: match[1] } }] :
-                                 match[2] ? match[2].split(',').map(s => ({ type: 'ImportSpecifier', imported: { name: s.trim() } })) :
-                                 [{ type: 'ImportDefaultSpecifier', local: { name: match[3] } }],
-                        source: { value: match[4] }
-                    });
+            },
+            
+            stat: async (filePath) => {
+                try {
+                    const info = await Deno.stat(filePath);
+                    return {
+                        isDirectory: () => info.isDirectory,
+                        size: info.size,
+                        mtime: info.mtime || new Date(),
+                        ctime: info.birthtime || info.mtime || new Date()
+                    };
+                } catch (e) {
+                    if (isNotFound(e)) return missingStat();
+                    throw e;
                 }
-                
-                // Extract functions with enhanced detection
-                const functionRegex = /(?:export\s+)?(?:async\s+)?(?:function\s*(\w+)|(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?\([^)]*\)\s*=>|(?:async\s+)?(\w+)\s*\([^)]*\)\s*\{)/g;
-                while ((match = functionRegex.exec(code)) !== null) {
-                    const name = match[1] || match[2] || match[3];
-                    ast.body.push({
-                        type: 'FunctionDeclaration',
-                        id: { name },
-                        async: match[0].includes('async'),
-                        params: []
-                    });
+            },
+            
+            writeFile: async (filePath, content) => {
+                const dir = filePath.slice(0, filePath.lastIndexOf('/'));
+                if (dir) await Deno.mkdir(dir, { recursive: true });
+                await Deno.writeTextFile(filePath, content);
+                return true;
+            },
+            
+            exists: async (filePath) => {
+                try {
+                    await Deno.stat(filePath);
+                    return true;
+                } catch {
+                    return false;
                 }
-                
-                // Extract classes
-                const classRegex = /(?:export\s+)?class\s+(\w+)(?:\s+extends\s+(\w+))?/g;
-                while ((match = classRegex.exec(code)) !== null) {
-                    ast.body.push({
-                        type: 'ClassDeclaration',
-                        id: { name: match[1] },
-                        superClass: match[2] ? { name: match[2] } : null
+            },
+            
+            mkdir: async (dirPath) => {
+                await Deno.mkdir(dirPath, { recursive: true });
+                return true;
+            },
+            
+            watch: (filePath, callback, options = {}) => {
+                const watcher = Deno.watchFs(filePath, { recursive: !!options.recursive });
+                const root = filePath.replace(/\/+$/, '') + '/';
+                (async () => {
+                    try {
+                        for await (const event of watcher) {
+                            const eventType = event.kind === 'modify' ? 'change' : 'rename';
+                            event.paths.forEach(p => callback(eventType, p.startsWith(root) ? p.slice(root.length) : p));
+                        }
+                    } catch (e) {
+                        // Watcher closed
+                    }
+                })();
+                return { close: () => watcher.close() };
+            }
+        };
+    }
+    
+    _createBunFileSystem() {
+        // Bun implements node:fs, so the Node backend works unchanged
+        return this._createRealNodeFileSystem();
+    }
+    
+    _createMobileFileSystem() {
+        // Capacitor apps get the native Filesystem plugin, everything else the browser backend
+        const Filesystem = typeof window !== 'undefined' && window.Capacitor?.Plugins?.Filesystem;
+        if (!Filesystem) return this._createRealBrowserFileSystem();
+        
+        const directory = 'DOCUMENTS';
+        const missingStat = () => ({
+            isDirectory: () => false,
+            size: 0,
+            mtime: new Date(),
+            ctime: new Date()
+        });
+        
+        return {
+            readFile: async (filePath) => {
+                try {
+                    const { data } = await Filesystem.readFile({ path: filePath, directory, encoding: 'utf8' });
+                    return data;
+                } catch (e) {
+                    return '';
+                }
+            },
+            
+            readdir: async (dirPath) => {
+                try {
+                    const { files } = await Filesystem.readdir({ path: dirPath, directory });
+                    return files.map(file => {
+                        // Older plugin versions return plain names
+                        const name = typeof file === 'string' ? file : file.name;
+                        return {
+                            name,
+                            isDirectory: typeof file === 'string' ? false : file.type === 'directory',
+                            path: `${dirPath.replace(/\/+$/, '')}/${name}`
+                        };
                     });
+                } catch (e) {
+                    return [];
                 }
-                
-                // Extract exports
-                const exportRegex = /export\s+(?:default\s+)?(?:\{([^}]+)\}|(\w+))/g;
-                while ((match = exportRegex.exec(code)) !== null) {
-                    if (match[1]) {
-                        ast.body.push({
-                            type: 'ExportNamedDeclaration',
-                            specifiers: match[1].split(',').map(s => ({
-                                type: 'ExportSpecifier',
-                                exported: { name: s.trim() }
-                            }))
-                        });
-                    } else if (match[2]) {
-                        ast.body.push({
-                            type: 'ExportDefaultDeclaration',
-                            declaration: { name: match[2] }
-                        });
-                    }
+            },
+            
+            stat: async (filePath) => {
+                try {
+                    const info = await Filesystem.stat({ path: filePath, directory });
+                    return {
+                        isDirectory: () => info.type === 'directory',
+                        size: info.size || 0,
+                        mtime: new Date(info.mtime || Date.now()),
+                        ctime: new Date(info.ctime || info.mtime || Date.now())
+                    };
+                } catch (e) {
+                    return missingStat();
                 }
-                
-                return ast;
             },
             
-            analyzeDependencies(code, language) {
-                const dependencies = new Set();
-                
-                if (language === 'javascript' || language === 'typescript') {
-                    // Extract require calls
-                    const requireRegex = /require\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
-                    let match;
-                    while ((match = requireRegex.exec(code)) !== null) {
-                        dependencies.add(match[1]);
-                    }
-                    
-                    // Extract import statements
-                    const importRegex = /from\s+['"]([^'"]+)['"]/g;
-                    while ((match = importRegex.exec(code)) !== null) {
-                        dependencies.add(match[1]);
-                    }
-                    
-                    // Extract dynamic imports
-                    const dynamicImportRegex = /import\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
-                    while ((match = dynamicImportRegex.exec(code)) !== null) {
-                        dependencies.add(match[1]);
-                    }
-                } else if (language === 'python') {
-                    const importRegex = /(?:import|from)\s+([\w.]+)/g;
-                    let match;
-                    while ((match = importRegex.exec(code)) !== null) {
-                        dependencies.add(match[1]);
-                    }
+            writeFile: async (filePath, content) => {
+                await Filesystem.writeFile({ path: filePath, data: content, directory, encoding: 'utf8', recursive: true });
+                return true;
+            },
+            
+            exists: async (filePath) => {
+                try {
+                    await Filesystem.stat({ path: filePath, directory });
+                    return true;
+                } catch (e) {
+                    return false;
                 }
-                
-                return Array.from(dependencies);
+            },
+            
+            mkdir: async (dirPath) => {
+                try {
+                    await Filesystem.mkdir({ path: dirPath, directory, recursive: true });
+                } catch (e) {
+                    // Already exists
+                }
+                return true;
             }
         };
     }
     
-    _createRealAIEngine() {
-        // Real code analysis engine with semantic understanding
-        return {
-            async analyze(content, language, filePath) {
-                const lines = content.split('\n');
-                const functions = [];
-                const classes = [];
-                const imports = [];
-                const exports = [];
-                const variables = [];
-                const metrics = {
-                    lines: lines.length,
-                    nonEmptyLines: lines.filter(l => l.trim().length > 0).length,
-                    commentLines: lines.filter(l => l.trim().startsWith('//') || l.trim().startsWith('#') || l.trim().startsWith('/*')).length,
-                    complexity: 0,
-                    maintainability: 0
-                };
-                
-                // Parse with language-specific patterns
-                switch (language) {
-                    case 'javascript':
-                    case 'typescript':
-                        const jsAST = this.parser.parseJavaScript(content);
-                        
-                        // Extract functions with context
-                        const funcPattern = /(?:export\s+)?(?:async\s+)?(?:function\s*(\w+)|(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?\(([^)]*)\)\s*=>|(?:async\s+)?(\w+)\s*\(([^)]*)\)\s*\{)/g;
-                        let funcMatch;
-                        while ((funcMatch = funcPattern.exec(content)) !== null) {
-                            const name = funcMatch[1] || funcMatch[2] || funcMatch[4];
-                            const params = (funcMatch[3] || funcMatch[5] || '').split(',').map(p => p.trim()).filter(p => p);
-                            functions.push({ name, params, line: content.substring(0, funcMatch.index).split('\n').length });
-                        }
-                        
-                        // Extract classes with inheritance
-                        const classPattern = /(?:export\s+)?class\s+(\w+)(?:\s+extends\s+(\w+))?(?:\s+implements\s+([^{]+))?\s*\{/g;
-                        let classMatch;
-                        while ((classMatch = classPattern.exec(content)) !== null) {
-                            classes.push({
-                                name: classMatch[1],
-                                extends: classMatch[2],
-                                implements: classMatch[3]?.split(',').map(i => i.trim()),
-                                line: content.substring(0, classMatch.index).split('\n').length
-                            });
-                        }
-                        break;
-                        
-                    case 'python':
-                        const pyFuncPattern = /def\s+(\w+)\s*\(([^)]*)\)\s*:/g;
-                        let pyMatch;
-                        while ((pyMatch = pyFuncPattern.exec(content)) !== null) {
-                            functions.push({
-                                name: pyMatch[1],
-                                params: pyMatch[2].split(',').map(p => p.trim()).filter(p => p),
-                                line: content.substring(0, pyMatch.index).split('\n').length
-                            });
-                        }
-                        break;
+    _createVirtualFileSystem(seed = {}) {
+        // In-memory filesystem with the same contract as the Node backend.
+        // Used for worker/unknown platforms and for fixture projects in tests.
+        const files = new Map();   // path -> { content, mtime, ctime }
+        const dirs = new Map([['/', { mtime: new Date(), ctime: new Date() }]]);
+        const watchers = new Set();
+        
+        const normalize = (p) => {
+            const parts = [];
+            String(p).replace(/\\/g, '/').split('/').forEach(part => {
+                if (!part || part === '.') return;
+                if (part === '..') parts.pop();
+                else parts.push(part);
+            });
+            return '/' + parts.join('/');
+        };
+        
+        const parentOf = (p) => p === '/' ? null : (p.slice(0, p.lastIndexOf('/')) || '/');
+        
+        const ensureDir = (dirPath) => {
+            const created = [];
+            for (let dir = dirPath; dir && !dirs.has(dir); dir = parentOf(dir)) {
+                dirs.set(dir, { mtime: new Date(), ctime: new Date() });
+                created.push(dir);
+            }
+            return created.reverse();
+        };
+        
+        const notify = (eventType, changedPath) => {
+            watchers.forEach(watcher => {
+                if (changedPath === watcher.path) {
+                    watcher.callback(eventType, changedPath.split('/').pop());
+                    return;
                 }
+                const prefix = watcher.path === '/' ? '/' : watcher.path + '/';
+                if (!changedPath.startsWith(prefix)) return;
                 
-                // Calculate complexity metrics
-                metrics.complexity = this._calculateCyclomaticComplexity(content, language);
-                metrics.maintainability = Math.max(0, 171 - 5.2 * Math.log(metrics.complexity) - 0.23 * metrics.complexity);
-                
-                // Detect code smells
-                const codeSmells = this._detectCodeSmells(content, language);
+                const relative = changedPath.slice(prefix.length);
+                if (watcher.recursive || !relative.includes('/')) {
+                    watcher.callback(eventType, relative);
+                }
+            });
+        };
+        
+        const statFor = (entry, isDirectory) => ({
+            isDirectory: () => isDirectory,
+            isFile: () => !isDirectory,
+            size: isDirectory ? 0 : entry.content.length,
+            mtime: entry.mtime,
+            ctime: entry.ctime
+        });
+        
+        const vfs = {
+            readFile: async (filePath) => {
+                const entry = files.get(normalize(filePath));
+                return entry ? entry.content : '';
+            },
+            
+            readdir: async (dirPath) => {
+                const dir = normalize(dirPath);
+                if (!dirs.has(dir)) return [];
                 
-                // Generate real suggestions
-                const suggestions = this._generateRealSuggestions(content, language, metrics, codeSmells);
+                const prefix = dir === '/' ? '/' : dir + '/';
+                const entries = [];
+                const collect = (p, isDirectory) => {
+                    if (p === dir || !p.startsWith(prefix)) return;
+                    const name = p.slice(prefix.length);
+                    if (name.includes('/')) return;
+                    entries.push({ name, isDirectory, path: p });
+                };
                 
+                dirs.forEach((_, p) => collect(p, true));
+                files.forEach((_, p) => collect(p, false));
+                return entries.sort((a, b) => a.name.localeCompare(b.name));
+            },
+            
+            stat: async (filePath) => {
+                const p = normalize(filePath);
+                if (files.has(p)) return statFor(files.get(p), false);
+                if (dirs.has(p)) return statFor(dirs.get(p), true);
                 return {
-                    functions,
-                    classes,
-                    imports,
-                    exports,
-                    variables,
-                    metrics,
-                    codeSmells,
-                    suggestions,
-                    patterns: this._detectRealPatterns(content, language),
-                    dependencies: this.parser.analyzeDependencies(content, language)
+                    isDirectory: () => false,
+                    isFile: () => false,
+                    size: 0,
+                    mtime: new Date(),
+                    ctime: new Date()
                 };
             },
             
-            _calculateCyclomaticComplexity(content, language) {
-                let complexity = 1; // Base complexity
+            writeFile: async (filePath, content) => {
+                const p = normalize(filePath);
+                if (dirs.has(p)) throw new Error(`EISDIR: illegal operation on a directory, write '${p}'`);
                 
-                // Count decision points
-                const decisionPatterns = {
-                    javascript: ['if', 'for', 'while', 'case', 'catch', '&&', '\\|\\|', '\\?'],
-                    python: ['if', 'for', 'while', 'except', 'and', 'or'],
-                    java: ['if', 'for', 'while', 'case', 'catch', '&&', '\\|\\|', '\\?']
-                };
-                
-                const patterns = decisionPatterns[language] || decisionPatterns.javascript;
-                patterns.forEach(pattern => {
-                    const regex = new RegExp(`\\b${pattern}\\b`, 'g');
-                    const matches = content.match(regex);
-                    if (matches) complexity += matches.length;
+                ensureDir(parentOf(p)).forEach(dir => notify('rename', dir));
+                const existing = files.get(p);
+                const now = new Date();
+                files.set(p, {
+                    content: String(content),
+                    mtime: now,
+                    ctime: existing ? existing.ctime : now
                 });
-                
-                return complexity;
+                notify(existing ? 'change' : 'rename', p);
+                return true;
             },
             
-            _detectCodeSmells(content, language) {
-                const smells = [];
-                
-                // Long method detection
-                const lines = content.split('\n');
-                if (lines.length > 50) {
-                    smells.push({
-                        type: 'LONG_METHOD',
-                        severity: 'medium',
-                        message: `Method/File is ${lines.length} lines long (consider refactoring)`
-                    });
+            unlink: async (filePath) => {
+                const p = normalize(filePath);
+                if (!files.delete(p)) return false;
+                notify('rename', p);
+                return true;
+            },
+            
+            exists: async (filePath) => {
+                const p = normalize(filePath);
+                return files.has(p) || dirs.has(p);
+            },
+            
+            mkdir: async (dirPath) => {
+                ensureDir(normalize(dirPath)).forEach(dir => notify('rename', dir));
+                return true;
+            },
+            
+            watch: (filePath, callback, options = {}) => {
+                const watcher = { path: normalize(filePath), callback, recursive: !!options.recursive };
+                watchers.add(watcher);
+                return { close: () => watchers.delete(watcher) };
+            },
+            
+            // Replace or merge the filesystem contents from a { path: content } object
+            importSnapshot: (snapshot = {}, { merge = false } = {}) => {
+                if (!merge) {
+                    files.clear();
+                    dirs.clear();
+                    dirs.set('/', { mtime: new Date(), ctime: new Date() });
                 }
-                
-                // Deep nesting detection
-                const nestingRegex = /\{[^{}]*\{[^{}]*\{[^{}]*\{/g;
-                if (nestingRegex.test(content)) {
-                    smells.push({
-                        type: 'DEEP_NESTING',
-                        severity: 'high',
-                        message: 'Code has deep nesting (consider simplifying logic)'
-                    });
+                Object.entries(snapshot).forEach(([filePath, content]) => {
+                    const p = normalize(filePath);
+                    const now = new Date();
+                    ensureDir(parentOf(p));
+                    files.set(p, { content: String(content), mtime: now, ctime: now });
+                });
+                return files.size;
+            },
+            
+            // Export every file as a plain { path: content } object
+            exportSnapshot: () => {
+                const snapshot = {};
+                Array.from(files.keys()).sort().forEach(p => {
+                    snapshot[p] = files.get(p).content;
+                });
+                return snapshot;
+            }
+        };
+        
+        vfs.importSnapshot(seed);
+        return vfs;
+    }
+    
+    _createUniversalPath() {
+        // POSIX path semantics everywhere, so file keys are identical on Node,
+        // in the browser, in workers and in tests. Windows input (C:\x\y) is
+        // normalized to C:/x/y and URLs (http:, file:) to their pathname.
+        const toPosix = (p) => {
+            let str = String(p);
+            const url = str.match(/^(?:https?|file):\/\/[^/]*(\/[^?#]*)?/i);
+            if (url) str = decodeURIComponent(url[1] || '/');
+            str = str.replace(/\\/g, '/');
+            return str.replace(/^\/?([a-zA-Z]):(?=\/|$)/, (_, drive) => `${drive.toUpperCase()}:`);
+        };
+        
+        const rootOf = (p) => {
+            const drive = p.match(/^[A-Z]:(?:\/|$)/);
+            if (drive) return p.slice(0, 2) + '/';
+            return p.startsWith('/') ? '/' : '';
+        };
+        
+        const cwd = () => {
+            if (typeof process !== 'undefined' && typeof process.cwd === 'function') return toPosix(process.cwd());
+            if (typeof Deno !== 'undefined' && typeof Deno.cwd === 'function') return toPosix(Deno.cwd());
+            
+            // Browser and workers: the directory of the current page/script URL
+            const location = typeof window !== 'undefined' ? window.location : (typeof self !== 'undefined' ? self.location : null);
+            if (location?.pathname) {
+                const pathname = toPosix(location.pathname);
+                return pathname.endsWith('/') ? pathname : pathname.slice(0, pathname.lastIndexOf('/') + 1);
+            }
+            return '/';
+        };
+        
+        const normalize = (p) => {
+            const posix = toPosix(p);
+            if (posix === '') return '.';
+            
+            const root = rootOf(posix);
+            const trailing = posix.endsWith('/') && posix.length > root.length;
+            const segments = [];
+            
+            posix.slice(root.length).split('/').forEach(segment => {
+                if (!segment || segment === '.') return;
+                if (segment === '..') {
+                    if (segments.length > 0 && segments[segments.length - 1] !== '..') segments.pop();
+                    else if (!root) segments.push('..');
+                } else {
+                    segments.push(segment);
                 }
-                
-                // Magic numbers
-                const magicNumberRegex = /\b(?:[0-9]{3,}|[0-9]+\.[0-9]+)\b(?![\.\d])/g;
-                const magicNumbers = content.match(magicNumberRegex);
-                if (magicNumbers && magicNumbers.length > 3) {
-                    smells.push({
-                        type: 'MAGIC_NUMBERS',
-                        severity: 'low',
-                        message: `Found ${magicNumbers.length} magic numbers`
-                    });
+            });
+            
+            const body = segments.join('/');
+            if (!body) return root || '.' + (trailing ? '/' : '');
+            return root + body + (trailing ? '/' : '');
+        };
+        
+        const stripTrailing = (p) => {
+            const root = rootOf(p);
+            return p.length > root.length ? p.replace(/\/+$/, '') || root : p;
+        };
+        
+        const path = {
+            sep: '/',
+            delimiter: ':',
+            
+            toPosix,
+            normalize,
+            cwd,
+            
+            isAbsolute: (p) => rootOf(toPosix(p)) !== '',
+            
+            join: (...parts) => {
+                const joined = parts.map(toPosix).filter(part => part !== '').join('/');
+                return joined ? normalize(joined) : '.';
+            },
+            
+            resolve: (...parts) => {
+                let resolved = '';
+                for (let i = parts.length - 1; i >= 0 && !rootOf(resolved); i--) {
+                    const part = toPosix(parts[i]);
+                    if (part) resolved = resolved ? `${part}/${resolved}` : part;
                 }
+                if (!rootOf(resolved)) resolved = resolved ? `${cwd()}/${resolved}` : cwd();
+                return stripTrailing(normalize(resolved));
+            },
+            
+            relative: (from, to) => {
+                const fromPath = path.resolve(from);
+                const toPath = path.resolve(to);
+                if (fromPath === toPath) return '';
+                if (rootOf(fromPath) !== rootOf(toPath)) return toPath;
                 
-                // Duplicate code detection (simplified)
-                const linesSet = new Set(lines.filter(l => l.trim().length > 20));
-                const duplicates = lines.length - linesSet.size;
-                if (duplicates > 5) {
-                    smells.push({
-                        type: 'DUPLICATE_CODE',
-                        severity: 'medium',
-                        message: `Potential duplicate code detected`
-                    });
+                const fromParts = fromPath.slice(rootOf(fromPath).length).split('/').filter(Boolean);
+                const toParts = toPath.slice(rootOf(toPath).length).split('/').filter(Boolean);
+                let common = 0;
+                while (common < fromParts.length && common < toParts.length && fromParts[common] === toParts[common]) {
+                    common++;
                 }
                 
-                return smells;
+                return [...fromParts.slice(common).map(() => '..'), ...toParts.slice(common)].join('/');
             },
             
-            _generateRealSuggestions(content, language, metrics, codeSmells) {
-                const suggestions = [];
-                
-                if (metrics.complexity > 10) {
-                    suggestions.push(`Consider refactoring: Cyclomatic complexity is ${metrics.complexity} (recommended: < 10)`);
+            dirname: (p) => {
+                const posix = stripTrailing(toPosix(p));
+                const root = rootOf(posix);
+                const index = posix.lastIndexOf('/');
+                if (index < root.length) return root || '.';
+                return posix.slice(0, index) || root;
+            },
+            
+            basename: (p, ext) => {
+                const posix = stripTrailing(toPosix(p));
+                const base = posix.slice(Math.max(rootOf(posix).length, posix.lastIndexOf('/') + 1));
+                return ext && base !== ext && base.endsWith(ext) ? base.slice(0, -ext.length) : base;
+            },
+            
+            extname: (p) => {
+                const base = path.basename(p);
+                const index = base.lastIndexOf('.');
+                return index > 0 && base !== '..' ? base.slice(index) : '';
+            },
+            
+            parse: (p) => {
+                const posix = toPosix(p);
+                const base = path.basename(posix);
+                const ext = path.extname(posix);
+                const root = rootOf(posix);
+                const dir = stripTrailing(posix).includes('/') ? path.dirname(posix) : '';
+                return { root, dir, base, ext, name: ext ? base.slice(0, -ext.length) : base };
+            },
+            
+            format: ({ root = '', dir = '', base, name = '', ext = '' }) => {
+                const file = base || name + ext;
+                if (!dir) return root + file;
+                return dir === root ? dir + file : `${dir}/${file}`;
+            }
+        };
+        
+        return path;
+    }
+    
+    // ================ JAVASCRIPT PARSER ================
+    
+    _createJavaScriptParser() {
+        // Fallback for when @babel/parser is unavailable. Tokenizes the source, then recognizes
+        // declarations, functions, classes, objects and import/export statements, emitting
+        // Babel-shaped nodes with start/end/loc. Expression internals are not modeled: the
+        // function-like nodes found inside an expression are kept in an UnparsedExpression.
+        const EXPRESSION_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await', 'extends']);
+        const CLASS_MODIFIERS = new Set(['static', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'accessor', 'async', 'get', 'set']);
+        const PARAM_MODIFIERS = new Set(['public', 'private', 'protected', 'readonly', 'override']);
+        const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'with', 'switch', 'catch']);
+        const CONTINUATION = new Set(['.', '?.', ',', '=', '=>', '?', ':', '+', '-', '*', '/', '%', '**', '&&', '||', '??', '==', '===', '!=', '!==', '<', '>', '<=', '>=', '|', '&', '^', '<<', '>>', '>>>', '(', '[']);
+        const PUNCTUATORS = ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'];
+        const NUMBER = /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+        const IDENTIFIER_START = /[A-Za-z_$\u0080-\uffff\\]/;
+        const IDENTIFIER_PART = /[\w$\u0080-\uffff\\]/;
+        
+        const tokenize = (code) => {
+            const tokens = [];
+            const n = code.length;
+            let i = code.startsWith('#!') ? code.indexOf('\n') : 0;
+            if (i < 0) i = n;
+            let lastEnd = 0;
+            
+            const skipString = (pos) => {
+                const quote = code[pos];
+                let j = pos + 1;
+                while (j < n && code[j] !== quote && code[j] !== '\n') j += code[j] === '\\' ? 2 : 1;
+                return Math.min(j + 1, n);
+            };
+            
+            // Template literals are split around ${ }: the expressions inside are tokenized normally
+            const templateBraces = [];
+            const scanTemplateChunk = (pos) => {
+                let j = pos;
+                while (j < n) {
+                    if (code[j] === '\\') j += 2;
+                    else if (code[j] === '`') return j + 1;
+                    else if (code[j] === '$' && code[j + 1] === '{') {
+                        templateBraces.push(0);
+                        return j + 2;
+                    } else j++;
                 }
+                return n;
+            };
+            
+            const regexAllowed = () => {
+                const prev = tokens[tokens.length - 1];
+                if (!prev) return true;
+                if (prev.type === 'template') return prev.value.endsWith('${');
+                if (prev.type === 'punct') return ![')', ']', '}', '++', '--'].includes(prev.value);
+                return prev.type === 'name' && EXPRESSION_KEYWORDS.has(prev.value);
+            };
+            const push = (type, start) => {
+                tokens.push({ type, value: code.slice(start, i), start, end: i, nl: code.slice(lastEnd, start).includes('\n') });
+                lastEnd = i;
+            };
+            
+            while (i < n) {
+                const c = code[i];
+                const start = i;
                 
-                if (metrics.maintainability < 65) {
-                    suggestions.push(`Maintainability index is low (${metrics.maintainability.toFixed(1)}). Consider simplifying code structure.`);
+                if (c === ' ' || c === '\t' || c === '\n' || c === '\r' || /\s/.test(c)) {
+                    i++;
+                } else if (c === '/' && code[i + 1] === '/') {
+                    i = code.indexOf('\n', i) === -1 ? n : code.indexOf('\n', i);
+                } else if (c === '/' && code[i + 1] === '*') {
+                    i = code.indexOf('*/', i + 2) === -1 ? n : code.indexOf('*/', i + 2) + 2;
+                } else if (IDENTIFIER_START.test(c)) {
+                    while (i < n && IDENTIFIER_PART.test(code[i])) i++;
+                    push('name', start);
+                } else if (c === '#' && IDENTIFIER_START.test(code[i + 1] || '')) {
+                    i++;
+                    while (i < n && IDENTIFIER_PART.test(code[i])) i++;
+                    push('privateName', start);
+                } else if (/\d/.test(c) || (c === '.' && /\d/.test(code[i + 1] || ''))) {
+                    NUMBER.lastIndex = i;
+                    i = NUMBER.exec(code) ? NUMBER.lastIndex : i + 1;
+                    push('num', start);
+                } else if (c === '"' || c === "'") {
+                    i = skipString(i);
+                    push('string', start);
+                } else if (c === '`') {
+                    i = scanTemplateChunk(i + 1);
+                    push('template', start);
+                } else if (c === '}' && templateBraces.length > 0 && templateBraces[templateBraces.length - 1] === 0) {
+                    templateBraces.pop();
+                    i = scanTemplateChunk(i + 1);
+                    push('template', start);
+                } else if (c === '/' && regexAllowed()) {
+                    let inClass = false;
+                    i++;
+                    while (i < n && code[i] !== '\n') {
+                        if (code[i] === '\\') i++;
+                        else if (code[i] === '[') inClass = true;
+                        else if (code[i] === ']') inClass = false;
+                        else if (code[i] === '/' && !inClass) break;
+                        i++;
+                    }
+                    i++;
+                    while (i < n && /[a-z]/i.test(code[i])) i++;
+                    push('regex', start);
+                } else {
+                    const punct = PUNCTUATORS.find(p => code.startsWith(p, i)) || c;
+                    if (templateBraces.length > 0 && (punct === '{' || punct === '}')) {
+                        templateBraces[templateBraces.length - 1] += punct === '{' ? 1 : -1;
+                    }
+                    i += punct.length;
+                    push('punct', start);
+                }
+            }
+            
+            return tokens;
+        };
+        
+        const parse = (code) => {
+            const t = tokenize(code);
+            const count = t.length;
+            
+            // Matching bracket for every opener; unbalanced input closes at end of file
+            const match = new Array(count).fill(-1);
+            const openers = [];
+            t.forEach((tok, i) => {
+                if (tok.type !== 'punct') return;
+                if (tok.value === '(' || tok.value === '[' || tok.value === '{') {
+                    openers.push(i);
+                } else if (tok.value === ')' || tok.value === ']' || tok.value === '}') {
+                    const opener = { ')': '(', ']': '[', '}': '{' }[tok.value];
+                    const at = openers.map(o => t[o].value).lastIndexOf(opener);
+                    if (at === -1) return;
+                    match[openers[at]] = i;
+                    openers.length = at;
+                }
+            });
+            openers.forEach(o => { match[o] = count; });
+            
+            const lineStarts = [0];
+            for (let i = 0; i < code.length; i++) {
+                if (code[i] === '\n') lineStarts.push(i + 1);
+            }
+            const locAt = (offset) => {
+                let low = 0;
+                let high = lineStarts.length - 1;
+                while (low < high) {
+                    const mid = (low + high + 1) >> 1;
+                    if (lineStarts[mid] <= offset) low = mid;
+                    else high = mid - 1;
+                }
+                return { line: low + 1, column: offset - lineStarts[low] };
+            };
+            
+            const is = (i, value) => i < count && t[i].type === 'punct' && t[i].value === value;
+            const isName = (i, value) => i < count && t[i].type === 'name' && (value === undefined || t[i].value === value);
+            const close = (i) => (i >= count || match[i] === -1 ? count : match[i]);
+            const node = (type, first, last, props = {}) => {
+                const start = t[Math.min(first, count - 1)].start;
+                const end = t[Math.min(Math.max(last, first), count - 1)].end;
+                return { type, start, end, loc: { start: locAt(start), end: locAt(end) }, ...props };
+            };
+            const identifier = (i) => node('Identifier', i, i, { name: t[i].value });
+            const literal = (i) => {
+                const tok = t[i];
+                if (tok.type === 'string') return node('StringLiteral', i, i, { value: tok.value.slice(1, -1) });
+                if (tok.type === 'num') return node('NumericLiteral', i, i, { value: Number(tok.value.replace(/_/g, '').replace(/n$/, '')) });
+                if (tok.type === 'privateName') return node('PrivateName', i, i, { id: { type: 'Identifier', name: tok.value.slice(1) } });
+                return identifier(i);
+            };
+            
+            // Automatic semicolon insertion: a line break ends the statement unless either side continues it
+            const asiBreak = (i) => {
+                if (i >= count || !t[i].nl) return false;
+                const prev = t[i - 1];
+                if (prev.type === 'punct' && ![')', ']', '}', '++', '--'].includes(prev.value)) return false;
+                if (t[i].type === 'punct' && (CONTINUATION.has(t[i].value) || t[i].value === '`')) return false;
+                if (t[i].type === 'template') return false;
+                return !(t[i].type === 'name' && ['instanceof', 'in', 'of', 'as', 'satisfies'].includes(t[i].value));
+            };
+            
+            // A line break after a closed generic (`Map<K, V>`) ends a type the way `)` would
+            const typeBreak = (i) => asiBreak(i) || (i < count && t[i].nl && /^>+$/.test(t[i - 1].value) &&
+                !(t[i].type === 'punct' && CONTINUATION.has(t[i].value)));
+            
+            // Skip a type annotation; a '{' right after a complete type starts a body
+            const skipType = (i, end, stops) => {
+                let j = i;
+                let angle = 0;
+                while (j < end) {
+                    const tok = t[j];
+                    if (angle === 0 && j > i && stops.includes('asi') && typeBreak(j)) break;
+                    // Keyword stops such as `implements` end the type at the top level
+                    if (angle === 0 && tok.type === 'name' && tok.value !== 'asi' && stops.includes(tok.value)) break;
+                    if (tok.type === 'punct') {
+                        const v = tok.value;
+                        if (angle === 0 && stops.includes(v)) break;
+                        if (v === '{' && angle === 0 && j > i) {
+                            const prev = t[j - 1];
+                            const typeEnded = prev.type !== 'punct' || ['>', ']', ')', '}', '>>', '>>>'].includes(prev.value);
+                            if (typeEnded) break;
+                        }
+                        if (v === '(' || v === '[' || v === '{') {
+                            j = close(j) + 1;
+                            continue;
+                        }
+                        if (v === '<') angle++;
+                        else if (v === '>' || v === '>>' || v === '>>>') angle = Math.max(0, angle - v.length);
+                    }
+                    j++;
+                }
+                return j;
+            };
+            
+            // Split [start, end) on top-level commas
+            const segments = (start, end) => {
+                const parts = [];
+                let s = start;
+                let j = start;
+                while (j < end) {
+                    if (is(j, '(') || is(j, '[') || is(j, '{')) {
+                        j = close(j) + 1;
+                    } else if (is(j, ',')) {
+                        parts.push([s, j]);
+                        s = ++j;
+                    } else {
+                        j++;
+                    }
+                }
+                if (s < end) parts.push([s, end]);
+                return parts;
+            };
+            
+            const unparsed = (first, last, body) => node('UnparsedExpression', first, last, { body });
+            
+            // ---------- Patterns and parameters ----------
+            
+            const parseBindingTarget = (i, end) => {
+                if (is(i, '{') || is(i, '[')) return { target: parsePattern(i), next: close(i) + 1 };
+                if (i < end && (t[i].type === 'name')) return { target: identifier(i), next: i + 1 };
+                return { target: null, next: i + 1 };
+            };
+            
+            const withDefault = (target, i, end) => {
+                if (!is(i, '=')) return target;
+                const value = scanExpression(i + 1, end, {});
+                const last = t[end - 1].end;
+                return {
+                    type: 'AssignmentPattern',
+                    start: target.start,
+                    end: last,
+                    loc: { start: target.loc.start, end: locAt(last) },
+                    left: target,
+                    right: unparsed(i + 1, end - 1, value.nodes)
+                };
+            };
+            
+            const parsePattern = (open) => {
+                const end = close(open);
+                if (is(open, '[')) {
+                    const elements = [];
+                    segments(open + 1, end).forEach(([s, e]) => {
+                        if (s >= e) return elements.push(null);
+                        if (is(s, '...')) {
+                            const { target } = parseBindingTarget(s + 1, e);
+                            return elements.push(node('RestElement', s, e - 1, { argument: target }));
+                        }
+                        const { target, next } = parseBindingTarget(s, e);
+                        if (target) elements.push(withDefault(target, next, e));
+                    });
+                    return node('ArrayPattern', open, end, { elements });
                 }
                 
-                codeSmells.forEach(smell => {
-                    suggestions.push(`${smell.severity.toUpperCase()}: ${smell.message}`);
+                const properties = [];
+                segments(open + 1, end).forEach(([s, e]) => {
+                    if (s >= e) return;
+                    if (is(s, '...')) {
+                        const { target } = parseBindingTarget(s + 1, e);
+                        return properties.push(node('RestElement', s, e - 1, { argument: target }));
+                    }
+                    const key = is(s, '[') ? unparsed(s, close(s), []) : literal(s);
+                    const keyEnd = is(s, '[') ? close(s) + 1 : s + 1;
+                    if (is(keyEnd, ':')) {
+                        const { target, next } = parseBindingTarget(keyEnd + 1, e);
+                        if (target) properties.push(node('ObjectProperty', s, e - 1, { key, value: withDefault(target, next, e), shorthand: false }));
+                    } else {
+                        properties.push(node('ObjectProperty', s, e - 1, { key, value: withDefault(identifier(s), keyEnd, e), shorthand: true }));
+                    }
                 });
-                
-                if (content.includes('console.log') && language === 'javascript') {
-                    suggestions.push('Consider using a proper logging library for production code');
+                return node('ObjectPattern', open, end, { properties });
+            };
+            
+            const parseParams = (open) => {
+                const end = close(open);
+                const params = [];
+                segments(open + 1, end).forEach(([s, e]) => {
+                    while (s < e && is(s, '@')) {
+                        s++;
+                        while (isName(s) || is(s, '.')) s++;
+                        if (is(s, '(')) s = close(s) + 1;
+                    }
+                    const modifiersStart = s;
+                    const modifiers = [];
+                    while (isName(s) && PARAM_MODIFIERS.has(t[s].value) && (isName(s + 1) || is(s + 1, '{') || is(s + 1, '['))) modifiers.push(t[s++].value);
+                    if (s >= e || (isName(s, 'this') && (is(s + 1, ':') || s + 1 === e))) return;
+                    
+                    const rest = is(s, '...');
+                    const { target, next } = parseBindingTarget(rest ? s + 1 : s, e);
+                    if (!target) return;
+                    let j = next;
+                    if (is(j, '?')) {
+                        target.optional = true;
+                        j++;
+                    }
+                    if (is(j, ':')) {
+                        const typeEnd = skipType(j + 1, e, ['=']);
+                        target.typeAnnotation = node('TSTypeAnnotation', j, typeEnd - 1);
+                        j = typeEnd;
+                    }
+                    const param = withDefault(target, j, e);
+                    const parsed = rest ? node('RestElement', s, e - 1, { argument: param }) : param;
+                    if (!modifiers.length) return params.push(parsed);
+                    
+                    // constructor(private readonly name: string) declares a property too
+                    const accessibility = modifiers.find(m => ['public', 'private', 'protected'].includes(m));
+                    params.push(node('TSParameterProperty', modifiersStart, e - 1, { accessibility, readonly: modifiers.includes('readonly'), parameter: parsed }));
+                });
+                return params;
+            };
+            
+            // ---------- Functions and classes ----------
+            
+            const parseTypeParameters = (i) => {
+                // `<T extends Base = Default>` up to its matching '>'
+                if (!is(i, '<')) return { typeParameters: null, next: i };
+                let j = i;
+                let angle = 0;
+                while (j < count) {
+                    const v = t[j].type === 'punct' ? t[j].value : '';
+                    if (v === '(' || v === '[' || v === '{') {
+                        j = close(j) + 1;
+                        continue;
+                    }
+                    if (v === '<') angle++;
+                    else if (/^>+$/.test(v)) angle -= v.length;
+                    if (angle <= 0) break;
+                    j++;
                 }
-                
-                if (content.includes('setTimeout') || content.includes('setInterval')) {
-                    suggestions.push('Ensure async operations are properly cleaned up to prevent memory leaks');
+                return { typeParameters: node('TSTypeParameterDeclaration', i, j), next: j + 1 };
+            };
+            
+            const parseSignatureEnd = (i, end) => {
+                // Overloads and declarations stop after the optional return type
+                if (!is(i, ':')) return { returnType: null, next: i };
+                const next = skipType(i + 1, end, [';', 'asi']);
+                return { returnType: node('TSTypeAnnotation', i, next - 1), next };
+            };
+            
+            const parseFunctionBody = (i, fnStart, props) => {
+                // i points at the token after the parameter list (return type or body)
+                let j = i;
+                if (is(j, ':')) {
+                    j = skipType(j + 1, count, [';']);
+                    props = { ...props, returnType: node('TSTypeAnnotation', i, j - 1) };
                 }
-                
-                return suggestions;
-            },
+                if (!is(j, '{')) return null;
+                const end = close(j);
+                const body = node('BlockStatement', j, end, { body: parseStatements(j + 1, end) });
+                return { node: node(props.type, fnStart, end, { ...props, body }), next: end + 1 };
+            };
             
-            _detectRealPatterns(content, language) {
-                const patterns = [];
+            const tryFunction = (i, { declaration = false } = {}) => {
+                let j = i;
+                const isAsync = isName(j, 'async') && isName(j + 1, 'function') && !t[j + 1].nl;
+                if (isAsync) j++;
+                if (!isName(j, 'function')) return null;
+                j++;
+                const generator = is(j, '*');
+                if (generator) j++;
+                const id = isName(j) ? identifier(j++) : null;
+                const { typeParameters, next: paramsAt } = parseTypeParameters(j);
+                j = paramsAt;
+                if (!is(j, '(')) return null;
+                const params = parseParams(j);
+                const props = { type: declaration ? 'FunctionDeclaration' : 'FunctionExpression', id, typeParameters, params, async: isAsync, generator };
+                const parsed = parseFunctionBody(close(j) + 1, i, props);
+                if (parsed) return parsed;
                 
-                // Framework detection
-                if (content.includes('React') || content.includes('react-dom')) patterns.push('react');
-                if (content.includes('Vue') || content.includes('vue')) patterns.push('vue');
-                if (content.includes('Angular') || content.includes('@angular')) patterns.push('angular');
-                if (content.includes('NextRouter') || content.includes('next/router')) patterns.push('nextjs');
+                // TypeScript overload or `declare function`: a signature without a body
+                const { returnType, next: k } = parseSignatureEnd(close(j) + 1, count);
+                const signature = { id, typeParameters, params, returnType, async: isAsync, generator };
+                return { node: node('TSDeclareFunction', i, k - 1, signature), next: is(k, ';') ? k + 1 : k };
+            };
+            
+            const tryArrow = (i, end) => {
+                let j = i;
+                const isAsync = isName(j, 'async') && (is(j + 1, '(') || is(j + 1, '<') || isName(j + 1)) && !t[j + 1].nl;
+                if (isAsync) j++;
                 
-                // API patterns
-                if (content.includes('fetch(') || content.includes('axios(') || content.includes('XMLHttpRequest')) {
-                    patterns.push('api-client');
+                // Generic arrow `<T,>(v: T) => v`; the lookahead keeps `a < b` comparisons cheap
+                let typeParameters = null;
+                if (is(j, '<') && isName(j + 1) && (is(j + 2, ',') || is(j + 2, '>') || is(j + 2, '=') || isName(j + 2, 'extends'))) {
+                    const generic = parseTypeParameters(j);
+                    if (!is(generic.next, '(')) return null;
+                    typeParameters = generic.typeParameters;
+                    j = generic.next;
                 }
                 
-                // Database patterns
-                if (content.includes('SELECT ') || content.includes('INSERT ') || content.includes('UPDATE ') || 
-                    content.includes('mongoose') || content.includes('sequelize') || content.includes('prisma')) {
-                    patterns.push('database');
+                let params;
+                let arrow;
+                let returnType = null;
+                if (is(j, '(')) {
+                    arrow = close(j) + 1;
+                    if (is(arrow, ':')) {
+                        const typeEnd = skipType(arrow + 1, end, ['=>', ';', ',', ')', '{', '=']);
+                        returnType = node('TSTypeAnnotation', arrow, typeEnd - 1);
+                        arrow = typeEnd;
+                    }
+                    if (!is(arrow, '=>')) return null;
+                    params = parseParams(j);
+                } else if (!typeParameters && isName(j) && is(j + 1, '=>')) {
+                    params = [identifier(j)];
+                    arrow = j + 1;
+                } else {
+                    return null;
                 }
                 
-                // Test patterns
-                if (content.includes('describe(') || content.includes('it(') || content.includes('test(') ||
-                    content.includes('jest') || content.includes('mocha') || content.includes('chai')) {
-                    patterns.push('testing');
+                const bodyStart = arrow + 1;
+                if (is(bodyStart, '{')) {
+                    const bodyEnd = close(bodyStart);
+                    const body = node('BlockStatement', bodyStart, bodyEnd, { body: parseStatements(bodyStart + 1, bodyEnd) });
+                    return { node: node('ArrowFunctionExpression', i, bodyEnd, { id: null, typeParameters, params, returnType, body, async: isAsync, generator: false, expression: false }), next: bodyEnd + 1 };
+                }
+                const value = scanExpression(bodyStart, end, { stopAtComma: true, statement: true });
+                const last = Math.max(value.next - 1, bodyStart);
+                const body = unparsed(bodyStart, last, value.nodes);
+                return { node: node('ArrowFunctionExpression', i, last, { id: null, typeParameters, params, returnType, body, async: isAsync, generator: false, expression: true }), next: value.next };
+            };
+            
+            const readKey = (i) => {
+                if (is(i, '[')) {
+                    const end = close(i);
+                    return { key: unparsed(i, end, scanExpression(i + 1, end, {}).nodes), computed: true, next: end + 1 };
+                }
+                if (i < count && ['name', 'string', 'num', 'privateName'].includes(t[i].type)) {
+                    return { key: literal(i), computed: false, next: i + 1 };
                 }
+                return null;
+            };
+            
+            const tryClass = (i, { declaration = false, abstract = false } = {}) => {
+                if (!isName(i, 'class')) return null;
+                let j = i + 1;
+                const id = isName(j) && !['extends', 'implements'].includes(t[j].value) ? identifier(j++) : null;
+                const { typeParameters, next: heritageAt } = parseTypeParameters(j);
+                j = heritageAt;
                 
-                // State management
-                if (content.includes('useState') || content.includes('useReducer') || content.includes('redux') ||
-                    content.includes('MobX') || content.includes('zustand')) {
-                    patterns.push('state-management');
+                let superClass = null;
+                if (isName(j, 'extends')) {
+                    const from = j + 1;
+                    j = skipType(from, count, ['{', 'implements']);
+                    while (j < count && !is(j, '{') && !isName(j, 'implements')) j++;
+                    superClass = unparsed(from, j - 1, scanExpression(from, j, {}).nodes);
                 }
+                const implementsList = [];
+                if (isName(j, 'implements')) {
+                    const from = j + 1;
+                    j = skipType(from, count, ['{']);
+                    segments(from, j).forEach(([s, e]) => implementsList.push(node('TSExpressionWithTypeArguments', s, e - 1)));
+                }
+                if (!is(j, '{')) return null;
                 
-                // Build/Dev tools
-                if (content.includes('webpack') || content.includes('vite') || content.includes('rollup') ||
-                    content.includes('babel') || content.includes('esbuild')) {
-                    patterns.push('build-tool');
+                const end = close(j);
+                const body = node('ClassBody', j, end, { body: parseClassMembers(j + 1, end) });
+                const props = { id, typeParameters, superClass, implements: implementsList, body, abstract };
+                return { node: node(declaration ? 'ClassDeclaration' : 'ClassExpression', i, end, props), next: end + 1 };
+            };
+            
+            const parseClassMembers = (start, end) => {
+                const members = [];
+                let j = start;
+                while (j < end) {
+                    const memberStart = j;
+                    if (is(j, ';')) {
+                        j++;
+                        continue;
+                    }
+                    if (is(j, '@')) {
+                        j++;
+                        while (isName(j) || is(j, '.')) j++;
+                        if (is(j, '(')) j = close(j) + 1;
+                        continue;
+                    }
+                    
+                    const flags = { static: false, kind: 'method', async: false, generator: false, abstract: false, readonly: false, accessibility: undefined };
+                    while (isName(j) && CLASS_MODIFIERS.has(t[j].value) && !t[j + 1]?.nl &&
+                           (readKey(j + 1) || is(j + 1, '*') || is(j + 1, '{')) && !is(j + 1, '=')) {
+                        const modifier = t[j].value;
+                        if (modifier === 'static') flags.static = true;
+                        else if (modifier === 'async') flags.async = true;
+                        else if (modifier === 'abstract') flags.abstract = true;
+                        else if (modifier === 'readonly') flags.readonly = true;
+                        else if (modifier === 'get' || modifier === 'set') flags.kind = modifier;
+                        else if (['public', 'private', 'protected'].includes(modifier)) flags.accessibility = modifier;
+                        j++;
+                        if (is(j, '{') && flags.static) break;
+                    }
+                    
+                    if (is(j, '{') && flags.static) {
+                        const blockEnd = close(j);
+                        members.push(node('StaticBlock', memberStart, blockEnd, { body: parseStatements(j + 1, blockEnd) }));
+                        j = blockEnd + 1;
+                        continue;
+                    }
+                    if (is(j, '*')) {
+                        flags.generator = true;
+                        j++;
+                    }
+                    
+                    const key = readKey(j);
+                    if (!key) {
+                        j = Math.max(j + 1, memberStart + 1);
+                        continue;
+                    }
+                    j = key.next;
+                    let optional = false;
+                    if (is(j, '?') || is(j, '!')) {
+                        optional = is(j, '?');
+                        j++;
+                    }
+                    const isPrivate = key.key.type === 'PrivateName';
+                    
+                    if (is(j, '(') || is(j, '<')) {
+                        const { typeParameters, next: paramsAt } = parseTypeParameters(j);
+                        j = paramsAt;
+                        const params = parseParams(j);
+                        const kind = !key.computed && key.key.name === 'constructor' ? 'constructor' : flags.kind;
+                        const props = {
+                            type: isPrivate ? 'ClassPrivateMethod' : 'ClassMethod',
+                            kind,
+                            key: key.key,
+                            computed: key.computed,
+                            static: flags.static,
+                            accessibility: flags.accessibility,
+                            optional,
+                            async: flags.async,
+                            generator: flags.generator,
+                            typeParameters,
+                            params
+                        };
+                        const parsed = parseFunctionBody(close(j) + 1, memberStart, props);
+                        if (parsed) {
+                            members.push(parsed.node);
+                            j = parsed.next;
+                        } else {
+                            const { returnType, next: k } = parseSignatureEnd(close(j) + 1, end);
+                            members.push(node('TSDeclareMethod', memberStart, k - 1, { ...props, type: 'TSDeclareMethod', returnType, abstract: flags.abstract }));
+                            j = Math.max(k, memberStart + 1);
+                        }
+                        continue;
+                    }
+                    
+                    // Field, optionally typed and initialized
+                    let typeAnnotation = null;
+                    if (is(j, ':')) {
+                        const typeEnd = skipType(j + 1, end, ['=', ';', 'asi']);
+                        typeAnnotation = node('TSTypeAnnotation', j, typeEnd - 1);
+                        j = typeEnd;
+                    }
+                    let value = null;
+                    if (is(j, '=')) {
+                        const scanned = scanExpression(j + 1, end, { statement: true });
+                        value = scanned.nodes.length === 1 && scanned.nodes[0].start === t[j + 1].start
+                            ? scanned.nodes[0]
+                            : unparsed(j + 1, Math.max(scanned.next - 1, j + 1), scanned.nodes);
+                        j = scanned.next;
+                    }
+                    members.push(node(isPrivate ? 'ClassPrivateProperty' : 'ClassProperty', memberStart, Math.max(j - 1, memberStart), {
+                        key: key.key,
+                        computed: key.computed,
+                        static: flags.static,
+                        accessibility: flags.accessibility,
+                        readonly: flags.readonly,
+                        abstract: flags.abstract,
+                        optional,
+                        typeAnnotation,
+                        value
+                    }));
+                    j = Math.max(j, memberStart + 1);
                 }
+                return members;
+            };
+            
+            // ---------- Objects and expressions ----------
+            
+            const parseObject = (open) => {
+                const end = close(open);
+                const properties = [];
                 
-                return patterns;
-            }
-        };
-    }
-    
-    _createCacheSystem() {
-        // Real cache system with TTL and persistence
-        const cache = new Map();
-        const ttl = new Map();
-        
-        return {
-            set(key, value, ttlMs = 60000) {
-                cache.set(key, value);
-                ttl.set(key, Date.now() + ttlMs);
-                return true;
-            },
+                segments(open + 1, end).forEach(([s, e]) => {
+                    if (s >= e) return;
+                    if (is(s, '...')) {
+                        properties.push(node('SpreadElement', s, e - 1, { argument: unparsed(s + 1, e - 1, scanExpression(s + 1, e, {}).nodes) }));
+                        return;
+                    }
+                    
+                    let j = s;
+                    const flags = { kind: 'method', async: false, generator: false };
+                    while (isName(j) && ['async', 'get', 'set'].includes(t[j].value) && (readKey(j + 1) || is(j + 1, '*')) && !is(j + 1, '(')) {
+                        if (t[j].value === 'async') flags.async = true;
+                        else flags.kind = t[j].value;
+                        j++;
+                    }
+                    if (is(j, '*')) {
+                        flags.generator = true;
+                        j++;
+                    }
+                    
+                    const key = readKey(j);
+                    if (key && (is(key.next, '(') || is(key.next, '<'))) {
+                        let paren = key.next;
+                        if (is(paren, '<')) paren = skipType(paren, e, ['(']);
+                        const props = { type: 'ObjectMethod', kind: flags.kind, key: key.key, computed: key.computed, async: flags.async, generator: flags.generator, params: parseParams(paren) };
+                        const parsed = parseFunctionBody(close(paren) + 1, s, props);
+                        if (parsed) return properties.push(parsed.node);
+                    }
+                    if (key && is(key.next, ':')) {
+                        const valueStart = key.next + 1;
+                        const scanned = scanExpression(valueStart, e, {});
+                        const value = scanned.nodes.length === 1 && scanned.nodes[0].start === t[valueStart]?.start
+                            ? scanned.nodes[0]
+                            : unparsed(valueStart, e - 1, scanned.nodes);
+                        return properties.push(node('ObjectProperty', s, e - 1, { key: key.key, computed: key.computed, value, shorthand: false }));
+                    }
+                    
+                    // Shorthand or something unrecognized: keep any functions inside
+                    const nested = scanExpression(s, e, {}).nodes;
+                    if (nested.length > 0) properties.push(unparsed(s, e - 1, nested));
+                });
+                
+                return node('ObjectExpression', open, end, { properties });
+            };
             
-            get(key) {
-                const expiry = ttl.get(key);
-                if (expiry && Date.now() > expiry) {
-                    cache.delete(key);
-                    ttl.delete(key);
-                    return null;
+            const assignmentTarget = (i, from) => {
+                // `a.b.c = <fn>` or `x = <fn>`: walk back from the '=' at i
+                let k = i - 1;
+                if (k < from || !isName(k)) return null;
+                let left = identifier(k);
+                const chain = [k];
+                while (k - 2 >= from && (is(k - 1, '.') || is(k - 1, '?.')) && isName(k - 2)) {
+                    k -= 2;
+                    chain.unshift(k);
                 }
-                return cache.get(key);
-            },
+                if (chain.length > 1) {
+                    left = identifier(chain[0]);
+                    for (let c = 1; c < chain.length; c++) {
+                        left = node('MemberExpression', chain[0], chain[c], { object: left, property: identifier(chain[c]), computed: false });
+                    }
+                }
+                return { left, first: chain[0] };
+            };
+            
+            const scanExpression = (start, end, mode) => {
+                const nodes = [];
+                let j = start;
+                while (j < end) {
+                    if (mode.statement && is(j, ';')) break;
+                    if (mode.statement && j > start && asiBreak(j)) break;
+                    if (mode.stopAtComma && is(j, ',')) break;
+                    if (mode.stopAt && t[j].type === 'punct' && mode.stopAt.includes(t[j].value)) break;
+                    
+                    const found = tryFunction(j) || tryClass(j) || tryArrow(j, end);
+                    if (found) {
+                        let result = found.node;
+                        if (is(j - 1, '=')) {
+                            const target = assignmentTarget(j - 1, start);
+                            if (target) {
+                                result = node('AssignmentExpression', target.first, found.next - 1, { operator: '=', left: target.left, right: found.node });
+                            }
+                        }
+                        nodes.push(result);
+                        j = found.next;
+                        continue;
+                    }
+                    if (is(j, '{')) {
+                        const object = parseObject(j);
+                        if (object.properties.length > 0) nodes.push(object);
+                        j = close(j) + 1;
+                        continue;
+                    }
+                    if (is(j, '(') || is(j, '[')) {
+                        nodes.push(...scanExpression(j + 1, close(j), {}).nodes);
+                        j = close(j) + 1;
+                        continue;
+                    }
+                    j++;
+                }
+                return { nodes, next: Math.min(j, end) };
+            };
+            
+            // ---------- Statements ----------
+            
+            const parseVariable = (i, end) => {
+                const kind = t[i].value;
+                const declarations = [];
+                let j = i + 1;
+                while (j < end) {
+                    const declStart = j;
+                    const { target, next } = parseBindingTarget(j, end);
+                    if (!target) break;
+                    j = next;
+                    if (is(j, '!')) j++;
+                    if (is(j, ':')) {
+                        const typeEnd = skipType(j + 1, end, ['=', ',', ';', 'asi']);
+                        target.typeAnnotation = node('TSTypeAnnotation', j, typeEnd - 1);
+                        j = typeEnd;
+                    }
+                    let init = null;
+                    if (is(j, '=')) {
+                        const scanned = scanExpression(j + 1, end, { stopAtComma: true, statement: true });
+                        init = scanned.nodes.length === 1 && scanned.nodes[0].start === t[j + 1]?.start
+                            ? scanned.nodes[0]
+                            : unparsed(j + 1, Math.max(scanned.next - 1, j + 1), scanned.nodes);
+                        j = scanned.next;
+                    }
+                    declarations.push(node('VariableDeclarator', declStart, Math.max(j - 1, declStart), { id: target, init }));
+                    if (!is(j, ',')) break;
+                    j++;
+                }
+                const next = is(j, ';') ? j + 1 : j;
+                return { nodes: [node('VariableDeclaration', i, Math.max(next - 1, i), { kind, declarations })], next };
+            };
+            
+            const parseImport = (i) => {
+                let j = i + 1;
+                let importKind = 'value';
+                if (isName(j, 'type') && (is(j + 1, '{') || is(j + 1, '*') || (isName(j + 1) && !isName(j + 1, 'from')))) {
+                    importKind = 'type';
+                    j++;
+                }
+                const specifiers = [];
+                if (isName(j) && !isName(j, 'from')) {
+                    specifiers.push(node('ImportDefaultSpecifier', j, j, { local: identifier(j) }));
+                    j++;
+                    if (is(j, ',')) j++;
+                }
+                if (is(j, '*') && isName(j + 1, 'as')) {
+                    specifiers.push(node('ImportNamespaceSpecifier', j, j + 2, { local: identifier(j + 2) }));
+                    j += 3;
+                }
+                if (is(j, '{')) {
+                    const end = close(j);
+                    segments(j + 1, end).forEach(([s, e]) => {
+                        let k = s;
+                        let kind = 'value';
+                        if (isName(k, 'type') && e - s > 1 && !isName(k + 1, 'as')) {
+                            kind = 'type';
+                            k++;
+                        }
+                        if (k >= e) return;
+                        const imported = literal(k);
+                        const local = isName(k + 1, 'as') && k + 2 < e ? identifier(k + 2) : identifier(k);
+                        specifiers.push(node('ImportSpecifier', s, e - 1, { imported, local, importKind: kind }));
+                    });
+                    j = end + 1;
+                }
+                if (isName(j, 'from')) j++;
+                if (j >= count || t[j].type !== 'string') return { nodes: [], next: j };
+                
+                const source = literal(j);
+                let last = j;
+                if ((isName(j + 1, 'with') || isName(j + 1, 'assert')) && is(j + 2, '{')) last = close(j + 2);
+                const next = is(last + 1, ';') ? last + 2 : last + 1;
+                return { nodes: [node('ImportDeclaration', i, next - 1, { specifiers, source, importKind })], next };
+            };
+            
+            const parseExport = (i, end) => {
+                let j = i + 1;
+                const finish = (last, props, type = 'ExportNamedDeclaration') => {
+                    const next = is(last + 1, ';') ? last + 2 : last + 1;
+                    return { nodes: [node(type, i, next - 1, props)], next };
+                };
+                
+                if (is(j, '=')) {
+                    const scanned = scanExpression(j + 1, end, { statement: true });
+                    return finish(Math.max(scanned.next - 1, j), { expression: unparsed(j + 1, Math.max(scanned.next - 1, j + 1), scanned.nodes) }, 'TSExportAssignment');
+                }
+                
+                if (isName(j, 'default')) {
+                    j++;
+                    const declared = tryFunction(j, { declaration: true }) || tryClass(j, { declaration: true }) ||
+                        (isName(j, 'abstract') && tryClass(j + 1, { declaration: true, abstract: true }));
+                    if (declared) return finish(declared.next - 1, { declaration: declared.node }, 'ExportDefaultDeclaration');
+                    const scanned = scanExpression(j, end, { statement: true });
+                    const declaration = scanned.nodes.length === 1 && scanned.nodes[0].start === t[j]?.start
+                        ? scanned.nodes[0]
+                        : unparsed(j, Math.max(scanned.next - 1, j), scanned.nodes);
+                    return finish(Math.max(scanned.next - 1, j), { declaration }, 'ExportDefaultDeclaration');
+                }
+                
+                let exportKind = 'value';
+                if (isName(j, 'type') && (is(j + 1, '{') || is(j + 1, '*'))) {
+                    exportKind = 'type';
+                    j++;
+                }
+                
+                if (is(j, '*')) {
+                    let last = j;
+                    let exported = null;
+                    if (isName(j + 1, 'as')) {
+                        exported = literal(j + 2);
+                        last = j + 2;
+                    }
+                    if (!isName(last + 1, 'from')) return { nodes: [], next: last + 1 };
+                    const source = literal(last + 2);
+                    if (exported) {
+                        const specifier = node('ExportNamespaceSpecifier', j, last, { exported });
+                        return finish(last + 2, { specifiers: [specifier], source, declaration: null, exportKind });
+                    }
+                    return finish(last + 2, { source, exportKind }, 'ExportAllDeclaration');
+                }
+                
+                if (is(j, '{')) {
+                    const listEnd = close(j);
+                    const specifiers = [];
+                    segments(j + 1, listEnd).forEach(([s, e]) => {
+                        let k = s;
+                        if (isName(k, 'type') && e - s > 1 && !isName(k + 1, 'as')) k++;
+                        if (k >= e) return;
+                        const local = literal(k);
+                        const exported = isName(k + 1, 'as') && k + 2 < e ? literal(k + 2) : literal(k);
+                        specifiers.push(node('ExportSpecifier', s, e - 1, { local, exported }));
+                    });
+                    let last = listEnd;
+                    let source = null;
+                    if (isName(listEnd + 1, 'from') && t[listEnd + 2]?.type === 'string') {
+                        source = literal(listEnd + 2);
+                        last = listEnd + 2;
+                    }
+                    return finish(last, { specifiers, source, declaration: null, exportKind });
+                }
+                
+                const declared = parseStatement(j, end);
+                const declaration = declared.nodes[0] || null;
+                const next = Math.max(declared.next, j + 1);
+                return { nodes: [node('ExportNamedDeclaration', i, next - 1, { declaration, specifiers: [], source: null, exportKind })], next };
+            };
+            
+            const parseTypeMembers = (open) => {
+                // Interface and type literal members, separated by ';', ',' or line breaks
+                const end = close(open);
+                const members = [];
+                const signature = (j) => {
+                    const { typeParameters, next: paramsAt } = parseTypeParameters(j);
+                    const parameters = is(paramsAt, '(') ? parseParams(paramsAt) : [];
+                    let k = is(paramsAt, '(') ? close(paramsAt) + 1 : paramsAt;
+                    let typeAnnotation = null;
+                    if (is(k, ':')) {
+                        const typeEnd = skipType(k + 1, end, [';', ',', 'asi']);
+                        typeAnnotation = node('TSTypeAnnotation', k, typeEnd - 1);
+                        k = typeEnd;
+                    }
+                    return { props: { typeParameters, parameters, typeAnnotation }, next: k };
+                };
+                
+                let j = open + 1;
+                while (j < end) {
+                    if (is(j, ';') || is(j, ',')) {
+                        j++;
+                        continue;
+                    }
+                    const memberStart = j;
+                    let readonly = false;
+                    if (isName(j, 'readonly') && !t[j + 1].nl && readKey(j + 1)) {
+                        readonly = true;
+                        j++;
+                    }
+                    
+                    if (is(j, '(') || is(j, '<') || (isName(j, 'new') && (is(j + 1, '(') || is(j + 1, '<')))) {
+                        const type = isName(j, 'new') ? 'TSConstructSignatureDeclaration' : 'TSCallSignatureDeclaration';
+                        const parsed = signature(isName(j, 'new') ? j + 1 : j);
+                        members.push(node(type, memberStart, parsed.next - 1, parsed.props));
+                        j = Math.max(parsed.next, memberStart + 1);
+                        continue;
+                    }
+                    if (is(j, '[') && isName(j + 1) && is(j + 2, ':')) {
+                        const bracketEnd = close(j);
+                        const parameter = { ...identifier(j + 1), typeAnnotation: node('TSTypeAnnotation', j + 2, bracketEnd - 1) };
+                        let k = bracketEnd + 1;
+                        let typeAnnotation = null;
+                        if (is(k, ':')) {
+                            const typeEnd = skipType(k + 1, end, [';', ',', 'asi']);
+                            typeAnnotation = node('TSTypeAnnotation', k, typeEnd - 1);
+                            k = typeEnd;
+                        }
+                        members.push(node('TSIndexSignature', memberStart, k - 1, { parameters: [parameter], typeAnnotation, readonly }));
+                        j = Math.max(k, memberStart + 1);
+                        continue;
+                    }
+                    
+                    let kind = 'method';
+                    if ((isName(j, 'get') || isName(j, 'set')) && !is(j + 1, '(') && !is(j + 1, '?') && !is(j + 1, ':') && readKey(j + 1)) {
+                        kind = t[j].value;
+                        j++;
+                    }
+                    const key = readKey(j);
+                    if (!key) {
+                        j = skipType(j + 1, end, [';', ',', 'asi']);
+                        continue;
+                    }
+                    j = key.next;
+                    const optional = is(j, '?');
+                    if (optional) j++;
+                    const base = { key: key.key, computed: key.computed, optional };
+                    
+                    if (is(j, '(') || is(j, '<')) {
+                        const parsed = signature(j);
+                        members.push(node('TSMethodSignature', memberStart, parsed.next - 1, { ...base, kind, ...parsed.props }));
+                        j = Math.max(parsed.next, memberStart + 1);
+                        continue;
+                    }
+                    let typeAnnotation = null;
+                    if (is(j, ':')) {
+                        const typeEnd = skipType(j + 1, end, [';', ',', 'asi']);
+                        typeAnnotation = node('TSTypeAnnotation', j, typeEnd - 1);
+                        j = typeEnd;
+                    }
+                    members.push(node('TSPropertySignature', memberStart, Math.max(j - 1, memberStart), { ...base, readonly, typeAnnotation }));
+                    j = Math.max(j, memberStart + 1);
+                }
+                return members;
+            };
+            
+            const parseTypeDeclaration = (i, end) => {
+                // interface / type / enum / namespace, with type text kept as source spans
+                const keyword = t[i].value;
+                if (keyword === 'interface' && isName(i + 1)) {
+                    const { typeParameters, next: heritageAt } = parseTypeParameters(i + 2);
+                    const interfaceExtends = [];
+                    let bodyStart = heritageAt;
+                    if (isName(heritageAt, 'extends')) {
+                        bodyStart = skipType(heritageAt + 1, end, ['{']);
+                        segments(heritageAt + 1, bodyStart).forEach(([s, e]) => interfaceExtends.push(node('TSExpressionWithTypeArguments', s, e - 1)));
+                    }
+                    if (!is(bodyStart, '{')) return null;
+                    const bodyEnd = close(bodyStart);
+                    const body = node('TSInterfaceBody', bodyStart, bodyEnd, { body: parseTypeMembers(bodyStart) });
+                    const props = { id: identifier(i + 1), typeParameters, extends: interfaceExtends, body };
+                    return { nodes: [node('TSInterfaceDeclaration', i, bodyEnd, props)], next: bodyEnd + 1 };
+                }
+                if (keyword === 'type' && isName(i + 1) && (is(i + 2, '=') || is(i + 2, '<'))) {
+                    const { typeParameters, next: equalsAt } = parseTypeParameters(i + 2);
+                    const k = skipType(equalsAt + 1, end, [';', 'asi']);
+                    const typeAnnotation = node('UnparsedType', equalsAt + 1, k - 1);
+                    const props = { id: identifier(i + 1), typeParameters, typeAnnotation };
+                    return { nodes: [node('TSTypeAliasDeclaration', i, k - 1, props)], next: is(k, ';') ? k + 1 : k };
+                }
+                const isConstEnum = keyword === 'const' && isName(i + 1, 'enum');
+                if ((keyword === 'enum' || isConstEnum) && isName(i + (isConstEnum ? 2 : 1))) {
+                    const nameAt = i + (isConstEnum ? 2 : 1);
+                    if (!is(nameAt + 1, '{')) return null;
+                    const bodyEnd = close(nameAt + 1);
+                    const members = segments(nameAt + 2, bodyEnd).filter(([s, e]) => s < e).map(([s, e]) => node('TSEnumMember', s, e - 1, {
+                        id: literal(s),
+                        initializer: is(s + 1, '=') && s + 2 < e ? unparsed(s + 2, e - 1, []) : null
+                    }));
+                    return { nodes: [node('TSEnumDeclaration', i, bodyEnd, { id: identifier(nameAt), members, const: isConstEnum })], next: bodyEnd + 1 };
+                }
+                if (keyword === 'global' && is(i + 1, '{')) {
+                    const bodyEnd = close(i + 1);
+                    const body = node('TSModuleBlock', i + 1, bodyEnd, { body: parseStatements(i + 2, bodyEnd) });
+                    return { nodes: [node('TSModuleDeclaration', i, bodyEnd, { id: identifier(i), body, global: true })], next: bodyEnd + 1 };
+                }
+                if ((keyword === 'namespace' || keyword === 'module') && (isName(i + 1) || t[i + 1]?.type === 'string')) {
+                    let k = i + 1;
+                    while (isName(k) && is(k + 1, '.')) k += 2;
+                    if (!is(k + 1, '{')) return null;
+                    const bodyEnd = close(k + 1);
+                    const body = node('TSModuleBlock', k + 1, bodyEnd, { body: parseStatements(k + 2, bodyEnd) });
+                    return { nodes: [node('TSModuleDeclaration', i, bodyEnd, { id: literal(i + 1), body })], next: bodyEnd + 1 };
+                }
+                return null;
+            };
+            
+            const parseStatement = (i, end) => {
+                const tok = t[i];
+                
+                if (is(i, ';')) return { nodes: [], next: i + 1 };
+                if (is(i, '{')) {
+                    const blockEnd = close(i);
+                    return { nodes: [node('BlockStatement', i, blockEnd, { body: parseStatements(i + 1, blockEnd) })], next: blockEnd + 1 };
+                }
+                if (is(i, '@')) {
+                    let j = i + 1;
+                    while (isName(j) || is(j, '.')) j++;
+                    if (is(j, '(')) j = close(j) + 1;
+                    return { nodes: [], next: j };
+                }
+                
+                if (tok.type === 'name') {
+                    const word = tok.value;
+                    if (word === 'import' && !is(i + 1, '(') && !is(i + 1, '.')) return parseImport(i);
+                    if (word === 'export') return parseExport(i, end);
+                    
+                    const declared = tryFunction(i, { declaration: true }) || tryClass(i, { declaration: true }) ||
+                        (word === 'abstract' && tryClass(i + 1, { declaration: true, abstract: true }));
+                    if (declared) return { nodes: [declared.node], next: declared.next };
+                    if (word === 'declare' && !t[i + 1]?.nl && isName(i + 1)) {
+                        const ambient = parseStatement(i + 1, end);
+                        ambient.nodes.forEach(n => { n.declare = true; });
+                        return ambient;
+                    }
+                    
+                    const typeDeclaration = ['interface', 'type', 'enum', 'namespace', 'module', 'const', 'global'].includes(word) && parseTypeDeclaration(i, end);
+                    if (typeDeclaration) return typeDeclaration;
+                    
+                    if ((word === 'const' || word === 'var' || (word === 'let' && (isName(i + 1) || is(i + 1, '{') || is(i + 1, '[')))) &&
+                        (isName(i + 1) || is(i + 1, '{') || is(i + 1, '['))) {
+                        return parseVariable(i, end);
+                    }
+                    
+                    if (CONTROL_KEYWORDS.has(word) && is(i + 1, '(')) {
+                        const parenEnd = close(i + 1);
+                        const nested = scanExpression(i + 2, parenEnd, {}).nodes;
+                        return { nodes: nested.length > 0 ? [unparsed(i, parenEnd, nested)] : [], next: parenEnd + 1 };
+                    }
+                    if (['else', 'try', 'finally', 'do'].includes(word)) return { nodes: [], next: i + 1 };
+                    if (word === 'default' && is(i + 1, ':')) return { nodes: [], next: i + 2 };
+                    if (word === 'case') {
+                        const scanned = scanExpression(i + 1, end, { stopAt: [':'] });
+                        return { nodes: scanned.nodes, next: scanned.next + 1 };
+                    }
+                    if (is(i + 1, ':') && !['return', 'throw', 'yield', 'await'].includes(word)) {
+                        return { nodes: [], next: i + 2 };
+                    }
+                }
+                
+                const scanned = scanExpression(i, end, { statement: true });
+                const last = Math.max(scanned.next - 1, i);
+                const nodes = scanned.nodes.map(expression => ({ ...node('ExpressionStatement', i, last), expression }));
+                return { nodes, next: is(scanned.next, ';') ? scanned.next + 1 : Math.max(scanned.next, i + 1) };
+            };
+            
+            const parseStatements = (start, end) => {
+                const body = [];
+                let j = start;
+                while (j < end) {
+                    const result = parseStatement(j, end);
+                    body.push(...result.nodes);
+                    j = Math.max(result.next, j + 1);
+                }
+                return body;
+            };
+            
+            const program = {
+                type: 'Program',
+                sourceType: 'module',
+                start: 0,
+                end: code.length,
+                loc: { start: locAt(0), end: locAt(code.length) },
+                body: parseStatements(0, count)
+            };
+            return { type: 'File', start: 0, end: code.length, loc: program.loc, program, comments: [], fallback: true };
+        };
+        
+        return { tokenize, parse };
+    }
+    
+    // ================ LANGUAGES ================
+    
+    _normalizeLanguage(definition) {
+        const id = definition?.id;
+        if (typeof id !== 'string' || !id.trim()) {
+            throw new Error('Language definition needs a string `id`');
+        }
+        
+        const list = (field) => {
+            const value = definition[field] ?? [];
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                throw new Error(`Language ${id}: \`${field}\` must be an array of strings`);
+            }
+            return value.map(item => item.toLowerCase());
+        };
+        ['analyze', 'dependencies'].forEach(hook => {
+            if (definition[hook] !== undefined && typeof definition[hook] !== 'function') {
+                throw new Error(`Language ${id}: \`${hook}\` must be a function`);
+            }
+        });
+        
+        // detect: a RegExp tested against the content, or (content, fileName) => boolean
+        let detect = definition.detect;
+        if (detect instanceof RegExp) {
+            const pattern = new RegExp(detect.source, detect.flags.replace(/[gy]/g, ''));
+            detect = (content) => pattern.test(content);
+        } else if (detect !== undefined && typeof detect !== 'function') {
+            throw new Error(`Language ${id}: \`detect\` must be a RegExp or a function`);
+        }
+        
+        // complexityRules: decision points as RegExps or pattern strings
+        const rules = definition.complexityRules ?? [];
+        if (!Array.isArray(rules) || rules.some(rule => !(rule instanceof RegExp) && typeof rule !== 'string')) {
+            throw new Error(`Language ${id}: \`complexityRules\` must be an array of RegExps or strings`);
+        }
+        const complexityRules = rules.map(rule => (rule instanceof RegExp
+            ? new RegExp(rule.source, rule.flags.includes('g') ? rule.flags : `${rule.flags}g`)
+            : new RegExp(rule, 'g')));
+        
+        return {
+            ...definition,
+            id,
+            extensions: list('extensions').map(ext => (ext.startsWith('.') ? ext : `.${ext}`)),
+            filenames: list('filenames'),
+            interpreters: list('interpreters'),
+            aliases: list('aliases'),
+            detect,
+            complexityRules,
+            tokenMetrics: Boolean(definition.tokenMetrics),
+            builtin: false
+        };
+    }
+    
+    _rankLanguages(content, fileName, ext) {
+        // Each piece of evidence is an independent vote; a language's confidence combines its votes
+        // as 1 - Π(1 - weight), so a filename or extension outweighs any content signature alone
+        const WEIGHTS = { modeline: 0.95, shebang: 0.9, filename: 0.9, extension: 0.8, content: 0.3 };
+        const name = fileName.toLowerCase();
+        const candidates = new Map();
+        const vote = (language, source, value) => {
+            if (!language) return;
+            if (!candidates.has(language.id)) candidates.set(language.id, { language: language.id, evidence: [] });
+            candidates.get(language.id).evidence.push({ source, value, weight: WEIGHTS[source] });
+        };
+        const byAlias = (alias) => {
+            let found = null;
+            for (const language of this.languages.values()) {
+                if (language.id === alias || language.aliases.includes(alias)) found = language;
+            }
+            return found;
+        };
+        
+        // Filenames and extensions: later registrations override earlier ones
+        let byFilename = null;
+        let byExtension = null;
+        for (const language of this.languages.values()) {
+            if (language.filenames.includes(name)) byFilename = language;
+            if (ext && language.extensions.includes(ext)) byExtension = language;
+        }
+        vote(byFilename, 'filename', fileName);
+        vote(byExtension, 'extension', ext);
+        
+        // Shebang: the interpreter's name, looking through `env [-S] [VAR=x]` and version suffixes
+        const firstLine = content.slice(0, content.indexOf('\n') === -1 ? content.length : content.indexOf('\n'));
+        const shebang = /^#!\s*(\S+)(.*)$/.exec(firstLine.trim());
+        if (shebang) {
+            let program = shebang[1].split('/').pop();
+            if (program === 'env') {
+                program = shebang[2].trim().split(/\s+/).find(arg => arg && !arg.startsWith('-') && !arg.includes('=')) || '';
+            }
+            program = program.toLowerCase();
+            const bare = program.replace(/[\d.]+$/, '');
+            for (const language of this.languages.values()) {
+                if (language.interpreters.includes(program) || language.interpreters.includes(bare)) {
+                    vote(language, 'shebang', firstLine.trim());
+                    break;
+                }
+            }
+        }
+        
+        // Modelines in the first or last five lines: `vim: set ft=python:` or `-*- mode: ruby -*-`
+        const lines = content.split('\n');
+        const edges = lines.length > 10 ? [...lines.slice(0, 5), ...lines.slice(-5)] : lines;
+        for (const line of edges) {
+            const vim = /(?:^|\s)(?:vi|vim|ex)(?:[<=>]?\d+)?:.*?\b(?:ft|filetype|syntax)=([\w+#.-]+)/.exec(line);
+            const emacs = /-\*-(.*?)-\*-/.exec(line);
+            let mode = vim ? vim[1] : null;
+            if (!mode && emacs) {
+                mode = emacs[1].includes(':') ? /(?:^|;)\s*mode:\s*([\w+#-]+)/i.exec(emacs[1])?.[1] : emacs[1].trim();
+            }
+            if (!mode) continue;
+            const language = byAlias(mode.toLowerCase().replace(/(?:-ts)?-mode$/, ''));
+            if (language) {
+                vote(language, 'modeline', line.trim());
+                break;
+            }
+        }
+        
+        // Content signatures are weak on their own: `import x` is valid JavaScript and Python
+        for (const language of this.languages.values()) {
+            if (language.detect && language.detect(content, fileName)) vote(language, 'content', 'signature');
+        }
+        
+        // Ties keep registration order, which lists the more specific signatures first
+        const order = Array.from(this.languages.keys());
+        return Array.from(candidates.values())
+            .map(candidate => ({
+                ...candidate,
+                confidence: Math.round((1 - candidate.evidence.reduce((rest, e) => rest * (1 - e.weight), 1)) * 100) / 100
+            }))
+            .sort((a, b) => b.confidence - a.confidence || order.indexOf(a.language) - order.indexOf(b.language));
+    }
+    
+    _languageOverride(filePath) {
+        // options.languageOverrides: { glob: languageId }, matched like entryPoints; the last match wins
+        const overrides = Object.entries(this.options.languageOverrides || {});
+        if (!overrides.length) return null;
+        
+        const relative = this.projectRoot && this.path.isAbsolute(filePath) ? this.path.relative(this.projectRoot, filePath) : filePath.replace(/^\.\//, '');
+        const name = this.path.basename(filePath);
+        let match = null;
+        overrides.forEach(([glob, language]) => {
+            if (this._compileGlob(glob).test(relative, name)) match = { glob, language };
+        });
+        if (match && !this.languages.has(match.language)) {
+            console.warn(`⚠️ languageOverrides: "${match.glob}" maps to unregistered language ${match.language}`);
+        }
+        return match;
+    }
+    
+    _registerBuiltinLanguages() {
+        const parser = this.parser;
+        const analyzeJavaScript = (language) => (content, { filePath }) => parser.analyzeJavaScript(content, { language, filePath });
+        const analyzeJavaScriptImports = (code) => parser.analyzeJavaScriptImports(code);
+        
+        // Content signatures break ties in this order, so keep the more specific ones first
+        const builtins = [
+            {
+                id: 'javascript',
+                extensions: ['.js', '.jsx', '.mjs', '.cjs'],
+                interpreters: ['node', 'nodejs', 'bun'],
+                aliases: ['js', 'jsx', 'js2', 'rjsx'],
+                tokenMetrics: true,
+                analyze: analyzeJavaScript('javascript'),
+                dependencies: analyzeJavaScriptImports
+            },
+            {
+                id: 'typescript',
+                extensions: ['.ts', '.tsx', '.mts', '.cts'],
+                interpreters: ['ts-node', 'tsx', 'deno'],
+                aliases: ['ts', 'tsx'],
+                tokenMetrics: true,
+                analyze: (content, context) => {
+                    const structure = analyzeJavaScript('typescript')(content, context);
+                    return { ...structure, types: { interfaces: structure.interfaces, typeAliases: structure.typeAliases, enums: structure.enums } };
+                },
+                dependencies: analyzeJavaScriptImports
+            },
+            { id: 'php', extensions: ['.php', '.phtml'], interpreters: ['php'], detect: /<\?php/, tokenMetrics: true },
+            {
+                id: 'shell',
+                extensions: ['.sh', '.bash', '.zsh'],
+                interpreters: ['sh', 'bash', 'zsh', 'dash', 'ksh'],
+                aliases: ['sh', 'bash', 'zsh', 'shell-script'],
+                detect: /^#!\/bin\/(?:bash|sh|zsh)/m
+            },
+            { id: 'html', extensions: ['.html', '.htm', '.xhtml'], aliases: ['xhtml', 'mhtml'], detect: /<!DOCTYPE html|<html[^>]*>/i },
+            { id: 'xml', extensions: ['.xml', '.xsd', '.xsl'], detect: /<\?xml version=/ },
+            {
+                id: 'python',
+                extensions: ['.py', '.pyw'],
+                interpreters: ['python', 'pypy'],
+                aliases: ['py', 'python3'],
+                detect: /^#!.*python|def\s+\w+\(|import\s+\w+/m,
+                analyze: (content) => parser.analyzePython(content),
+                dependencies: (code) => parser.analyzePythonImports(code),
+                complexityRules: [/\bif\b/, /\belif\b/, /\bfor\b/, /\bwhile\b/, /\bexcept\b/, /\band\b/, /\bor\b/, /\bcase\b/]
+            },
+            {
+                id: 'ruby',
+                extensions: ['.rb', '.erb'],
+                interpreters: ['ruby', 'jruby'],
+                aliases: ['rb'],
+                detect: /^#!.*ruby|def\s+\w+|require\s+['"]/m,
+                complexityRules: [/\bif\b/, /\belsif\b/, /\bunless\b/, /\bwhile\b/, /\buntil\b/, /\bfor\b/, /\bwhen\b/, /\brescue\b/, /&&/, /\|\|/, /\band\b/, /\bor\b/]
+            },
+            { id: 'java', extensions: ['.java', '.class'], detect: /public\s+class|import\s+java\.|@Override/, tokenMetrics: true },
+            { id: 'csharp', extensions: ['.cs'], aliases: ['cs', 'csharp'], detect: /using\s+System|public\s+class|namespace\s+\w+/, tokenMetrics: true },
+            { id: 'cpp', extensions: ['.cpp', '.cc', '.cxx', '.h', '.hpp'], aliases: ['c++'], detect: /#include\s+<[^>]+>|using\s+namespace|std::/, tokenMetrics: true },
+            { id: 'rust', extensions: ['.rs'], aliases: ['rs'], detect: /fn\s+\w+\(|let\s+\w+:|use\s+\w+::/, tokenMetrics: true },
+            { id: 'go', extensions: ['.go'], detect: /package\s+main|func\s+\w+\(|import\s+\(/, tokenMetrics: true },
+            { id: 'swift', extensions: ['.swift'], detect: /import\s+Foundation|func\s+\w+\(|let\s+\w+/, tokenMetrics: true },
+            { id: 'kotlin', extensions: ['.kt', '.kts'], aliases: ['kt'], detect: /fun\s+\w+\(|import\s+\w+\.|val\s+\w+/, tokenMetrics: true },
+            { id: 'c', extensions: ['.c'], tokenMetrics: true },
+            { id: 'css', extensions: ['.css'] },
+            { id: 'scss', extensions: ['.scss'] },
+            { id: 'sass', extensions: ['.sass'] },
+            { id: 'less', extensions: ['.less'] },
+            { id: 'sql', extensions: ['.sql'] },
+            { id: 'json', extensions: ['.json', '.json5'], filenames: ['.eslintrc', '.prettierrc'] },
+            { id: 'yaml', extensions: ['.yml', '.yaml'], aliases: ['yml'] },
+            { id: 'markdown', extensions: ['.md', '.markdown'], aliases: ['md', 'gfm'] },
+            { id: 'text', extensions: ['.txt', '.text'], aliases: ['txt', 'fundamental'] },
+            { id: 'powershell', extensions: ['.ps1', '.psm1'], interpreters: ['pwsh', 'powershell'], aliases: ['ps1', 'pwsh'] },
+            { id: 'docker', extensions: ['.dockerfile'], filenames: ['dockerfile'], aliases: ['dockerfile'] },
+            { id: 'env', extensions: ['.env'], filenames: ['.env', '.env.local'] },
+            { id: 'gitignore', filenames: ['.gitignore', '.gitattributes'] },
+            { id: 'toml', extensions: ['.toml'] },
+            { id: 'ini', extensions: ['.ini'] },
+            { id: 'csv', extensions: ['.csv'] },
+            { id: 'tsv', extensions: ['.tsv'] }
+        ];
+        
+        // Built-in analyzers also exist in analysis workers; plugin analyzers only on this thread
+        builtins.forEach(definition => {
+            const language = this._normalizeLanguage(definition);
+            this.languages.set(language.id, { ...language, builtin: true });
+        });
+    }
+    
+    _createLanguageParser() {
+        // Real language parser with AST support where possible
+        const runtime = this;
+        const fallback = this._createJavaScriptParser();
+        // A Babel-compatible { parse(code, options) }: options.parser, or @babel/parser once load() found it
+        const injected = typeof this.options.parser?.parse === 'function' ? this.options.parser : null;
+        let babel = null;
+        let loading = null;
+        
+        return {
+            // This file is an ES module, so the optional @babel/parser can only be imported
+            // asynchronously; startTracking and analysis workers wait for it before analyzing
+            load() {
+                if (injected) return Promise.resolve();
+                return loading || (loading = import('@babel/parser')
+                    .then(module => { babel = typeof module.parse === 'function' ? module : module.default; })
+                    .catch(() => { /* not installed: the bundled parser is used */ }));
+            },
+            
+            engine() {
+                return injected ? 'custom' : babel ? 'babel' : 'bundled';
+            },
+            
+            parseJavaScript(code, options = {}) {
+                const typescript = options.language === 'typescript' || /\.[cm]?tsx?$/.test(options.filePath || '');
+                const jsx = !typescript || /\.tsx$/.test(options.filePath || '');
+                const parser = injected || babel;
+                
+                if (parser) {
+                    try {
+                        return parser.parse(code, {
+                            sourceType: 'unambiguous',
+                            errorRecovery: true,
+                            plugins: [typescript ? 'typescript' : 'flow', jsx && 'jsx', 'decorators-legacy'].filter(Boolean)
+                        });
+                    } catch (e) {
+                        // Fall back to the bundled parser
+                    }
+                }
+                
+                return fallback.parse(code);
+            },
+            
+            tokenize: fallback.tokenize,
+            
+            analyzeJavaScript(code, options = {}) {
+                const ast = this.parseJavaScript(code, options);
+                return { ast, ...this.extractJavaScript(ast, code) };
+            },
+            
+            extractJavaScript(ast, code) {
+                // One pass over a Babel-shaped tree (real or fallback) collecting the structure
+                const result = { functions: [], classes: [], imports: [], exports: [], variables: [], interfaces: [], typeAliases: [], enums: [] };
+                const program = ast.program || ast;
+                const text = (node) => code.slice(node.start, node.end);
+                // Annotations span the leading ':' (`: string`); the type is what follows it
+                const typeText = (node) => (node ? text(node).replace(/^\s*:\s*/, '').replace(/\s+/g, ' ').trim() : undefined);
+                const span = (node) => ({ line: node.loc.start.line, endLine: node.loc.end.line, start: node.start, end: node.end });
+                const WRAPPERS = new Set(['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'ParenthesizedExpression', 'TypeCastExpression']);
+                
+                const keyName = (key, computed) => {
+                    if (!key) return null;
+                    if (computed) return `[${text(key).replace(/^\[|\]$/g, '')}]`;
+                    if (key.type === 'Identifier') return key.name;
+                    if (key.type === 'PrivateName') return `#${key.id.name}`;
+                    if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+                    return text(key);
+                };
+                
+                const bindingNames = (pattern) => {
+                    if (!pattern) return [];
+                    switch (pattern.type) {
+                        case 'Identifier': return [pattern.name];
+                        case 'ObjectPattern': return pattern.properties.flatMap(p => bindingNames(p.type === 'RestElement' ? p.argument : p.value));
+                        case 'ArrayPattern': return pattern.elements.flatMap(bindingNames);
+                        case 'AssignmentPattern': return bindingNames(pattern.left);
+                        case 'RestElement': return bindingNames(pattern.argument);
+                        case 'TSParameterProperty': return bindingNames(pattern.parameter);
+                        default: return [];
+                    }
+                };
+                
+                const paramDetail = (param) => {
+                    switch (param.type) {
+                        case 'TSParameterProperty': return paramDetail(param.parameter);
+                        case 'AssignmentPattern': return { ...paramDetail(param.left), default: text(param.right), optional: true };
+                        case 'RestElement': {
+                            const detail = paramDetail(param.argument);
+                            return { ...detail, rest: true, type: typeText(param.typeAnnotation) ?? detail.type };
+                        }
+                        case 'Identifier': return { name: param.name, type: typeText(param.typeAnnotation), optional: Boolean(param.optional), rest: false, default: undefined };
+                        default: {
+                            // Destructured: show the pattern without its type annotation
+                            const end = param.typeAnnotation ? param.typeAnnotation.start : param.end;
+                            const source = code.slice(param.start, end).replace(/[\s?:]+$/, '');
+                            return { name: source, type: typeText(param.typeAnnotation), pattern: true, bindings: bindingNames(param), optional: false, rest: false, default: undefined };
+                        }
+                    }
+                };
+                
+                const isTopLevel = (ancestors) => {
+                    // Directly in the program, possibly through an export and/or a variable declaration
+                    const chain = ancestors.filter(a => !WRAPPERS.has(a.type));
+                    let i = chain.length - 1;
+                    if (chain[i]?.type === 'VariableDeclarator') i -= 2;
+                    else if (chain[i]?.type === 'VariableDeclaration') i -= 1;
+                    if (/^Export/.test(chain[i]?.type || '')) i--;
+                    return chain[i]?.type === 'Program';
+                };
+                
+                const enclosingClass = (ancestors) => {
+                    for (let i = ancestors.length - 1; i >= 0; i--) {
+                        const a = ancestors[i];
+                        if (a.type === 'ClassDeclaration' || a.type === 'ClassExpression') return a;
+                    }
+                    return null;
+                };
+                
+                const isExported = (ancestors) => /^Export/.test(ancestors[ancestors.length - 1]?.type || '');
+                
+                const className = (cls, ancestors) => {
+                    if (!cls) return null;
+                    if (cls.id) return cls.id.name;
+                    const parent = ancestors[ancestors.indexOf(cls) - 1];
+                    if (parent?.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+                    if (parent?.type === 'ExportDefaultDeclaration') return 'default';
+                    return null;
+                };
+                
+                const addFunction = (node, name, kind, ancestors, extra = {}) => {
+                    const paramDetails = node.params.filter(p => !(p.type === 'Identifier' && p.name === 'this')).map(paramDetail);
+                    result.functions.push({
+                        name,
+                        kind,
+                        className: null,
+                        static: false,
+                        async: Boolean(node.async),
+                        generator: Boolean(node.generator),
+                        params: paramDetails.map(p => p.name),
+                        paramDetails,
+                        typeParameters: node.typeParameters ? text(node.typeParameters) : undefined,
+                        returnType: typeText(node.returnType),
+                        // Overload signatures and ambient declarations have no body
+                        declaration: /^TSDeclare/.test(node.type),
+                        topLevel: false,
+                        ...span(node),
+                        ...extra
+                    });
+                };
+                
+                const visitFunction = (node, ancestors) => {
+                    const kind = node.type === 'ArrowFunctionExpression' ? 'arrow' : 'function';
+                    if (node.type === 'FunctionDeclaration' || node.type === 'TSDeclareFunction') {
+                        const parent = ancestors[ancestors.length - 1];
+                        const name = node.id?.name || (parent?.type === 'ExportDefaultDeclaration' ? 'default' : null);
+                        if (name) addFunction(node, name, kind, ancestors, { topLevel: isTopLevel(ancestors) });
+                        return;
+                    }
+                    
+                    // Expressions take their name from where they are stored
+                    let index = ancestors.length - 1;
+                    while (index >= 0 && WRAPPERS.has(ancestors[index].type)) index--;
+                    const parent = ancestors[index];
+                    const child = ancestors[index + 1] || node;
+                    if (!parent) return;
+                    
+                    if (parent.type === 'VariableDeclarator' && parent.init === child && parent.id.type === 'Identifier') {
+                        addFunction(node, parent.id.name, kind, ancestors, { topLevel: isTopLevel(ancestors.slice(0, index + 1)) });
+                    } else if (parent.type === 'AssignmentExpression' && parent.right === child) {
+                        const left = parent.left;
+                        if (left.type === 'Identifier') {
+                            addFunction(node, left.name, kind, ancestors);
+                        } else if (left.type === 'MemberExpression' && !left.computed && left.property.type === 'Identifier') {
+                            // Foo.prototype.bar = function () {} is a method of Foo
+                            const object = left.object;
+                            const owner = object.type === 'MemberExpression' && object.property?.name === 'prototype' && object.object.type === 'Identifier'
+                                ? object.object.name
+                                : null;
+                            addFunction(node, left.property.name, owner ? 'method' : kind, ancestors, { className: owner });
+                        }
+                    } else if (parent.type === 'ObjectProperty' && parent.value === child) {
+                        addFunction(node, keyName(parent.key, parent.computed), kind, ancestors);
+                    } else if ((parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty') && parent.value === child) {
+                        const cls = enclosingClass(ancestors);
+                        addFunction(node, keyName(parent.key, parent.computed), kind, ancestors, {
+                            className: className(cls, ancestors),
+                            static: Boolean(parent.static)
+                        });
+                    } else if (parent.type === 'ExportDefaultDeclaration') {
+                        addFunction(node, node.id?.name || 'default', kind, ancestors, { topLevel: true });
+                    } else if (node.id?.name) {
+                        addFunction(node, node.id.name, kind, ancestors);
+                    }
+                };
+                
+                const visitMethod = (node, ancestors) => {
+                    const kinds = { get: 'getter', set: 'setter', constructor: 'constructor', method: 'method' };
+                    const cls = node.type === 'ObjectMethod' ? null : enclosingClass(ancestors);
+                    addFunction(node, keyName(node.key, node.computed), kinds[node.kind] || 'method', ancestors, {
+                        className: className(cls, ancestors),
+                        static: Boolean(node.static),
+                        accessibility: node.accessibility || undefined,
+                        abstract: Boolean(node.abstract)
+                    });
+                };
+                
+                const classMember = (member) => {
+                    const base = {
+                        name: keyName(member.key, member.computed),
+                        static: Boolean(member.static),
+                        accessibility: member.accessibility || (member.key?.type === 'PrivateName' ? 'private' : undefined),
+                        abstract: Boolean(member.abstract),
+                        optional: Boolean(member.optional)
+                    };
+                    if (/Property$/.test(member.type)) {
+                        return { ...base, kind: 'property', readonly: Boolean(member.readonly), type: typeText(member.typeAnnotation) };
+                    }
+                    const kinds = { get: 'getter', set: 'setter', constructor: 'constructor', method: 'method' };
+                    return {
+                        ...base,
+                        kind: kinds[member.kind] || 'method',
+                        typeParameters: member.typeParameters ? text(member.typeParameters) : undefined,
+                        params: member.params.map(paramDetail),
+                        returnType: typeText(member.returnType)
+                    };
+                };
+                
+                const visitClass = (node, ancestors) => {
+                    const members = node.body.body;
+                    const methods = members.filter(m => /Method$/.test(m.type) && m.type !== 'TSDeclareMethod');
+                    const properties = members.filter(m => /Property$/.test(m.type));
+                    const described = members.filter(m => /(Method|Property)$/.test(m.type)).map(classMember);
+                    
+                    // constructor(private readonly name: string) also declares a property
+                    const constructor = members.find(m => /Method$/.test(m.type) && m.kind === 'constructor');
+                    (constructor?.params || []).filter(p => p.type === 'TSParameterProperty').forEach(p => {
+                        const detail = paramDetail(p);
+                        described.push({
+                            name: detail.name,
+                            kind: 'property',
+                            static: false,
+                            accessibility: p.accessibility || undefined,
+                            abstract: false,
+                            optional: detail.optional,
+                            readonly: Boolean(p.readonly),
+                            type: detail.type
+                        });
+                    });
+                    
+                    result.classes.push({
+                        name: className(node, ancestors.concat(node)) || 'anonymous',
+                        typeParameters: node.typeParameters ? text(node.typeParameters) : undefined,
+                        extends: node.superClass ? text(node.superClass) + (node.superTypeParameters ? text(node.superTypeParameters) : '') : undefined,
+                        implements: node.implements?.length ? node.implements.map(text) : undefined,
+                        abstract: Boolean(node.abstract),
+                        exported: isExported(ancestors),
+                        methods: methods.map(m => keyName(m.key, m.computed)),
+                        properties: properties.map(p => keyName(p.key, p.computed)),
+                        members: described,
+                        ...span(node)
+                    });
+                };
+                
+                const typeMember = (member) => {
+                    const optional = Boolean(member.optional);
+                    switch (member.type) {
+                        case 'TSPropertySignature':
+                            return { name: keyName(member.key, member.computed), kind: 'property', type: typeText(member.typeAnnotation), optional, readonly: Boolean(member.readonly) };
+                        case 'TSMethodSignature': {
+                            // Babel 7 calls these `parameters`/`typeAnnotation`, Babel 8 `params`/`returnType`
+                            const kinds = { get: 'getter', set: 'setter' };
+                            return {
+                                name: keyName(member.key, member.computed),
+                                kind: kinds[member.kind] || 'method',
+                                typeParameters: member.typeParameters ? text(member.typeParameters) : undefined,
+                                params: (member.params || member.parameters || []).map(paramDetail),
+                                returnType: typeText(member.returnType || member.typeAnnotation),
+                                optional
+                            };
+                        }
+                        case 'TSIndexSignature': {
+                            const keys = (member.parameters || []).map(p => `${p.name}: ${typeText(p.typeAnnotation)}`).join(', ');
+                            return { name: `[${keys}]`, kind: 'index', type: typeText(member.typeAnnotation), optional: false, readonly: Boolean(member.readonly) };
+                        }
+                        case 'TSCallSignatureDeclaration':
+                        case 'TSConstructSignatureDeclaration': {
+                            const call = member.type === 'TSCallSignatureDeclaration';
+                            return {
+                                name: call ? '' : 'new',
+                                kind: call ? 'call' : 'construct',
+                                typeParameters: member.typeParameters ? text(member.typeParameters) : undefined,
+                                params: (member.params || member.parameters || []).map(paramDetail),
+                                returnType: typeText(member.returnType || member.typeAnnotation),
+                                optional: false
+                            };
+                        }
+                        default:
+                            return null;
+                    }
+                };
+                
+                const visitTypeDeclaration = (node, ancestors) => {
+                    const base = {
+                        name: node.id.name ?? node.id.value,
+                        typeParameters: node.typeParameters ? text(node.typeParameters) : undefined,
+                        exported: isExported(ancestors),
+                        declare: Boolean(node.declare),
+                        ...span(node)
+                    };
+                    if (node.type === 'TSInterfaceDeclaration') {
+                        result.interfaces.push({
+                            ...base,
+                            extends: (node.extends || []).map(text),
+                            members: node.body.body.map(typeMember).filter(Boolean)
+                        });
+                    } else if (node.type === 'TSTypeAliasDeclaration') {
+                        result.typeAliases.push({ ...base, type: typeText(node.typeAnnotation) });
+                    } else {
+                        const members = node.members || node.body?.members || [];
+                        result.enums.push({
+                            ...base,
+                            const: Boolean(node.const),
+                            members: members.map(m => ({ name: keyName(m.id, false), value: m.initializer ? text(m.initializer) : undefined }))
+                        });
+                    }
+                };
+                
+                const visitExport = (node) => {
+                    const add = (name, kind) => result.exports.push({ name, kind, ...(node.source && { source: node.source.value }), ...span(node) });
+                    if (node.type === 'ExportDefaultDeclaration' || node.type === 'TSExportAssignment') {
+                        add('default', 'default');
+                    } else if (node.type === 'ExportAllDeclaration') {
+                        // `export * from` has no names of its own; `export * as ns` (Babel) names the namespace
+                        add(node.exported ? (node.exported.name ?? node.exported.value) : '*', 'reexport');
+                    } else if (node.declaration) {
+                        const declaration = node.declaration;
+                        if (declaration.type === 'VariableDeclaration') {
+                            declaration.declarations.forEach(d => bindingNames(d.id).forEach(name => add(name, 'variable')));
+                        } else if (declaration.id) {
+                            const kind = /Function/.test(declaration.type) ? 'function' : /Class/.test(declaration.type) ? 'class' : 'type';
+                            add(declaration.id.name ?? declaration.id.value, kind);
+                        }
+                    } else if (node.specifiers) {
+                        node.specifiers.forEach(spec => {
+                            const name = spec.exported.name ?? spec.exported.value;
+                            add(name, node.source ? 'reexport' : name === 'default' ? 'default' : 'named');
+                            if (!node.source && spec.local) result.exports[result.exports.length - 1].local = spec.local.name ?? spec.local.value;
+                        });
+                    }
+                };
+                
+                const visit = (node, ancestors) => {
+                    switch (node.type) {
+                        case 'ImportDeclaration':
+                            result.imports.push({
+                                source: node.source.value,
+                                typeOnly: node.importKind === 'type',
+                                specifiers: node.specifiers.map(spec => ({
+                                    kind: spec.type === 'ImportDefaultSpecifier' ? 'default' : spec.type === 'ImportNamespaceSpecifier' ? 'namespace' : 'named',
+                                    imported: spec.type === 'ImportSpecifier' ? (spec.imported.name ?? spec.imported.value) : null,
+                                    local: spec.local.name
+                                })),
+                                ...span(node)
+                            });
+                            break;
+                        case 'ExportNamedDeclaration':
+                        case 'ExportAllDeclaration':
+                        case 'ExportDefaultDeclaration':
+                        case 'TSExportAssignment':
+                            visitExport(node);
+                            break;
+                        case 'VariableDeclaration':
+                            if (isTopLevel(ancestors.concat(node))) {
+                                const exported = isExported(ancestors);
+                                node.declarations.forEach(d => bindingNames(d.id).forEach(name => {
+                                    const type = d.id.type === 'Identifier' ? typeText(d.id.typeAnnotation) : undefined;
+                                    result.variables.push({ name, kind: node.kind, type, exported, ...span(d) });
+                                }));
+                            }
+                            break;
+                        case 'FunctionDeclaration':
+                        case 'FunctionExpression':
+                        case 'ArrowFunctionExpression':
+                        case 'TSDeclareFunction':
+                            visitFunction(node, ancestors);
+                            break;
+                        case 'ClassMethod':
+                        case 'ClassPrivateMethod':
+                        case 'ObjectMethod':
+                        case 'TSDeclareMethod':
+                            visitMethod(node, ancestors);
+                            break;
+                        case 'TSInterfaceDeclaration':
+                        case 'TSTypeAliasDeclaration':
+                        case 'TSEnumDeclaration':
+                            visitTypeDeclaration(node, ancestors);
+                            break;
+                        case 'ClassDeclaration':
+                        case 'ClassExpression':
+                            visitClass(node, ancestors);
+                            break;
+                    }
+                    
+                    ancestors.push(node);
+                    for (const key of Object.keys(node)) {
+                        if (key === 'loc' || key === 'extra' || /Comments$/.test(key)) continue;
+                        const value = node[key];
+                        if (Array.isArray(value)) {
+                            value.forEach(child => child && typeof child.type === 'string' && visit(child, ancestors));
+                        } else if (value && typeof value.type === 'string') {
+                            visit(value, ancestors);
+                        }
+                    }
+                    ancestors.pop();
+                };
+                
+                visit(program, []);
+                
+                // CommonJS assignments are plain expressions in the tree
+                result.exports.push(...this.analyzeCommonJSExports(code));
+                
+                const byPosition = (a, b) => a.start - b.start;
+                result.functions.sort(byPosition);
+                result.exports.sort((a, b) => a.line - b.line);
+                return result;
+            },
+            
+            analyzePython(code) {
+                // Python has no braces: mask strings and comments, join physical lines into logical
+                // ones (open brackets, backslashes, triple quotes) and follow the indentation
+                const result = { functions: [], classes: [], imports: [], exports: [], variables: [], docstring: null };
+                let masked = '';
+                const logical = [];
+                let depth = 0;
+                let lineNo = 1;
+                let start = 0;
+                let startLine = 1;
+                
+                for (let i = 0; i < code.length; i++) {
+                    const char = code[i];
+                    if (char === '#') {
+                        while (i < code.length && code[i] !== '\n') {
+                            masked += ' ';
+                            i++;
+                        }
+                        i--;
+                        continue;
+                    }
+                    if (char === '"' || char === "'") {
+                        const triple = code.startsWith(char.repeat(3), i);
+                        const quote = triple ? char.repeat(3) : char;
+                        masked += quote;
+                        i += quote.length;
+                        while (i < code.length && !code.startsWith(quote, i) && (triple || code[i] !== '\n')) {
+                            if (code[i] === '\\' && code[i + 1] !== undefined) {
+                                masked += code[i + 1] === '\n' ? ' \n' : '  ';
+                                if (code[i + 1] === '\n') lineNo++;
+                                i += 2;
+                                continue;
+                            }
+                            if (code[i] === '\n') lineNo++;
+                            masked += code[i] === '\n' ? '\n' : ' ';
+                            i++;
+                        }
+                        if (code.startsWith(quote, i)) {
+                            masked += quote;
+                            i += quote.length;
+                        }
+                        i--;
+                        continue;
+                    }
+                    if ('([{'.includes(char)) depth++;
+                    else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+                    masked += char;
+                    
+                    if (char === '\n') {
+                        const continued = depth > 0 || /\\\s*$/.test(masked.slice(start, i));
+                        if (!continued) {
+                            logical.push({ start, end: i, line: startLine, endLine: lineNo });
+                            start = i + 1;
+                            startLine = lineNo + 1;
+                        }
+                        lineNo++;
+                    }
+                }
+                if (start < code.length) logical.push({ start, end: code.length, line: startLine, endLine: lineNo });
+                
+                const splitTopLevel = (from, to, separator) => {
+                    // [start, end) offsets of the parts of masked[from, to) split on a top-level character
+                    const parts = [];
+                    let level = 0;
+                    let partStart = from;
+                    for (let i = from; i < to; i++) {
+                        const char = masked[i];
+                        if ('([{'.includes(char)) level++;
+                        else if (')]}'.includes(char)) level--;
+                        else if (char === separator && level === 0) {
+                            parts.push([partStart, i]);
+                            partStart = i + 1;
+                        }
+                    }
+                    parts.push([partStart, to]);
+                    return parts.filter(([s, e]) => code.slice(s, e).trim());
+                };
+                const matching = (open) => {
+                    let level = 0;
+                    for (let i = open; i < masked.length; i++) {
+                        if ('([{'.includes(masked[i])) level++;
+                        else if (')]}'.includes(masked[i]) && --level === 0) return i;
+                    }
+                    return masked.length;
+                };
+                const clean = (text) => text.replace(/\\\n/g, ' ').replace(/\s+/g, ' ').trim();
+                const PYTHON_KEYWORDS = /^(?:if|elif|else|while|for|try|except|finally|with|match|case|return|raise|assert|del|global|nonlocal|pass|lambda|not|await|async)\b(?!\s*(?:=(?!=)|\.|,))/;
+                const lineAt = (offset) => code.slice(0, offset).split('\n').length;
+                const docstringOf = (literal) => {
+                    // inspect.cleandoc: strip the quotes, then the common indentation of later lines
+                    const body = literal.replace(/^[rRuU]?("""|'''|"|')/, '').replace(/("""|'''|"|')$/, '');
+                    const [first, ...rest] = body.split('\n');
+                    const indents = rest.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length);
+                    const margin = indents.length ? Math.min(...indents) : 0;
+                    return [first.trim(), ...rest.map(l => l.slice(margin))].join('\n').trim();
+                };
+                
+                const parseParams = (open, close) => splitTopLevel(open + 1, close, ',').map(([s, e]) => {
+                    const source = code.slice(s, e).trim();
+                    if (source === '/' || source === '*') return null;
+                    const stars = source.match(/^\*{0,2}/)[0].length;
+                    const name = (source.match(/^\*{0,2}\s*([A-Za-z_]\w*)/) || [])[1];
+                    if (!name) return null;
+                    const [declaration, ...defaults] = splitTopLevel(s, e, '=');
+                    const annotation = code.slice(declaration[0], declaration[1]).split(':').slice(1).join(':');
+                    const fallback = defaults.length ? clean(code.slice(defaults[0][0], e)) : undefined;
+                    return {
+                        name,
+                        type: annotation.trim() ? clean(annotation) : undefined,
+                        optional: fallback !== undefined || stars > 0,
+                        rest: stars > 0,
+                        keywords: stars === 2,
+                        default: fallback
+                    };
+                }).filter(Boolean);
+                
+                const scopes = [{ indent: -1, kind: 'module', node: result }];
+                let decorators = [];
+                let awaitingDocstring = result;
+                let typeCheckingIndent = null;
+                
+                logical.forEach(entry => {
+                    const text = masked.slice(entry.start, entry.end);
+                    const statement = text.trim();
+                    if (!statement || statement === '\\') return;
+                    const indent = text.match(/^[ \t]*/)[0].replace(/\t/g, '        ').length;
+                    const offset = entry.start + text.indexOf(statement);
+                    const original = code.slice(offset, entry.end).trim();
+                    
+                    while (scopes.length > 1 && indent <= scopes[scopes.length - 1].indent) scopes.pop();
+                    scopes.slice(1).forEach(scope => {
+                        scope.node.endLine = entry.endLine;
+                        scope.node.end = entry.end;
+                    });
+                    if (typeCheckingIndent !== null && indent <= typeCheckingIndent) typeCheckingIndent = null;
+                    const scope = scopes[scopes.length - 1];
+                    
+                    // The first statement of a module, class or function may be its docstring
+                    const docstringTarget = awaitingDocstring;
+                    awaitingDocstring = null;
+                    if (docstringTarget && docstringTarget === scope.node && /^[rRuU]?("""|'''|"|')[^'"]*\1$/.test(statement)) {
+                        docstringTarget.docstring = docstringOf(original);
+                        return;
+                    }
+                    
+                    if (statement.startsWith('@')) {
+                        decorators.push(clean(original.slice(1)));
+                        return;
+                    }
+                    const pending = decorators;
+                    decorators = [];
+                    const owner = scope.kind === 'class' ? scope.node : null;
+                    const enclosingFunction = scopes.slice().reverse().find(s => s.kind === 'function')?.node || null;
+                    
+                    const def = statement.match(/^(async\s+)?def\s+([A-Za-z_]\w*)\s*/);
+                    if (def) {
+                        let cursor = offset + def[0].length;
+                        let typeParameters;
+                        if (masked[cursor] === '[') {
+                            const close = matching(cursor);
+                            typeParameters = clean(code.slice(cursor, close + 1));
+                            cursor = close + 1;
+                            while (/\s/.test(masked[cursor])) cursor++;
+                        }
+                        if (masked[cursor] !== '(') return;
+                        const close = matching(cursor);
+                        const header = splitTopLevel(close + 1, entry.end, ':')[0] || [close + 1, close + 1];
+                        const arrow = code.slice(header[0], header[1]).match(/->([\s\S]*)$/);
+                        
+                        let paramDetails = parseParams(cursor, close);
+                        const names = pending.map(d => d.split('(')[0]);
+                        const isStatic = names.includes('staticmethod');
+                        let receiver = null;
+                        if (owner && !isStatic && paramDetails.length > 0 && !paramDetails[0].rest) {
+                            receiver = paramDetails[0].name;
+                            paramDetails = paramDetails.slice(1);
+                        }
+                        const kind = !owner ? 'function'
+                            : def[2] === '__init__' ? 'constructor'
+                            : names.includes('property') || names.some(n => /\.getter$/.test(n)) ? 'getter'
+                            : names.some(n => /\.setter$/.test(n)) ? 'setter'
+                            : 'method';
+                        
+                        const func = {
+                            name: def[2],
+                            kind,
+                            className: owner ? owner.name : null,
+                            static: isStatic || names.includes('classmethod'),
+                            async: Boolean(def[1]),
+                            generator: false,
+                            params: paramDetails.map(p => p.name),
+                            paramDetails,
+                            typeParameters,
+                            returnType: arrow ? clean(arrow[1]) : undefined,
+                            decorators: pending,
+                            docstring: null,
+                            receiver,
+                            topLevel: scope.kind === 'module',
+                            line: entry.line,
+                            endLine: entry.endLine,
+                            start: offset,
+                            end: entry.end
+                        };
+                        result.functions.push(func);
+                        if (owner) owner.methods.push(func.name);
+                        
+                        // A body on the header line (`def f(): return 1`) has no docstring
+                        if (!code.slice(header[1] + 1, entry.end).trim()) {
+                            scopes.push({ indent, kind: 'function', node: func });
+                            awaitingDocstring = func;
+                        } else if (/\byield\b/.test(masked.slice(header[1] + 1, entry.end))) {
+                            func.generator = true;
+                        }
+                        return;
+                    }
+                    
+                    const classMatch = statement.match(/^class\s+([A-Za-z_]\w*)\s*/);
+                    if (classMatch) {
+                        let cursor = offset + classMatch[0].length;
+                        let typeParameters;
+                        if (masked[cursor] === '[') {
+                            const close = matching(cursor);
+                            typeParameters = clean(code.slice(cursor, close + 1));
+                            cursor = close + 1;
+                            while (/\s/.test(masked[cursor])) cursor++;
+                        }
+                        const bases = [];
+                        const keywords = {};
+                        if (masked[cursor] === '(') {
+                            const close = matching(cursor);
+                            splitTopLevel(cursor + 1, close, ',').forEach(([s, e]) => {
+                                const argument = clean(code.slice(s, e));
+                                const keyword = argument.match(/^([A-Za-z_]\w*)\s*=(?!=)\s*([\s\S]*)$/);
+                                if (keyword) keywords[keyword[1]] = keyword[2];
+                                else bases.push(argument);
+                            });
+                        }
+                        const cls = {
+                            name: classMatch[1],
+                            typeParameters,
+                            bases,
+                            keywords,
+                            extends: bases.length ? bases.join(', ') : undefined,
+                            decorators: pending,
+                            docstring: null,
+                            methods: [],
+                            properties: [],
+                            topLevel: scope.kind === 'module',
+                            line: entry.line,
+                            endLine: entry.endLine,
+                            start: offset,
+                            end: entry.end
+                        };
+                        result.classes.push(cls);
+                        scopes.push({ indent, kind: 'class', node: cls });
+                        awaitingDocstring = cls;
+                        return;
+                    }
+                    
+                    if (/^if\s+(?:typing\.)?TYPE_CHECKING\s*:\s*$/.test(statement)) {
+                        typeCheckingIndent = indent;
+                        return;
+                    }
+                    
+                    splitTopLevel(offset, entry.end, ';').forEach(([s, e]) => {
+                        const part = clean(masked.slice(s, e));
+                        const source = clean(code.slice(s, e));
+                        const span = { line: entry.line + code.slice(entry.start, s).split('\n').length - 1, endLine: entry.endLine, start: s, end: e };
+                        
+                        const plainImport = part.match(/^import\s+([\s\S]+)$/);
+                        const fromImport = part.match(/^from\s+(\.*[\w.]*)\s+import\s+([\s\S]+)$/);
+                        if (plainImport || fromImport) {
+                            const typeOnly = typeCheckingIndent !== null;
+                            if (plainImport) {
+                                plainImport[1].split(',').map(m => m.trim()).filter(Boolean).forEach(module => {
+                                    const [name, alias] = module.split(/\s+as\s+/);
+                                    result.imports.push({
+                                        source: name,
+                                        typeOnly,
+                                        specifiers: [{ kind: 'namespace', imported: null, local: alias || name.split('.')[0] }],
+                                        ...span
+                                    });
+                                });
+                            } else {
+                                const specifiers = fromImport[2].replace(/[()]/g, '').split(',').map(n => n.trim()).filter(Boolean).map(spec => {
+                                    if (spec === '*') return { kind: 'namespace', imported: '*', local: null };
+                                    const [imported, alias] = spec.split(/\s+as\s+/);
+                                    return { kind: 'named', imported, local: alias || imported };
+                                });
+                                result.imports.push({ source: fromImport[1], typeOnly, specifiers, ...span });
+                            }
+                            return;
+                        }
+                        
+                        if (scope.kind === 'function' && /\byield\b/.test(part)) scope.node.generator = true;
+                        if (PYTHON_KEYWORDS.test(part)) return;
+                        
+                        const assignment = source.match(/^([A-Za-z_][\w.]*(?:\s*,\s*[A-Za-z_]\w*)*)\s*(?::\s*([^=]+?))?\s*=(?!=)/);
+                        if (!assignment) return;
+                        const targets = assignment[1].split(',').map(n => n.trim());
+                        const type = assignment[2] ? clean(assignment[2]) : undefined;
+                        if (scope.kind === 'module') {
+                            targets.filter(n => !n.includes('.')).forEach(name => {
+                                if (!result.variables.some(v => v.name === name)) {
+                                    result.variables.push({ name, kind: /^[A-Z][A-Z0-9_]*$/.test(name) ? 'constant' : 'variable', type, exported: !name.startsWith('_'), ...span });
+                                }
+                            });
+                        } else if (owner) {
+                            targets.filter(n => !n.includes('.') && !owner.properties.includes(n)).forEach(n => owner.properties.push(n));
+                        } else if (enclosingFunction?.receiver && enclosingFunction.className) {
+                            // self.name = ... inside a method declares an instance attribute
+                            const cls = result.classes.filter(c => c.name === enclosingFunction.className).pop();
+                            const prefix = `${enclosingFunction.receiver}.`;
+                            targets.filter(n => n.startsWith(prefix) && !n.slice(prefix.length).includes('.')).forEach(n => {
+                                const name = n.slice(prefix.length);
+                                if (cls && !cls.properties.includes(name)) cls.properties.push(name);
+                            });
+                        }
+                    });
+                });
+                
+                // __all__ lists the public names; without it every name not starting with '_' is public
+                const allMatch = code.match(/^__all__\s*(?::[^=]*)?=\s*[[(]([^\])]*)[\])]/m);
+                const declared = new Map();
+                result.functions.filter(f => f.topLevel).forEach(f => declared.set(f.name, { kind: 'function', line: f.line }));
+                result.classes.filter(c => c.topLevel).forEach(c => declared.set(c.name, { kind: 'class', line: c.line }));
+                result.variables.forEach(v => declared.has(v.name) || declared.set(v.name, { kind: 'variable', line: v.line }));
+                const publicNames = allMatch
+                    ? (allMatch[1].match(/(['"])([^'"]+)\1/g) || []).map(s => s.slice(1, -1))
+                    : Array.from(declared.keys()).filter(name => !name.startsWith('_'));
+                publicNames.forEach(name => {
+                    const known = declared.get(name);
+                    result.exports.push({ name, kind: known ? known.kind : 'named', line: known ? known.line : lineAt(allMatch.index) });
+                });
+                if (allMatch) result.variables.forEach(v => { v.exported = publicNames.includes(v.name); });
+                
+                result.exports.sort((a, b) => a.line - b.line);
+                return result;
+            },
+            
+            analyzeDependencies(code, language) {
+                return Array.from(new Set(this.analyzeImports(code, language).filter(i => !i.submodule).map(i => i.specifier)));
+            },
+            
+            analyzeImports(code, language) {
+                // Every import site with its line and the names it binds ('*' = whole module)
+                const definition = runtime.languages.get(language);
+                if (!definition?.dependencies) return [];
+                const found = definition.dependencies(code);
+                if (!Array.isArray(found)) {
+                    console.warn(`⚠️ ${language}: dependencies() must synchronously return an array`);
+                    return [];
+                }
+                
+                // Plugins may return bare specifiers; place them at their first mention
+                const lines = code.split('\n');
+                return found.map(entry => {
+                    if (typeof entry !== 'string') return { kind: 'import', names: ['*'], ...entry };
+                    const line = lines.findIndex(l => l.includes(entry)) + 1;
+                    return { specifier: entry, line: line || 1, kind: 'import', names: ['*'] };
+                }).sort((a, b) => a.line - b.line);
+            },
+            
+            analyzeJavaScriptImports(code) {
+                const imports = [];
+                const source = this.stripComments(code);
+                const lineAt = (index) => source.slice(0, index).split('\n').length;
+                // `"import x from './y'"` is text, not an import: skip matches that start inside a string
+                const masked = this.blankStrings(source);
+                const inString = (index) => masked[index] !== source[index];
+                const namesOf = (clause) => {
+                    const names = [];
+                    const named = clause.match(/\{([^}]*)\}/);
+                    if (named) {
+                        named[1].split(',').map(s => s.trim()).filter(Boolean).forEach(spec => {
+                            names.push(spec.replace(/^type\s+/, '').split(/\s+as\s+/)[0].trim());
+                        });
+                    }
+                    if (/\*\s*as\s+[\w$]+/.test(clause)) names.push('*');
+                    if (/^\s*[\w$]+\s*(?:,|$)/.test(clause.replace(/^\s*type\s+(?=[\w$]+\s*(?:,|$))/, ''))) names.push('default');
+                    return names;
+                };
+                let match;
+                
+                // Static imports, including `import type`
+                const importRegex = /\bimport\s+(?:type\s+)?([\w$*{}\s,]+?)\s*from\s*['"]([^'"]+)['"]/g;
+                while ((match = importRegex.exec(source)) !== null) {
+                    if (inString(match.index)) continue;
+                    imports.push({ specifier: match[2], line: lineAt(match.index), kind: 'import', names: namesOf(match[1]) });
+                }
+                
+                // Side-effect imports
+                const bareImportRegex = /\bimport\s*['"]([^'"]+)['"]/g;
+                while ((match = bareImportRegex.exec(source)) !== null) {
+                    if (inString(match.index)) continue;
+                    imports.push({ specifier: match[1], line: lineAt(match.index), kind: 'import', names: [] });
+                }
+                
+                // Re-exports
+                const reexportRegex = /\bexport\s+(?:type\s+)?(\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]([^'"]+)['"]/g;
+                while ((match = reexportRegex.exec(source)) !== null) {
+                    if (inString(match.index)) continue;
+                    const names = match[1].startsWith('*') ? ['*'] : namesOf(match[1]);
+                    imports.push({ specifier: match[2], line: lineAt(match.index), kind: 'export', names });
+                }
+                
+                // require() calls: destructuring binds names, anything else the whole module
+                const requireRegex = /(?:\{([^}]*)\}\s*=\s*)?\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)(\s*\.\s*([\w$]+))?/g;
+                while ((match = requireRegex.exec(source)) !== null) {
+                    if (inString(match.index)) continue;
+                    const names = match[1]
+                        ? match[1].split(',').map(s => s.split(':')[0].trim()).filter(n => n && !n.startsWith('...'))
+                        : match[4] ? [match[4]] : ['*'];
+                    imports.push({ specifier: match[2], line: lineAt(match.index), kind: 'require', names });
+                }
+                
+                // Dynamic imports
+                const dynamicImportRegex = /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
+                while ((match = dynamicImportRegex.exec(source)) !== null) {
+                    if (inString(match.index)) continue;
+                    imports.push({ specifier: match[1], line: lineAt(match.index), kind: 'dynamic', names: ['*'] });
+                }
+                
+                return imports;
+            },
+            
+            analyzePythonImports(code) {
+                const imports = [];
+                this.analyzePython(code).imports.forEach(entry => {
+                    const named = entry.specifiers.filter(s => s.kind === 'named').map(s => s.imported);
+                    imports.push({ specifier: entry.source, line: entry.line, kind: 'import', names: named.length ? named : ['*'] });
+                    
+                    // `from pkg import name` may import the submodule pkg/name.py; only a local match counts
+                    named.forEach(name => {
+                        const specifier = entry.source.endsWith('.') ? entry.source + name : `${entry.source}.${name}`;
+                        imports.push({ specifier, line: entry.line, kind: 'import', names: ['*'], submodule: true });
+                    });
+                });
+                return imports;
+            },
+            
+            analyzeCommonJSExports(code) {
+                // module.exports = ... / exports.name = ...
+                const exports = [];
+                const source = this.stripComments(code);
+                const lineAt = (index) => source.slice(0, index).split('\n').length;
+                let match;
+                
+                const cjsDefaultRegex = /\bmodule\.exports\s*=(?!=)/g;
+                while ((match = cjsDefaultRegex.exec(source)) !== null) {
+                    exports.push({ name: 'default', kind: 'default', line: lineAt(match.index) });
+                }
+                const cjsNamedRegex = /\b(?:module\.)?exports\.([\w$]+)\s*=(?!=)/g;
+                while ((match = cjsNamedRegex.exec(source)) !== null) {
+                    exports.push({ name: match[1], kind: 'named', line: lineAt(match.index) });
+                }
+                
+                return exports.sort((a, b) => a.line - b.line);
+            },
+            
+            stripComments(code) {
+                // Blank out // and /* */ comments, keeping strings and line numbers intact
+                let out = '';
+                let quote = null;
+                for (let i = 0; i < code.length; i++) {
+                    const char = code[i];
+                    if (quote) {
+                        out += char;
+                        if (char === '\\') out += code[++i] || '';
+                        else if (char === quote) quote = null;
+                    } else if (char === '"' || char === "'" || char === '`') {
+                        quote = char;
+                        out += char;
+                    } else if (char === '/' && code[i + 1] === '/') {
+                        while (i < code.length && code[i] !== '\n') i++;
+                        out += '\n';
+                    } else if (char === '/' && code[i + 1] === '*') {
+                        const end = code.indexOf('*/', i + 2);
+                        const comment = code.slice(i, end === -1 ? code.length : end + 2);
+                        out += comment.replace(/[^\n]/g, ' ');
+                        i += comment.length - 1;
+                    } else {
+                        out += char;
+                    }
+                }
+                return out;
+            },
+            
+            blankStrings(code) {
+                // Same length and lines, with the contents of string and template literals blanked;
+                // code inside template ${} is kept. A quote left open at a line end (say, inside a
+                // regex literal) only runs to that line end.
+                let out = '';
+                const stack = []; // open quotes, and '{' for template interpolations
+                for (let i = 0; i < code.length; i++) {
+                    const char = code[i];
+                    const top = stack[stack.length - 1];
+                    if (top && top !== '{') {
+                        if (char === '\\') {
+                            out += ' ' + (i + 1 < code.length ? (code[i + 1] === '\n' ? '\n' : ' ') : '');
+                            i++;
+                        } else if (char === top) {
+                            stack.pop();
+                            out += char;
+                        } else if (top === '`' && char === '$' && code[i + 1] === '{') {
+                            stack.push('{');
+                            out += '${';
+                            i++;
+                        } else if (char === '\n') {
+                            if (top !== '`') stack.pop();
+                            out += char;
+                        } else {
+                            out += ' ';
+                        }
+                    } else {
+                        if (char === '"' || char === "'" || char === '`') stack.push(char);
+                        else if (char === '{' && top === '{') stack.push('{');
+                        else if (char === '}' && top === '{') stack.pop();
+                        out += char;
+                    }
+                }
+                return out;
+            }
+        };
+    }
+    
+    _createSecurityEngine() {
+        // Rule-based scanner. Findings can be silenced per line with
+        // `// cmmands-ignore security/eval` (same line or the line above);
+        // a bare `cmmands-ignore` silences every rule.
+        // Rules only match code: text in comments never counts, and text in string
+        // literals only for rules about literal values (`literals: true`).
+        const runtime = this;
+        const rules = new Map();
+        
+        const addRule = (rule) => {
+            if (!rule.id || !(rule.pattern instanceof RegExp)) {
+                throw new Error('Security rule needs an id and a pattern RegExp');
+            }
+            rules.set(rule.id, {
+                severity: 'medium',
+                ...rule,
+                pattern: new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '') + 'g')
+            });
+        };
+        
+        [
+            {
+                id: 'security/eval',
+                severity: 'high',
+                pattern: /(?<![.\w$])eval\s*\(/,
+                message: 'eval() executes arbitrary code',
+                recommendation: 'Use JSON.parse for data, or a lookup table instead of evaluating strings'
+            },
+            {
+                id: 'security/new-function',
+                severity: 'high',
+                pattern: /\bnew\s+Function\s*\(/,
+                message: 'new Function() compiles arbitrary code',
+                recommendation: 'Replace dynamic code generation with regular functions or a dispatch map'
+            },
+            {
+                id: 'security/inner-html',
+                severity: 'medium',
+                pattern: /\.(?:innerHTML|outerHTML)\s*\+?=(?!=)/,
+                message: 'Assigning to innerHTML can inject markup and scripts (XSS)',
+                recommendation: 'Use textContent, or build nodes with createElement/append'
+            },
+            {
+                id: 'security/child-process-exec',
+                severity: 'critical',
+                pattern: /(?:\bchild_process\s*\.\s*|(?<![.\w$]))exec(?:Sync)?\s*\(\s*(?:['"][^'"]*['"]\s*\+|[\w$.]+\s*\+|`[^`]*\$\{)/,
+                message: 'Shell command built from concatenated input (command injection)',
+                recommendation: 'Use execFile/spawn with an argument array instead of a shell string'
+            },
+            {
+                id: 'security/hardcoded-credentials',
+                severity: 'high',
+                pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|private[_-]?key|client[_-]?secret)['"]?\s*[:=]\s*['"][^'"\s]{4,}['"]|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{36}\b|-----BEGIN (?:RSA |EC |OPENSSH )?PRIVATE KEY-----/i,
+                literals: true,
+                message: 'Hardcoded credential in source',
+                recommendation: 'Load secrets from environment variables or a secret manager'
+            },
+            {
+                id: 'security/insecure-http',
+                severity: 'low',
+                pattern: /\bhttp:\/\/(?!localhost\b|127\.0\.0\.1\b|0\.0\.0\.0\b|\[::1\]|www\.w3\.org\/)[^\s'"`)<>]+/,
+                literals: true,
+                message: 'Insecure http: URL',
+                recommendation: 'Use https: so traffic is encrypted and authenticated',
+                fix: (line) => line.replace(/\bhttp:\/\/(?!localhost\b|127\.0\.0\.1\b|0\.0\.0\.0\b|\[::1\])/g, 'https://')
+            }
+        ].forEach(addRule);
+        
+        const policy = this._createPermissionPolicy(this.options.permissions);
+        
+        const suppressionPattern = /(?:\/\/|#|\/\*|<!--)\s*cmmands-ignore\b([^\n]*?)(?:\*\/|-->|$)/;
+        
+        // Comment syntax by language; anything else is read as C-family source
+        const HASH_COMMENTS = new Set(['python', 'ruby', 'shell', 'yaml', 'powershell', 'docker', 'env', 'gitignore', 'toml', 'ini']);
+        const commentPattern = (language) => {
+            if (HASH_COMMENTS.has(language)) return /#[^\n]*/g;
+            if (['html', 'xml', 'markdown'].includes(language)) return /<!--[\s\S]*?(?:-->|$)/g;
+            if (['json', 'text', 'csv', 'tsv'].includes(language)) return null;
+            if (language === 'sql') return /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/g;
+            return /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)|<!--[\s\S]*?(?:-->|$)/g;
+        };
+        
+        // Same offsets as the source: `strings` has string contents blanked, `code` comments as well
+        const mask = (content, language) => {
+            const strings = runtime.parser.blankStrings(content);
+            const pattern = commentPattern(language);
+            const code = pattern ? strings.replace(pattern, comment => comment.replace(/[^\n]/g, ' ')) : strings;
+            return { strings, code };
+        };
+        
+        const parseSuppression = (line) => {
+            const match = line.match(suppressionPattern);
+            if (!match) return null;
+            const ids = match[1].split(/[\s,]+/).filter(Boolean);
+            // A block comment ends before the rest of the line; a line comment runs to its end
+            const start = match.index;
+            const end = start + match[0].length;
+            return {
+                all: ids.length === 0,
+                ids: new Set(ids),
+                start,
+                end,
+                commentOnly: line.slice(0, start).trim() === '' && line.slice(end).trim() === ''
+            };
+        };
+        
+        return {
+            rules,
+            addRule,
+            
+            scan(content, options = {}) {
+                const findings = [];
+                const text = String(content);
+                const lines = text.split('\n');
+                const { strings, code } = mask(text, options.language);
+                let pending = null; // suppression comment on its own line covers the next line
+                let lineStart = 0;
+                
+                lines.forEach((line, index) => {
+                    const offset = lineStart;
+                    lineStart += line.length + 1;
+                    const own = parseSuppression(line);
+                    const suppressions = [pending, own && !own.commentOnly ? own : null].filter(Boolean);
+                    pending = own && own.commentOnly ? own : null;
+                    
+                    for (const rule of rules.values()) {
+                        if (options.rules && !options.rules.includes(rule.id)) continue;
+                        if (suppressions.some(s => s.all || s.ids.has(rule.id))) continue;
+                        
+                        rule.pattern.lastIndex = 0;
+                        let match;
+                        while ((match = rule.pattern.exec(line)) !== null) {
+                            if (match[0].length === 0) rule.pattern.lastIndex++;
+                            // Text inside the suppression comment itself is never a finding
+                            if (own && match.index >= own.start && match.index < own.end) continue;
+                            const at = offset + match.index;
+                            if (code[at] !== strings[at]) continue;
+                            if (strings[at] !== text[at] && !rule.literals) continue;
+                            findings.push({
+                                ruleId: rule.id,
+                                severity: rule.severity,
+                                message: rule.message,
+                                recommendation: rule.recommendation,
+                                line: index + 1,
+                                column: match.index + 1,
+                                pattern: match[0],
+                                snippet: line.trim(),
+                                fixable: typeof rule.fix === 'function'
+                            });
+                        }
+                    }
+                });
+                
+                return findings;
+            },
+            
+            policy,
+            
+            async validateCommand(name, args = {}, command = null) {
+                let reason = null;
+                if (typeof name !== 'string' || name.length === 0) {
+                    reason = 'Command name must be a non-empty string';
+                } else if (args !== null && typeof args !== 'object') {
+                    reason = 'Command arguments must be an object';
+                } else {
+                    // Refuse control characters that could smuggle input into shells or files
+                    const badArg = Object.entries(args || {}).find(([_, value]) => typeof value === 'string' && /\0/.test(value));
+                    if (badArg) reason = `Argument "${badArg[0]}" contains a null byte`;
+                }
+                
+                if (reason) {
+                    policy.record({ command: name, args, effect: 'deny', decision: 'denied', rule: 'argument-validation', reason });
+                    return { allowed: false, reason };
+                }
+                
+                return policy.authorize(name, args, command);
+            }
+        };
+    }
+    
+    _createPermissionPolicy(config = {}) {
+        // allow/deny/confirm rules keyed by category, tag or command-name glob.
+        // User rules are checked first; the first matching rule decides.
+        const effects = ['allow', 'deny', 'confirm'];
+        const auditLog = [];
+        const maxAuditEntries = config.maxAuditEntries || 1000;
+        const defaultEffect = config.defaultEffect || 'allow';
+        
+        const defaultRules = [{
+            effect: 'confirm',
+            category: ['execution', 'npm', 'docker', 'security'],
+            reason: 'Command can run arbitrary code or modify files'
+        }];
+        
+        const compile = (rule) => {
+            if (!effects.includes(rule.effect)) {
+                throw new Error(`Invalid permission rule effect "${rule.effect}" (expected ${effects.join('/')})`);
+            }
+            const list = (value) => value === undefined ? null : [].concat(value);
+            return {
+                ...rule,
+                categories: list(rule.category),
+                tags: list(rule.tag),
+                names: list(rule.name)?.map(glob => this._globToRegExp(glob, { separator: null }))
+            };
+        };
+        
+        const userRules = (config.rules || []).map(compile);
+        const builtinRules = config.useDefaults === false ? [] : defaultRules.map(compile);
+        
+        const describe = (rule) => rule.id || [
+            rule.categories && `category=${rule.categories.join('|')}`,
+            rule.tags && `tag=${rule.tags.join('|')}`,
+            rule.name && `name=${[].concat(rule.name).join('|')}`
+        ].filter(Boolean).join(' ') || 'any';
+        
+        const matches = (rule, name, command) => {
+            if (rule.categories && !rule.categories.includes(command?.category)) return false;
+            if (rule.tags && !rule.tags.some(tag => (command?.tags || []).includes(tag))) return false;
+            if (rule.names && !rule.names.some(regex => regex.test(name))) return false;
+            return true;
+        };
+        
+        // Interactive confirmation: injected callback, browser dialog, TTY prompt, or auto-deny when headless
+        const confirm = config.confirm || (() => {
+            if (config.headless) return null;
+            
+            if (this.platform.name === 'browser' || this.platform.name === 'mobile') {
+                return async ({ command, reason }) => window.confirm(`Run "${command}"?\n\n${reason}`);
+            }
+            
+            if (this.platform.name === 'node' && process.stdin?.isTTY && process.stdout?.isTTY) {
+                return async ({ command, reason }) => {
+                    // ES module: no require(), node:readline is imported when first needed
+                    const readline = await import('node:readline');
+                    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+                    return new Promise((resolve) => rl.question(`⚠️  ${reason}. Run "${command}"? [y/N] `, (answer) => {
+                        rl.close();
+                        resolve(/^y(es)?$/i.test(answer.trim()));
+                    }));
+                };
+            }
+            
+            return null;
+        })();
+        
+        const policy = {
+            auditLog,
+            
+            addRule(rule) {
+                userRules.push(compile(rule));
+            },
+            
+            evaluate(name, command = null) {
+                for (const rule of [...userRules, ...builtinRules]) {
+                    if (matches(rule, name, command)) {
+                        return { effect: rule.effect, rule: describe(rule), reason: rule.reason || null };
+                    }
+                }
+                return { effect: defaultEffect, rule: 'default', reason: null };
+            },
+            
+            record(entry) {
+                auditLog.push({ timestamp: new Date().toISOString(), ...entry });
+                if (auditLog.length > maxAuditEntries) auditLog.splice(0, auditLog.length - maxAuditEntries);
+            },
+            
+            async authorize(name, args = {}, command = null) {
+                const { effect, rule, reason } = policy.evaluate(name, command);
+                const entry = { command: name, category: command?.category, tags: command?.tags || [], args, effect, rule };
+                
+                if (effect === 'allow') {
+                    policy.record({ ...entry, decision: 'allowed', reason });
+                    return { allowed: true, reason };
+                }
+                
+                if (effect === 'deny') {
+                    const denial = reason || `Denied by permission rule (${rule})`;
+                    policy.record({ ...entry, decision: 'denied', reason: denial });
+                    return { allowed: false, reason: denial };
+                }
+                
+                if (!confirm) {
+                    const denial = 'Confirmation required but no interactive prompt is available (headless)';
+                    policy.record({ ...entry, decision: 'denied', confirmed: false, reason: denial });
+                    return { allowed: false, reason: denial };
+                }
+                
+                let confirmed = false;
+                try {
+                    confirmed = !!(await confirm({
+                        command: name,
+                        category: command?.category,
+                        tags: command?.tags || [],
+                        description: command?.description,
+                        args,
+                        rule,
+                        reason: reason || 'Command requires confirmation'
+                    }));
+                } catch (error) {
+                    confirmed = false;
+                }
+                
+                const outcome = confirmed ? null : 'Confirmation declined';
+                policy.record({ ...entry, decision: confirmed ? 'allowed' : 'denied', confirmed, reason: outcome || reason });
+                return { allowed: confirmed, reason: outcome || reason };
+            }
+        };
+        
+        return policy;
+    }
+    
+    _globToRegExp(glob, { separator = '/' } = {}) {
+        // Glob syntax: ** (anything), * and ? (within one segment), {a,b}, [abc]
+        const segment = separator ? `[^${separator.replace(/[\\\]^-]/g, '\\$&')}]` : '.';
+        let regex = '';
+        let braces = 0;
+        
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*') {
+                if (glob[i + 1] === '*') {
+                    const slash = separator && glob[i + 2] === separator;
+                    regex += slash ? `(?:.*${separator})?` : '.*';
+                    i += slash ? 2 : 1;
+                } else {
+                    regex += `${segment}*`;
+                }
+            } else if (char === '?') {
+                regex += segment;
+            } else if (char === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end === -1) {
+                    regex += '\\[';
+                } else {
+                    regex += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+                    i = end;
+                }
+            } else if (char === '{') {
+                braces++;
+                regex += '(?:';
+            } else if (char === '}' && braces > 0) {
+                braces--;
+                regex += ')';
+            } else if (char === ',' && braces > 0) {
+                regex += '|';
+            } else {
+                regex += char.replace(/[.+^${}()|[\]\\\/]/g, '\\$&');
+            }
+        }
+        
+        return new RegExp(`^${regex}$`);
+    }
+    
+    _createRealAIEngine() {
+        // Real code analysis engine with semantic understanding
+        const runtime = this;
+        
+        return {
+            async analyze(content, language, filePath) {
+                const lines = content.split('\n');
+                const functions = [];
+                const classes = [];
+                const imports = [];
+                const exports = [];
+                const variables = [];
+                let ast = null;
+                let types = null;
+                const metrics = {
+                    lines: lines.length,
+                    nonEmptyLines: lines.filter(l => l.trim().length > 0).length,
+                    commentLines: lines.filter(l => l.trim().startsWith('//') || l.trim().startsWith('#') || l.trim().startsWith('/*')).length,
+                    complexity: 0,
+                    maintainability: 0
+                };
+                
+                // The registered language (built-in or plugin) supplies the structure
+                const definition = runtime.languages.get(language);
+                if (definition?.analyze) {
+                    try {
+                        const structure = await definition.analyze(content, { language, filePath }) || {};
+                        ast = structure.ast || null;
+                        types = structure.types || null;
+                        functions.push(...(structure.functions || []));
+                        classes.push(...(structure.classes || []));
+                        imports.push(...(structure.imports || []));
+                        exports.push(...(structure.exports || []));
+                        variables.push(...(structure.variables || []));
+                    } catch (error) {
+                        console.warn(`⚠️ ${language} analyzer failed for ${filePath}: ${error.message}`);
+                    }
+                }
+                
+                // Calculate complexity metrics, per function and per file
+                Object.assign(metrics, this._calculateMetrics(content, language, functions));
+                
+                // Detect code smells
+                const codeSmells = this._detectCodeSmells(content, language);
+                
+                // Generate real suggestions
+                const suggestions = this._generateRealSuggestions(content, language, metrics, codeSmells);
+                
+                return {
+                    ast,
+                    functions,
+                    classes,
+                    imports,
+                    exports,
+                    variables,
+                    types,
+                    // .d.ts files only describe types: nothing in them runs
+                    declarationOnly: language === 'typescript' && /\.d\.[cm]?ts$/.test(filePath || ''),
+                    metrics,
+                    codeSmells,
+                    suggestions,
+                    patterns: this._detectRealPatterns(content, language),
+                    dependencies: runtime.parser.analyzeDependencies(content, language)
+                };
+            },
+            
+            _calculateMetrics(content, language, functions) {
+                const lines = content.split('\n');
+                const sloc = (from, to) => lines.slice(from - 1, to).filter(l => {
+                    const trimmed = l.trim();
+                    return trimmed && !/^(?:\/\/|\/\*|\*|#(?!include))/.test(trimmed);
+                }).length;
+                
+                // C-family languages tokenize well enough with the JavaScript tokenizer
+                const tokenizable = Boolean(runtime.languages.get(language)?.tokenMetrics);
+                if (!tokenizable) {
+                    // Without tokens, the language's complexityRules count decisions over each function's own lines
+                    const spans = functions.filter(f => f.line && f.endLine && !f.declaration);
+                    spans.forEach(func => {
+                        const nested = spans.filter(other => other !== func && other.line > func.line && other.endLine <= func.endLine);
+                        const own = [];
+                        for (let line = func.line; line <= func.endLine; line++) {
+                            if (!nested.some(other => line >= other.line && line <= other.endLine)) own.push(lines[line - 1]);
+                        }
+                        const cyclomatic = this._calculateCyclomaticComplexity(own.join('\n'), language);
+                        const loc = sloc(func.line, func.endLine);
+                        func.metrics = { cyclomatic, cognitive: null, halstead: null, loc, maintainability: this._maintainabilityIndex(0, cyclomatic, loc) };
+                    });
+                    
+                    const complexity = this._calculateCyclomaticComplexity(content, language);
+                    const fileLoc = sloc(1, lines.length);
+                    const cyclomatic = spans.map(f => f.metrics.cyclomatic);
+                    const worst = spans.slice().sort((a, b) => b.metrics.cyclomatic - a.metrics.cyclomatic)[0];
+                    return {
+                        complexity,
+                        sloc: fileLoc,
+                        maintainability: this._maintainabilityIndex(0, complexity, fileLoc),
+                        averageComplexity: cyclomatic.length ? Math.round(cyclomatic.reduce((a, b) => a + b, 0) / cyclomatic.length * 10) / 10 : 0,
+                        maxComplexity: cyclomatic.length ? Math.max(...cyclomatic) : 0,
+                        mostComplexFunction: worst ? { name: worst.name, className: worst.className || null, line: worst.line, ...worst.metrics } : null
+                    };
+                }
+                
+                const tokens = runtime.parser.tokenize(content);
+                const spans = functions.filter(f => typeof f.start === 'number' && !f.declaration);
+                const inside = (tok, f) => tok.start >= f.start && tok.end <= f.end;
+                const firstTokenAt = (offset) => {
+                    let low = 0;
+                    let high = tokens.length;
+                    while (low < high) {
+                        const mid = (low + high) >> 1;
+                        if (tokens[mid].start < offset) low = mid + 1;
+                        else high = mid;
+                    }
+                    return low;
+                };
+                
+                spans.forEach(func => {
+                    // Nested functions are measured on their own
+                    const nested = spans.filter(other => other !== func && other.start >= func.start && other.end <= func.end);
+                    const own = [];
+                    for (let i = firstTokenAt(func.start); i < tokens.length && tokens[i].end <= func.end; i++) {
+                        if (!nested.some(other => inside(tokens[i], other))) own.push(tokens[i]);
+                    }
+                    const measured = this._tokenMetrics(own, func.name);
+                    const loc = sloc(func.line, func.endLine);
+                    func.metrics = {
+                        cyclomatic: measured.cyclomatic,
+                        cognitive: measured.cognitive,
+                        halstead: measured.halstead,
+                        loc,
+                        maintainability: this._maintainabilityIndex(measured.halstead.volume, measured.cyclomatic, loc)
+                    };
+                });
+                
+                const file = this._tokenMetrics(tokens, null);
+                const covered = new Set();
+                spans.forEach(f => {
+                    for (let i = firstTokenAt(f.start); i < tokens.length && tokens[i].end <= f.end; i++) covered.add(i);
+                });
+                const outside = tokens.filter((tok, i) => !covered.has(i));
+                const fileLoc = sloc(1, lines.length);
+                const cyclomatic = spans.map(f => f.metrics.cyclomatic);
+                const worst = spans.slice().sort((a, b) => b.metrics.cognitive - a.metrics.cognitive || b.metrics.cyclomatic - a.metrics.cyclomatic)[0];
+                
+                return {
+                    complexity: file.cyclomatic,
+                    cognitive: spans.reduce((sum, f) => sum + f.metrics.cognitive, 0) + this._tokenMetrics(outside, null).cognitive,
+                    halstead: file.halstead,
+                    sloc: fileLoc,
+                    maintainability: this._maintainabilityIndex(file.halstead.volume, file.cyclomatic, fileLoc),
+                    averageComplexity: cyclomatic.length ? Math.round(cyclomatic.reduce((a, b) => a + b, 0) / cyclomatic.length * 10) / 10 : 0,
+                    maxComplexity: cyclomatic.length ? Math.max(...cyclomatic) : 0,
+                    mostComplexFunction: worst ? { name: worst.name, className: worst.className || null, line: worst.line, ...worst.metrics } : null
+                };
+            },
+            
+            _tokenMetrics(tokens, functionName) {
+                const KEYWORDS = new Set(['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'return', 'super', 'switch', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'async', 'await', 'of', 'static']);
+                const LOGICAL = new Set(['&&', '||', '??', '&&=', '||=', '??=']);
+                const value = (i) => tokens[i]?.value;
+                
+                // Cyclomatic: one path plus one per decision point
+                let cyclomatic = 1;
+                // Cognitive: structures cost 1 plus their nesting depth; sequences of mixed logical operators cost 1 each
+                let cognitive = 0;
+                let nesting = 0;
+                let pendingNest = null; // paren depth of a structure whose block will nest
+                let parens = 0;
+                let lastLogical = null;
+                let closedDo = false;
+                const braces = [];
+                // Tokens before the first '(' are the function's own header
+                const headerEnd = functionName ? tokens.findIndex(tok => tok.value === '(') : -1;
+                
+                const operators = new Map();
+                const operands = new Map();
+                const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+                
+                tokens.forEach((tok, i) => {
+                    const v = tok.value;
+                    const afterDo = closedDo;
+                    closedDo = false;
+                    
+                    if (tok.type === 'name') {
+                        if (KEYWORDS.has(v)) count(operators, v);
+                        else count(operands, v);
+                        
+                        if (v === 'if') {
+                            cyclomatic++;
+                            cognitive += value(i - 1) === 'else' ? 0 : 1 + nesting;
+                            pendingNest = parens;
+                        } else if (v === 'else') {
+                            cognitive += 1;
+                            if (value(i + 1) !== 'if') pendingNest = parens;
+                        } else if (v === 'for' || v === 'switch' || v === 'catch' || (v === 'while' && !afterDo)) {
+                            if (v !== 'switch') cyclomatic++;
+                            cognitive += 1 + nesting;
+                            pendingNest = parens;
+                        } else if (v === 'while') {
+                            cyclomatic++;
+                        } else if (v === 'do') {
+                            cognitive += 1 + nesting;
+                            pendingNest = parens;
+                        } else if (v === 'case') {
+                            cyclomatic++;
+                        } else if ((v === 'break' || v === 'continue') && tokens[i + 1]?.type === 'name' && !tokens[i + 1].nl) {
+                            cognitive++; // jump to label
+                        } else if (v === 'function' && i > headerEnd) {
+                            pendingNest = parens; // nested function
+                        } else if (functionName && v === functionName && i > headerEnd && value(i + 1) === '(' &&
+                                   (value(i - 1) !== '.' || value(i - 2) === 'this')) {
+                            cognitive++; // recursion
+                        }
+                        return;
+                    }
+                    
+                    if (tok.type !== 'punct') {
+                        count(operands, v);
+                        return;
+                    }
+                    
+                    if (![')', ']', '}'].includes(v)) count(operators, v);
+                    
+                    if (LOGICAL.has(v)) {
+                        cyclomatic++;
+                        if (v !== lastLogical) cognitive++;
+                        lastLogical = v;
+                        return;
+                    }
+                    if (v === '?' && ![':', ',', ')', '='].includes(value(i + 1))) {
+                        cyclomatic++;
+                        cognitive += 1 + nesting;
+                    } else if (v === '=>' && value(i + 1) === '{') {
+                        pendingNest = parens;
+                    } else if (v === '(') {
+                        parens++;
+                    } else if (v === ')') {
+                        parens--;
+                    } else if (v === '{') {
+                        const nests = pendingNest === parens;
+                        braces.push({ nests, isDo: value(i - 1) === 'do' });
+                        if (nests) {
+                            nesting++;
+                            pendingNest = null;
+                        }
+                    } else if (v === '}') {
+                        const brace = braces.pop();
+                        if (brace?.nests) nesting--;
+                        closedDo = Boolean(brace?.isDo);
+                    } else if (v === ';' && pendingNest === parens) {
+                        pendingNest = null; // single-statement body
+                    }
+                    if (['(', ')', '[', ']', '{', '}', ';', ',', '?', ':', '=', '=>'].includes(v)) lastLogical = null;
+                });
+                
+                // Halstead: vocabulary n = n1 + n2, length N = N1 + N2, volume V = N log2 n
+                const n1 = operators.size;
+                const n2 = operands.size;
+                const N1 = Array.from(operators.values()).reduce((a, b) => a + b, 0);
+                const N2 = Array.from(operands.values()).reduce((a, b) => a + b, 0);
+                const vocabulary = n1 + n2;
+                const length = N1 + N2;
+                const volume = vocabulary > 1 ? length * Math.log2(vocabulary) : 0;
+                const difficulty = n2 > 0 ? (n1 / 2) * (N2 / n2) : 0;
+                const round = (x) => Math.round(x * 10) / 10;
+                
+                return {
+                    cyclomatic,
+                    cognitive,
+                    halstead: { vocabulary, length, volume: round(volume), difficulty: round(difficulty), effort: round(difficulty * volume) }
+                };
+            },
+            
+            _maintainabilityIndex(volume, complexity, loc) {
+                // Classic index: 171 - 5.2 ln(V) - 0.23 CC - 16.2 ln(LOC), clamped to 0..171
+                const index = 171 - 5.2 * Math.log(Math.max(volume, 1)) - 0.23 * complexity - 16.2 * Math.log(Math.max(loc, 1));
+                return Math.round(Math.min(171, Math.max(0, index)) * 10) / 10;
+            },
+            
+            _calculateCyclomaticComplexity(content, language) {
+                let complexity = 1; // Base complexity
+                
+                // Count decision points: the language's complexityRules, or C-style keywords and operators
+                const rules = runtime.languages.get(language)?.complexityRules;
+                const patterns = rules?.length ? rules : [/\bif\b/g, /\bfor\b/g, /\bwhile\b/g, /\bcase\b/g, /\bcatch\b/g, /&&/g, /\|\|/g, /\?(?![.?:])/g];
+                
+                const source = content.replace(/#.*$|\/\/.*$/gm, '');
+                patterns.forEach(pattern => {
+                    const matches = source.match(pattern);
+                    if (matches) complexity += matches.length;
+                });
+                
+                return complexity;
+            },
+            
+            _detectCodeSmells(content, language) {
+                const smells = [];
+                
+                // Long method detection
+                const lines = content.split('\n');
+                if (lines.length > 50) {
+                    smells.push({
+                        type: 'LONG_METHOD',
+                        severity: 'medium',
+                        message: `Method/File is ${lines.length} lines long (consider refactoring)`
+                    });
+                }
+                
+                // Deep nesting detection
+                const nestingRegex = /\{[^{}]*\{[^{}]*\{[^{}]*\{/g;
+                if (nestingRegex.test(content)) {
+                    smells.push({
+                        type: 'DEEP_NESTING',
+                        severity: 'high',
+                        message: 'Code has deep nesting (consider simplifying logic)'
+                    });
+                }
+                
+                // Magic numbers
+                const magicNumberRegex = /\b(?:[0-9]{3,}|[0-9]+\.[0-9]+)\b(?![\.\d])/g;
+                const magicNumbers = content.match(magicNumberRegex);
+                if (magicNumbers && magicNumbers.length > 3) {
+                    smells.push({
+                        type: 'MAGIC_NUMBERS',
+                        severity: 'low',
+                        message: `Found ${magicNumbers.length} magic numbers`
+                    });
+                }
+                
+                // Duplicate code: normalized token windows repeated within this file (refactor:clones looks across files)
+                const clones = runtime._findClones([{ path: null, content, language }], { minTokens: runtime.options.cloneMinTokens || 50 });
+                if (clones.groups.length > 0) {
+                    const ranges = clones.groups[0].fragments.map(f => `${f.startLine}-${f.endLine}`);
+                    const more = clones.groups.length - 1;
+                    smells.push({
+                        type: 'DUPLICATE_CODE',
+                        severity: 'medium',
+                        message: `Duplicate code at lines ${ranges.join(', ')}${more > 0 ? ` (+${more} more clone group${more > 1 ? 's' : ''})` : ''}`,
+                        locations: clones.groups.map(g => g.fragments.map(f => ({ line: f.startLine, endLine: f.endLine })))
+                    });
+                }
+                
+                return smells;
+            },
+            
+            _generateRealSuggestions(content, language, metrics, codeSmells) {
+                const suggestions = [];
+                
+                if (metrics.complexity > 10) {
+                    suggestions.push(`Consider refactoring: Cyclomatic complexity is ${metrics.complexity} (recommended: < 10)`);
+                }
+                
+                if (metrics.maintainability < 65) {
+                    suggestions.push(`Maintainability index is low (${metrics.maintainability.toFixed(1)}). Consider simplifying code structure.`);
+                }
+                
+                const worst = metrics.mostComplexFunction;
+                if (worst && (worst.cognitive > 15 || worst.cyclomatic > 10)) {
+                    suggestions.push(`Refactor ${worst.name}() at line ${worst.line}: cognitive complexity ${worst.cognitive}, cyclomatic ${worst.cyclomatic}`);
+                }
+                
+                codeSmells.forEach(smell => {
+                    suggestions.push(`${smell.severity.toUpperCase()}: ${smell.message}`);
+                });
+                
+                if (content.includes('console.log') && language === 'javascript') {
+                    suggestions.push('Consider using a proper logging library for production code');
+                }
+                
+                if (content.includes('setTimeout') || content.includes('setInterval')) {
+                    suggestions.push('Ensure async operations are properly cleaned up to prevent memory leaks');
+                }
+                
+                return suggestions;
+            },
+            
+            _detectRealPatterns(content, language) {
+                const patterns = [];
+                
+                // Framework detection
+                if (content.includes('React') || content.includes('react-dom')) patterns.push('react');
+                if (content.includes('Vue') || content.includes('vue')) patterns.push('vue');
+                if (content.includes('Angular') || content.includes('@angular')) patterns.push('angular');
+                if (content.includes('NextRouter') || content.includes('next/router')) patterns.push('nextjs');
+                
+                // API patterns
+                if (content.includes('fetch(') || content.includes('axios(') || content.includes('XMLHttpRequest')) {
+                    patterns.push('api-client');
+                }
+                
+                // Database patterns
+                if (content.includes('SELECT ') || content.includes('INSERT ') || content.includes('UPDATE ') || 
+                    content.includes('mongoose') || content.includes('sequelize') || content.includes('prisma')) {
+                    patterns.push('database');
+                }
+                
+                // Test patterns: describe()/it()/test() as plain calls, so s.split( or re.test( don't count
+                if (/(?<![.\w$])(?:describe|it|test)\s*\(/.test(content) || /\b(?:jest|mocha|chai|pytest|unittest)\b/.test(content) ||
+                    /^\s*(?:async\s+)?def test_\w*\s*\(/m.test(content)) {
+                    patterns.push('testing');
+                }
+                
+                // State management
+                if (content.includes('useState') || content.includes('useReducer') || content.includes('redux') ||
+                    content.includes('MobX') || content.includes('zustand')) {
+                    patterns.push('state-management');
+                }
+                
+                // Build/Dev tools
+                if (content.includes('webpack') || content.includes('vite') || content.includes('rollup') ||
+                    content.includes('babel') || content.includes('esbuild')) {
+                    patterns.push('build-tool');
+                }
+                
+                return patterns;
+            }
+        };
+    }
+    
+    _createCacheSystem() {
+        // LRU of analysis results keyed by content hash; a store (file or IndexedDB) keeps it between runs
+        const runtime = this;
+        const entries = new Map();   // key -> serialized value, least recently used first
+        const counters = { hits: 0, misses: 0, evictions: 0, writes: 0 };
+        const maxEntries = this.options.cacheMaxEntries ?? 5000;
+        const maxBytes = this.options.cacheMaxBytes ?? 32 * 1024 * 1024;
+        const version = `${ANALYZER_VERSION}${this.options.analyzerVersion !== undefined ? `+${this.options.analyzerVersion}` : ''}`;
+        let bytes = 0;
+        let store = null;
+        let dirty = false;
+        
+        const add = (key, text) => {
+            remove(key);
+            entries.set(key, text);
+            bytes += text.length;
+        };
+        const remove = (key) => {
+            if (!entries.has(key)) return false;
+            bytes -= entries.get(key).length;
+            entries.delete(key);
+            return true;
+        };
+        const evict = () => {
+            while (entries.size > maxEntries || bytes > maxBytes) {
+                remove(entries.keys().next().value);
+                counters.evictions++;
+            }
+        };
+        
+        return {
+            version,
+            
+            key(content, ...parts) {
+                return [runtime._hashContent(content), content.length.toString(36), ...parts].join(':');
+            },
+            
+            get(key) {
+                if (!entries.has(key)) {
+                    counters.misses++;
+                    return null;
+                }
+                const text = entries.get(key);
+                add(key, text);
+                counters.hits++;
+                dirty = true;
+                return JSON.parse(text);
+            },
+            
+            set(key, value) {
+                let text;
+                try {
+                    text = JSON.stringify(value);
+                } catch (error) {
+                    return false; // circular or otherwise unserializable: analyze again next time
+                }
+                add(key, text);
+                counters.writes++;
+                dirty = true;
+                evict();
+                return entries.has(key);
+            },
+            
+            delete(key) {
+                const removed = remove(key);
+                dirty = dirty || removed;
+                return removed;
+            },
+            
+            async clear() {
+                entries.clear();
+                bytes = 0;
+                dirty = false;
+                if (store) await store.clear();
+            },
+            
+            size() {
+                return entries.size;
+            },
+            
+            stats() {
+                const lookups = counters.hits + counters.misses;
+                return {
+                    ...counters,
+                    hitRate: lookups ? Math.round(counters.hits / lookups * 1000) / 10 : 0,
+                    entries: entries.size,
+                    bytes,
+                    maxEntries,
+                    maxBytes,
+                    version,
+                    store: store ? store.kind : 'memory'
+                };
+            },
+            
+            async attach(next) {
+                // Loads what a previous run persisted; entries written by another analyzer version are dropped
+                if (!next || next.location === store?.location) return;
+                store = next;
+                try {
+                    const saved = await store.load();
+                    if (saved?.version !== version) {
+                        dirty = Boolean(saved);
+                        return;
+                    }
+                    const current = Array.from(entries);
+                    entries.clear();
+                    bytes = 0;
+                    saved.entries.forEach(([key, text]) => add(key, text));
+                    current.forEach(([key, text]) => add(key, text));
+                    evict();
+                } catch (error) {
+                    console.warn(`⚠️ Analysis cache at ${store.location} is unreadable, starting empty: ${error.message}`);
+                    dirty = true;
+                }
+            },
+            
+            async flush() {
+                if (!store || !dirty) return false;
+                dirty = false;
+                try {
+                    await store.save({ version, entries: Array.from(entries) });
+                    return true;
+                } catch (error) {
+                    console.warn(`⚠️ Could not persist the analysis cache to ${store.location}: ${error.message}`);
+                    return false;
+                }
+            }
+        };
+    }
+    
+    _createCacheStore() {
+        // IndexedDB in browsers, <project>/.cmmands-cache/analysis.json on disk. Adapters and seeded
+        // projects get no store: the cache file would otherwise become a file of the project itself.
+        if (this.options.cache === false || this.options.fs || this.options.files) return null;
+        const root = this.projectRoot;
+        
+        if (this.platform.name === 'browser') {
+            if (typeof indexedDB === 'undefined') return null;
+            const run = (mode, action) => new Promise((resolve, reject) => {
+                const request = indexedDB.open('CMMANDS_CACHE', 1);
+                request.onupgradeneeded = (e) => e.target.result.createObjectStore('analysis');
+                request.onerror = () => reject(request.error);
+                request.onsuccess = (e) => {
+                    const transaction = e.target.result.transaction(['analysis'], mode);
+                    const result = action(transaction.objectStore('analysis'));
+                    transaction.oncomplete = () => resolve(result.result);
+                    transaction.onerror = () => reject(transaction.error);
+                };
+            });
+            return {
+                kind: 'indexeddb',
+                location: `indexeddb:CMMANDS_CACHE${root}`,
+                load: () => run('readonly', store => store.get(root)),
+                save: (data) => run('readwrite', store => store.put(data, root)),
+                clear: () => run('readwrite', store => store.delete(root))
+            };
+        }
+        
+        if (!['node', 'bun'].includes(this.platform.name)) return null;
+        const dir = this.path.join(root, this.options.cacheDir || '.cmmands-cache');
+        const file = this.path.join(dir, 'analysis.json');
+        const fsp = () => import('node:fs/promises');
+        return {
+            kind: 'file',
+            location: file,
+            load: async () => {
+                const text = await (await fsp()).readFile(file, 'utf8').catch(() => '');
+                return text ? JSON.parse(text) : null;
+            },
+            save: async (data) => {
+                const { mkdir, writeFile } = await fsp();
+                await mkdir(dir, { recursive: true });
+                await writeFile(file, JSON.stringify(data));
+            },
+            clear: async () => (await fsp()).rm(file, { force: true })
+        };
+    }
+    
+    _hashContent(text) {
+        // cyrb53: a fast 53-bit string hash, plenty for cache keys (not for security)
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+    
+    async startTracking(rootPath = '.', { signal, onProgress } = {}) {
+        console.log(`🔍 Starting advanced tracking...`);
+        console.log(`📁 Platform: ${this.platform.name} | 🛠️ Capabilities: ${Array.from(this.platform.capabilities).join(', ')}`);
+        
+        // Everything is staged and committed in one synchronous step: a cancelled or failed run
+        // leaves the files, commands and graph of the previous run (or an empty registry) in place
+        const previous = { projectRoot: this.projectRoot, skippedFiles: this.skippedFiles };
+        const report = (phase, done, total, file = null) => {
+            const progress = { phase, done, total, file };
+            this._emit('tracking:progress', progress);
+            onProgress?.(progress);
+        };
+        let committed = false;
+        
+        this.projectRoot = this.path.resolve(rootPath);
+        
+        try {
+            this._checkAborted(signal);
+            
+            // Analysis persisted by earlier runs, reused for files whose content is unchanged
+            await this.cache.attach(this._createCacheStore());
+            await this.parser.load();
+            
+            // 1. Discover trackable files (ignore rules, globs, size limits)
+            console.log(`📊 Analyzing project structure...`);
+            const files = await this._findAllFiles(this.projectRoot, { signal });
+            console.log(`📁 Found ${files.length} files in project`);
+            report('discover', files.length, files.length);
+            
+            // 2. Read every file once; the dependency graph and the analyzers share the contents
+            const contents = new Map();
+            for (const [index, filePath] of files.entries()) {
+                this._checkAborted(signal);
+                contents.set(filePath, await this._readSourceFile(filePath));
+                report('graph', index + 1, files.length, filePath);
+            }
+            console.log(`🔗 Building dependency graph...`);
+            const graph = await this._buildDependencyGraph(files, contents);
+            
+            if (this.skippedFiles.size > 0) {
+                const reasons = {};
+                this.skippedFiles.forEach(({ reason }) => { reasons[reason] = (reasons[reason] || 0) + 1; });
+                console.log(`⏭️  Skipped ${this.skippedFiles.size} files (${Object.entries(reasons).map(([r, n]) => `${r}: ${n}`).join(', ')})`);
+            }
+            
+            // 3. Analyze files, in parallel where workers are available
+            const startTime = Date.now();
+            const { jobs, workers } = await this._analyzeFiles(files, contents, {
+                signal,
+                report: (done, file) => report('analyze', done, files.length, file)
+            });
+            this._checkAborted(signal);
+            
+            // 4. Commit files, REAL commands and graph; from here on the run completes
+            const totalCommands = this._commitTracking(graph, jobs);
+            committed = true;
+            console.log(`✅ Generated ${totalCommands} REAL commands in ${Date.now() - startTime}ms${workers ? ` (${workers} workers)` : ''}`);
+            
+            // 5. Generate cross-file commands
+            console.log(`🔗 Generating cross-file commands...`);
+            this._registerCrossFileCommands();
+            report('cross-file', 1, 1);
+            
+            // 6. Setup real interfaces
+            if (this.browserMagic) {
+                this._setupRealBrowserInterface();
+            }
+            
+            // 7. Generate project insights
+            this._generateProjectInsights();
+            report('insights', 1, 1);
+            
+            const cacheStats = this.cache.stats();
+            console.log(`📊 Cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.evictions} evicted | AST parsed: ${this.astCache.size}`);
+            await this.cache.flush();
+            
+            // 8. Start file watching if supported
+            if (this.fs.watch) {
+                this._startFileWatching();
+            }
+            
+        } catch (error) {
+            if (!committed) {
+                this.projectRoot = previous.projectRoot;
+                this.skippedFiles = previous.skippedFiles;
+            }
+            if (error.name === 'AbortError') {
+                console.log(`⏹️  Tracking cancelled, nothing was changed`);
+                throw error;
+            }
+            console.error(`Failed to start tracking:`, error);
+            throw error;
+        }
+    }
+    
+    _checkAborted(signal) {
+        if (!signal?.aborted) return;
+        const error = new Error('Tracking was cancelled');
+        error.name = 'AbortError';
+        error.cause = signal.reason;
+        throw error;
+    }
+    
+    _commitTracking(graph, jobs) {
+        // Synchronous on purpose: nothing can observe the registry between the old and the new state
+        this.trackedFiles.forEach((info, filePath) => this._unregisterFileCommands(filePath));
+        this.trackedFiles.clear();
+        this.astCache.clear();
+        this.dependencyGraph = graph.dependencyGraph;
+        this.moduleResolver = graph.moduleResolver;
+        
+        let totalCommands = 0;
+        jobs.forEach(job => {
+            if (job) totalCommands += this._commitAnalysis(job).length;
+        });
+        return totalCommands;
+    }
+    
+    async _buildDependencyGraph(files, contents) {
+        // Built aside and returned for _commitTracking; the live graph stays untouched meanwhile
+        const moduleResolver = await this._createModuleResolver(files);
+        const live = { dependencyGraph: this.dependencyGraph, moduleResolver: this.moduleResolver };
+        this.dependencyGraph = new Map();
+        this.moduleResolver = moduleResolver;
+        
+        try {
+            for (const fullPath of files) {
+                const content = contents.get(fullPath);
+                if (content === null || content === undefined) continue;
+                this._setDependencyNode(fullPath, content);
+            }
+            
+            // Resolve specifiers to file-to-file edges, then record the reverse edges
+            for (const node of this.dependencyGraph.values()) {
+                this._resolveDependencyNode(node);
+            }
+            
+            const edges = Array.from(this.dependencyGraph.values()).reduce((sum, node) => sum + node.dependencies.length, 0);
+            console.log(`📊 Dependency graph built: ${this.dependencyGraph.size} files, ${edges} local edges`);
+            return { dependencyGraph: this.dependencyGraph, moduleResolver };
+        } finally {
+            this.dependencyGraph = live.dependencyGraph;
+            this.moduleResolver = live.moduleResolver;
+        }
+    }
+    
+    _setDependencyNode(filePath, content) {
+        const name = this.path.basename(filePath);
+        const { language } = this.detectLanguage(filePath, content);
+        const previous = this.dependencyGraph.get(filePath);
+        previous?.dependencies.forEach(dep => this.dependencyGraph.get(dep)?.dependents.delete(filePath));
+        
+        // Analyze dependencies
+        const node = {
+            path: filePath,
+            name,
+            language,
+            imports: this.parser.analyzeImports(content, language),
+            dependencies: [],   // resolved local files
+            externals: [],      // bare package names
+            unresolved: [],     // local-looking specifiers that match no tracked file
+            dependents: previous ? previous.dependents : new Set()
+        };
+        this.dependencyGraph.set(filePath, node);
+        return node;
+    }
+    
+    _resolveDependencyNode(node) {
+        // Drop the node's old outgoing edges before recomputing them
+        node.dependencies.forEach(dep => this.dependencyGraph.get(dep)?.dependents.delete(node.path));
+        
+        const dependencies = new Set();
+        const externals = new Set();
+        const unresolved = new Set();
+        
+        node.imports.forEach(entry => {
+            const resolution = this.moduleResolver.resolve(entry.specifier, node.path, node.language);
+            if (entry.submodule && resolution.kind !== 'local') {
+                entry.resolved = null;
+                entry.external = null;
+                return;
+            }
+            entry.resolved = resolution.kind === 'local' ? resolution.path : null;
+            entry.external = resolution.kind === 'external' || resolution.kind === 'builtin' ? resolution.name : null;
+            
+            if (resolution.kind === 'local' && resolution.path !== node.path) dependencies.add(resolution.path);
+            else if (entry.external) externals.add(entry.external);
+            else if (resolution.kind === 'unresolved') unresolved.add(entry.specifier);
+        });
+        
+        node.dependencies = Array.from(dependencies).sort();
+        node.externals = Array.from(externals).sort();
+        node.unresolved = Array.from(unresolved).sort();
+        node.dependencies.forEach(dep => this.dependencyGraph.get(dep)?.dependents.add(node.path));
+        return node;
+    }
+    
+    async _updateFileDependencies(filePath, current) {
+        // Update only this file's edges in both directions, reading it unless the caller already did
+        const content = current === undefined ? await this._readSourceFile(filePath) : current;
+        if (content === null) {
+            await this._removeFromDependencyGraph(filePath);
+            return null;
+        }
+        
+        const isNew = !this.dependencyGraph.has(filePath);
+        const node = this._setDependencyNode(filePath, content);
+        
+        if (this._isResolverConfig(filePath)) {
+            await this._reloadModuleResolver();
+            return node;
+        }
+        
+        this._resolveDependencyNode(node);
+        
+        if (isNew) {
+            // A new file can satisfy imports that did not resolve before
+            this.moduleResolver.addFile(filePath);
+            this.dependencyGraph.forEach(other => {
+                if (other.unresolved.length > 0 || other === node) this._resolveDependencyNode(other);
+            });
+        }
+        
+        return node;
+    }
+    
+    async _removeFromDependencyGraph(filePath) {
+        const node = this.dependencyGraph.get(filePath);
+        if (!node) return;
+        
+        node.dependencies.forEach(dep => this.dependencyGraph.get(dep)?.dependents.delete(filePath));
+        this.dependencyGraph.delete(filePath);
+        this.moduleResolver?.removeFile(filePath);
+        
+        if (this._isResolverConfig(filePath)) {
+            await this._reloadModuleResolver();
+            return;
+        }
+        
+        // Importers now point at nothing (or at another candidate, e.g. index.ts)
+        node.dependents.forEach(dependent => {
+            const other = this.dependencyGraph.get(dependent);
+            if (other) this._resolveDependencyNode(other);
+        });
+    }
+    
+    async _readJSONFile(filePath) {
+        try {
+            // tsconfig/jsconfig allow comments and trailing commas
+            const text = this.parser.stripComments(await this.fs.readFile(filePath));
+            return JSON.parse(text.replace(/,(\s*[}\]])/g, '$1'));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    _isResolverConfig(filePath) {
+        return ['package.json', 'tsconfig.json', 'jsconfig.json'].includes(this.path.basename(filePath));
+    }
+    
+    async _reloadModuleResolver() {
+        // Resolution config changed: every edge may move
+        this.moduleResolver = await this._createModuleResolver(Array.from(this.dependencyGraph.keys()));
+        this.dependencyGraph.forEach(node => this._resolveDependencyNode(node));
+    }
+    
+    // ================ MODULE RESOLUTION ================
+    
+    async _createModuleResolver(files) {
+        const path = this.path;
+        const languages = this.languages;
+        const fileSet = new Set(files);
+        const extensions = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts', '.d.ts', '.json'];
+        const builtins = new Set([
+            'assert', 'async_hooks', 'buffer', 'child_process', 'cluster', 'console', 'constants', 'crypto',
+            'dgram', 'diagnostics_channel', 'dns', 'domain', 'events', 'fs', 'http', 'http2', 'https', 'inspector',
+            'module', 'net', 'os', 'path', 'perf_hooks', 'process', 'punycode', 'querystring', 'readline', 'repl',
+            'stream', 'string_decoder', 'sys', 'test', 'timers', 'tls', 'trace_events', 'tty', 'url', 'util', 'v8',
+            'vm', 'wasi', 'worker_threads', 'zlib'
+        ]);
+        
+        const readJSON = (filePath) => this._readJSONFile(filePath);
+        
+        // package.json files inside the project: local packages and workspaces
+        const packages = new Map();       // directory -> manifest
+        const workspaces = new Map();     // package name -> directory
+        for (const file of files) {
+            if (path.basename(file) !== 'package.json') continue;
+            const manifest = await readJSON(file);
+            if (!manifest) continue;
+            const dir = path.dirname(file);
+            packages.set(dir, manifest);
+            if (manifest.name) workspaces.set(manifest.name, dir);
+        }
+        
+        // tsconfig/jsconfig `paths` aliases relative to baseUrl
+        const aliases = [];
+        let baseUrl = null;
+        for (const configName of ['tsconfig.json', 'jsconfig.json']) {
+            const configPath = path.join(this.projectRoot || '/', configName);
+            const config = fileSet.has(configPath) ? await readJSON(configPath) : null;
+            const options = config?.compilerOptions;
+            if (!options) continue;
+            
+            const base = path.resolve(path.dirname(configPath), options.baseUrl || '.');
+            if (options.baseUrl) baseUrl = base;
+            Object.entries(options.paths || {}).forEach(([pattern, targets]) => {
+                aliases.push({ pattern, targets: [].concat(targets).map(t => path.resolve(base, t)) });
+            });
+            break;
+        }
+        
+        const pickExport = (entry) => {
+            if (typeof entry === 'string') return entry;
+            if (Array.isArray(entry)) return entry.map(pickExport).find(Boolean) || null;
+            if (entry && typeof entry === 'object') {
+                for (const condition of ['import', 'require', 'node', 'default', 'browser']) {
+                    if (condition in entry) {
+                        const picked = pickExport(entry[condition]);
+                        if (picked) return picked;
+                    }
+                }
+            }
+            return null;
+        };
+        
+        const resolvePackageEntry = (dir, manifest, subpath = '.') => {
+            const { exports } = manifest;
+            if (exports !== undefined) {
+                const map = typeof exports === 'string' || Array.isArray(exports) || !Object.keys(exports).some(k => k.startsWith('.'))
+                    ? { '.': exports }
+                    : exports;
+                
+                let target = map[subpath] !== undefined ? pickExport(map[subpath]) : null;
+                if (!target) {
+                    // Subpath patterns: "./features/*": "./src/features/*.js"
+                    for (const [key, value] of Object.entries(map)) {
+                        const star = key.indexOf('*');
+                        if (star === -1) continue;
+                        const prefix = key.slice(0, star);
+                        const suffix = key.slice(star + 1);
+                        if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+                            const replacement = subpath.slice(prefix.length, subpath.length - suffix.length);
+                            target = pickExport(value)?.replace(/\*/g, replacement);
+                            if (target) break;
+                        }
+                    }
+                }
+                if (target) return resolveFile(path.join(dir, target)) || resolveDirectory(path.join(dir, target), false);
+            }
+            
+            if (subpath !== '.') return resolveFile(path.join(dir, subpath)) || resolveDirectory(path.join(dir, subpath));
+            
+            const main = manifest.module || manifest.main;
+            if (main) {
+                const resolved = resolveFile(path.join(dir, main)) || resolveDirectory(path.join(dir, main), false);
+                if (resolved) return resolved;
+            }
+            return null;
+        };
+        
+        const resolveFile = (candidate) => {
+            if (fileSet.has(candidate)) return candidate;
+            for (const ext of extensions) {
+                if (fileSet.has(candidate + ext)) return candidate + ext;
+            }
+            // TypeScript sources imported with their emitted extension: './x.js' -> x.ts
+            const emitted = candidate.match(/^(.*)\.(m|c)?js$/);
+            if (emitted) {
+                for (const ext of ['.ts', '.tsx', '.mts', '.cts'].filter(e => !emitted[2] || e === `.${emitted[2]}ts`)) {
+                    if (fileSet.has(emitted[1] + ext)) return emitted[1] + ext;
+                }
+            }
+            return null;
+        };
+        
+        const resolveDirectory = (dir, usePackage = true) => {
+            const manifest = usePackage ? packages.get(dir) : null;
+            if (manifest) {
+                const resolved = resolvePackageEntry(dir, manifest);
+                if (resolved) return resolved;
+            }
+            return resolveFile(path.join(dir, 'index'));
+        };
+        
+        const resolveLocal = (target) => resolveFile(target) || resolveDirectory(target);
+        
+        const packageNameOf = (specifier) => {
+            const parts = specifier.split('/');
+            return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+        };
+        
+        // Python: dotted modules map to module.py (or a .pyi stub) and packages to package/__init__.py
+        const pythonStdlib = new Set([
+            '__future__', 'abc', 'argparse', 'array', 'ast', 'asyncio', 'base64', 'bisect', 'builtins', 'calendar', 'collections',
+            'concurrent', 'configparser', 'contextlib', 'copy', 'csv', 'ctypes', 'dataclasses', 'datetime', 'decimal', 'difflib',
+            'email', 'enum', 'errno', 'fnmatch', 'fractions', 'functools', 'gc', 'getpass', 'glob', 'gzip', 'hashlib', 'heapq',
+            'hmac', 'html', 'http', 'importlib', 'inspect', 'io', 'ipaddress', 'itertools', 'json', 'logging', 'math', 'mimetypes',
+            'multiprocessing', 'numbers', 'operator', 'os', 'pathlib', 'pickle', 'platform', 'pprint', 'queue', 'random', 're',
+            'secrets', 'select', 'shlex', 'shutil', 'signal', 'socket', 'sqlite3', 'ssl', 'stat', 'statistics', 'string', 'struct',
+            'subprocess', 'sys', 'tempfile', 'textwrap', 'threading', 'time', 'timeit', 'tkinter', 'traceback', 'types', 'typing',
+            'unittest', 'urllib', 'uuid', 'warnings', 'weakref', 'xml', 'zipfile', 'zlib', 'zoneinfo'
+        ]);
+        
+        const resolvePythonModule = (base, parts) => {
+            const target = path.join(base, ...parts);
+            if (parts.length > 0) {
+                for (const ext of ['.py', '.pyi']) {
+                    if (fileSet.has(target + ext)) return target + ext;
+                }
+            }
+            const init = path.join(target, '__init__.py');
+            return fileSet.has(init) ? init : null;
+        };
+        
+        // Namespace packages are directories of modules without an __init__.py
+        const isNamespacePackage = (dirs) => {
+            const prefixes = dirs.map(dir => `${dir}/`);
+            for (const file of fileSet) {
+                if (/\.pyi?$/.test(file) && prefixes.some(prefix => file.startsWith(prefix))) return true;
+            }
+            return false;
+        };
+        
+        const resolvePython = (specifier, fromFile) => {
+            const dots = specifier.match(/^\.*/)[0].length;
+            const parts = specifier.slice(dots).split('.').filter(Boolean);
+            
+            // from . import x / from ..pkg import y: relative to the importing package
+            if (dots > 0) {
+                let base = path.dirname(fromFile);
+                for (let i = 1; i < dots; i++) base = path.dirname(base);
+                const resolved = resolvePythonModule(base, parts);
+                if (resolved) return { kind: 'local', path: resolved };
+                return isNamespacePackage([path.join(base, ...parts)]) ? { kind: 'namespace' } : { kind: 'unresolved' };
+            }
+            
+            // sys.path: the script's own directory (unless it is a package), the project and src/
+            const scriptDir = path.dirname(fromFile);
+            const roots = [this.projectRoot || '/', path.join(this.projectRoot || '/', 'src')];
+            if (!fileSet.has(path.join(scriptDir, '__init__.py'))) roots.unshift(scriptDir);
+            for (const root of new Set(roots)) {
+                const resolved = resolvePythonModule(root, parts);
+                if (resolved) return { kind: 'local', path: resolved };
+            }
+            
+            if (pythonStdlib.has(parts[0])) return { kind: 'builtin', name: parts[0] };
+            if (isNamespacePackage(Array.from(new Set(roots)).map(root => path.join(root, ...parts)))) return { kind: 'namespace' };
+            return { kind: 'external', name: parts[0] };
+        };
+        
+        return {
+            addFile: (filePath) => fileSet.add(filePath),
+            removeFile: (filePath) => fileSet.delete(filePath),
+            
+            resolve(specifier, fromFile, language = 'javascript') {
+                if (language === 'python') return resolvePython(specifier, fromFile);
+                if (language !== 'javascript' && language !== 'typescript') {
+                    // Other languages: relative paths, as written or with one of the language's extensions
+                    if (!/^\.{1,2}\//.test(specifier)) {
+                        return specifier.startsWith('.')
+                            ? { kind: 'unresolved' }
+                            : { kind: 'external', name: specifier.split('.')[0] };
+                    }
+                    const target = path.resolve(path.dirname(fromFile), specifier);
+                    const own = languages.get(language)?.extensions || [];
+                    const found = [target, ...own.map(ext => target + ext)].find(candidate => fileSet.has(candidate));
+                    return found ? { kind: 'local', path: found } : { kind: 'unresolved' };
+                }
+                
+                // Relative and absolute paths
+                if (/^\.{1,2}(?:\/|$)/.test(specifier) || specifier.startsWith('/')) {
+                    const resolved = resolveLocal(path.resolve(path.dirname(fromFile), specifier));
+                    return resolved ? { kind: 'local', path: resolved } : { kind: 'unresolved' };
+                }
+                
+                // Built-in modules
+                if (specifier.startsWith('node:') || builtins.has(specifier.split('/')[0])) {
+                    return { kind: 'builtin', name: specifier.replace(/^node:/, '').split('/')[0] };
+                }
+                
+                // tsconfig paths aliases: exact keys or a single '*' wildcard
+                for (const { pattern, targets } of aliases) {
+                    const star = pattern.indexOf('*');
+                    let wildcard = null;
+                    if (star === -1) {
+                        if (pattern !== specifier) continue;
+                    } else {
+                        const prefix = pattern.slice(0, star);
+                        const suffix = pattern.slice(star + 1);
+                        if (!specifier.startsWith(prefix) || !specifier.endsWith(suffix)) continue;
+                        wildcard = specifier.slice(prefix.length, specifier.length - suffix.length);
+                    }
+                    for (const target of targets) {
+                        const resolved = resolveLocal(wildcard === null ? target : target.replace('*', wildcard));
+                        if (resolved) return { kind: 'local', path: resolved };
+                    }
+                }
+                
+                // Packages that live in this project (workspaces)
+                const name = packageNameOf(specifier);
+                if (workspaces.has(name)) {
+                    const dir = workspaces.get(name);
+                    const subpath = specifier === name ? '.' : `./${specifier.slice(name.length + 1)}`;
+                    const resolved = resolvePackageEntry(dir, packages.get(dir), subpath);
+                    if (resolved) return { kind: 'local', path: resolved };
+                }
+                
+                // baseUrl makes non-relative specifiers resolvable from the project
+                if (baseUrl) {
+                    const resolved = resolveLocal(path.join(baseUrl, specifier));
+                    if (resolved) return { kind: 'local', path: resolved };
+                }
+                
+                return { kind: 'external', name };
+            }
+        };
+    }
+    
+    // ================ DEPENDENCY ANALYSIS ================
+    
+    _findDependencyCycles() {
+        // Tarjan's strongly connected components, iterative to survive deep graphs
+        const index = new Map();
+        const lowlink = new Map();
+        const onStack = new Set();
+        const stack = [];
+        const components = [];
+        let counter = 0;
+        
+        for (const start of Array.from(this.dependencyGraph.keys()).sort()) {
+            if (index.has(start)) continue;
+            
+            const work = [{ node: start, edge: 0 }];
+            index.set(start, counter);
+            lowlink.set(start, counter++);
+            stack.push(start);
+            onStack.add(start);
+            
+            while (work.length > 0) {
+                const frame = work[work.length - 1];
+                const deps = this.dependencyGraph.get(frame.node).dependencies;
+                
+                if (frame.edge < deps.length) {
+                    const next = deps[frame.edge++];
+                    if (!this.dependencyGraph.has(next)) continue;
+                    if (!index.has(next)) {
+                        index.set(next, counter);
+                        lowlink.set(next, counter++);
+                        stack.push(next);
+                        onStack.add(next);
+                        work.push({ node: next, edge: 0 });
+                    } else if (onStack.has(next)) {
+                        lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(next)));
+                    }
+                    continue;
+                }
+                
+                work.pop();
+                if (work.length > 0) {
+                    const parent = work[work.length - 1].node;
+                    lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+                }
+                
+                if (lowlink.get(frame.node) === index.get(frame.node)) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack.delete(member);
+                        component.push(member);
+                    } while (member !== frame.node);
+                    if (component.length > 1) components.push(component.sort());
+                }
+            }
+        }
+        
+        // Describe each component by its shortest cycle through the first file
+        return components
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(files => ({ files, chain: this._shortestCycle(files[0], new Set(files)) }));
+    }
+    
+    _shortestCycle(start, members) {
+        const previous = new Map();
+        const queue = [start];
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            for (const dep of this.dependencyGraph.get(current).dependencies) {
+                if (!members.has(dep)) continue;
+                if (dep === start) {
+                    const path = [current];
+                    while (path[0] !== start) path.unshift(previous.get(path[0]));
+                    path.push(start);
+                    return path.slice(0, -1).map((from, i) => this._describeImportEdge(from, path[i + 1]));
+                }
+                if (!previous.has(dep)) {
+                    previous.set(dep, current);
+                    queue.push(dep);
+                }
+            }
+        }
+        return [];
+    }
+    
+    _describeImportEdge(from, to) {
+        const entry = this.dependencyGraph.get(from).imports.find(i => i.resolved === to);
+        return { from, to, specifier: entry?.specifier || null, line: entry?.line || null };
+    }
+    
+    _showDependencyCycles() {
+        const cycles = this.getDependencyCycles();
+        const relative = (p) => this.projectRoot ? this.path.relative(this.projectRoot, p) : p;
+        
+        if (cycles.length === 0) {
+            console.log(`✅ No circular dependencies in ${this.dependencyGraph.size} files`);
+            return cycles;
+        }
+        
+        console.log(`🔁 Found ${cycles.length} circular dependency group${cycles.length === 1 ? '' : 's'}:`);
+        cycles.forEach((cycle, i) => {
+            const chain = cycle.chain.map(edge => relative(edge.from)).concat(relative(cycle.chain[0].from));
+            console.log(`\n  ${i + 1}. ${chain.join(' → ')}`);
+            cycle.chain.forEach(edge => {
+                console.log(`     ${relative(edge.from)}:${edge.line} imports '${edge.specifier}'`);
+            });
+            if (cycle.files.length > cycle.chain.length) {
+                console.log(`     (${cycle.files.length} files in this cycle group: ${cycle.files.map(relative).join(', ')})`);
+            }
+        });
+        
+        return cycles;
+    }
+    
+    _resolveTrackedPath(input) {
+        // Accept absolute paths, project-relative paths or a unique file-name suffix
+        if (!input) return null;
+        const candidates = [input, this.path.resolve(this.projectRoot || '/', input)];
+        const direct = candidates.find(p => this.dependencyGraph.has(p) || this.trackedFiles.has(p));
+        if (direct) return direct;
+        
+        const suffix = '/' + this.path.normalize(input).replace(/^(?:\.\/)+/, '');
+        const matches = Array.from(this.dependencyGraph.keys()).filter(p => p.endsWith(suffix));
+        return matches.length === 1 ? matches[0] : null;
+    }
+    
+    _selectDependencySubgraph(options = {}) {
+        const { directory, root, depth = Infinity, includeExternal = true } = options;
+        let files = Array.from(this.dependencyGraph.keys());
+        
+        if (directory) {
+            const dir = this.path.resolve(this.projectRoot || '/', directory).replace(/\/$/, '');
+            files = files.filter(p => p === dir || p.startsWith(dir + '/'));
+        }
+        
+        if (root) {
+            // Walk outgoing imports breadth-first from the root file
+            const start = this._resolveTrackedPath(root);
+            if (!start) throw new Error(`File not in dependency graph: ${root}`);
+            const allowed = new Set(files);
+            const reached = new Map([[start, 0]]);
+            const queue = [start];
+            while (queue.length > 0) {
+                const current = queue.shift();
+                if (reached.get(current) >= depth) continue;
+                this.dependencyGraph.get(current).dependencies.forEach(dep => {
+                    if (!reached.has(dep) && allowed.has(dep)) {
+                        reached.set(dep, reached.get(current) + 1);
+                        queue.push(dep);
+                    }
+                });
+            }
+            files = Array.from(reached.keys());
+        }
+        
+        files.sort();
+        const included = new Set(files);
+        const edges = [];
+        const externals = new Map();
+        
+        files.forEach(file => {
+            const node = this.dependencyGraph.get(file);
+            node.dependencies.filter(dep => included.has(dep)).forEach(dep => {
+                const edge = this._describeImportEdge(file, dep);
+                edges.push({ ...edge, kind: node.imports.find(i => i.resolved === dep)?.kind || 'import' });
+            });
+            if (includeExternal) {
+                node.externals.forEach(name => {
+                    if (!externals.has(name)) externals.set(name, []);
+                    externals.get(name).push(file);
+                });
+            }
+        });
+        
+        return { files, edges, externals };
+    }
+    
+    _formatDependencyGraph(format, graph) {
+        const id = (p) => this.projectRoot ? this.path.relative(this.projectRoot, p) : p;
+        const externals = Array.from(graph.externals.entries()).sort(([a], [b]) => a.localeCompare(b));
+        
+        if (format === 'json') {
+            // Stable schema: sorted, project-relative and free of timestamps so exports diff cleanly
+            return JSON.stringify({
+                schema: 'cmmands/dependency-graph',
+                version: 1,
+                files: graph.files.map(file => {
+                    const node = this.dependencyGraph.get(file);
+                    return { id: id(file), language: node.language, unresolved: node.unresolved };
+                }),
+                edges: graph.edges.map(edge => ({
+                    from: id(edge.from),
+                    to: id(edge.to),
+                    specifier: edge.specifier,
+                    line: edge.line,
+                    kind: edge.kind
+                })),
+                externals: externals.map(([name, importers]) => ({ name, importedBy: importers.map(id) }))
+            }, null, 2);
+        }
+        
+        if (format === 'dot') {
+            const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+            const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+            graph.files.forEach(file => lines.push(`  ${quote(id(file))};`));
+            graph.edges.forEach(edge => lines.push(`  ${quote(id(edge.from))} -> ${quote(id(edge.to))};`));
+            externals.forEach(([name, importers]) => {
+                lines.push(`  ${quote(name)} [shape=ellipse, style=dashed];`);
+                importers.forEach(file => lines.push(`  ${quote(id(file))} -> ${quote(name)} [style=dashed];`));
+            });
+            lines.push('}');
+            return lines.join('\n');
+        }
+        
+        if (format === 'mermaid') {
+            // Mermaid ids must be plain words; labels carry the real paths
+            const label = (value) => `"${String(value).replace(/"/g, '#quot;')}"`;
+            const ids = new Map(graph.files.map((file, i) => [file, `f${i}`]));
+            const lines = ['graph LR'];
+            graph.files.forEach(file => lines.push(`    ${ids.get(file)}[${label(id(file))}]`));
+            graph.edges.forEach(edge => lines.push(`    ${ids.get(edge.from)} --> ${ids.get(edge.to)}`));
+            externals.forEach(([name, importers], i) => {
+                lines.push(`    x${i}([${label(name)}])`);
+                importers.forEach(file => lines.push(`    ${ids.get(file)} -.-> x${i}`));
+            });
+            return lines.join('\n');
+        }
+        
+        throw new Error(`Unknown graph format: ${format} (expected json, dot or mermaid)`);
+    }
+    
+    async _exportDependencyGraphCommand(args = {}) {
+        const { format = 'mermaid', output, ...options } = args;
+        const text = this.exportDependencyGraph(format, options);
+        
+        if (output) {
+            await this.fs.writeFile(this.path.resolve(this.projectRoot || '/', output), text);
+            console.log(`💾 Dependency graph written to ${output}`);
+        } else {
+            console.log(text);
+        }
+        
+        return text;
+    }
+    
+    _showDependencies(filePath) {
+        const node = this.dependencyGraph.get(filePath);
+        if (!node) {
+            console.log(`❌ ${filePath} is not in the dependency graph`);
+            return null;
+        }
+        
+        const relative = (p) => this.projectRoot ? this.path.relative(this.projectRoot, p) : p;
+        console.log(`🔗 Dependencies of ${relative(filePath)}:`);
+        
+        console.log(`\n📁 Local (${node.dependencies.length}):`);
+        node.dependencies.forEach(dep => {
+            const edge = this._describeImportEdge(filePath, dep);
+            console.log(`   → ${relative(dep)}  (line ${edge.line}: '${edge.specifier}')`);
+        });
+        
+        console.log(`\n📦 External (${node.externals.length}):`);
+        node.externals.forEach(name => console.log(`   → ${name}`));
+        
+        if (node.unresolved.length > 0) {
+            console.log(`\n⚠️  Unresolved (${node.unresolved.length}):`);
+            node.unresolved.forEach(spec => console.log(`   ? ${spec}`));
+        }
+        
+        const dependents = Array.from(node.dependents).sort();
+        console.log(`\n⬅️  Imported by (${dependents.length}):`);
+        dependents.forEach(dep => console.log(`   ← ${relative(dep)}`));
+        
+        return { dependencies: node.dependencies, externals: node.externals, unresolved: node.unresolved, dependents };
+    }
+    
+    _computeImpact(filePath) {
+        // Breadth-first over reverse edges: distance 1 = direct importers
+        const start = this._resolveTrackedPath(filePath);
+        if (!start) throw new Error(`File not in dependency graph: ${filePath}`);
+        
+        const distance = new Map([[start, 0]]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const current = queue.shift();
+            Array.from(this.dependencyGraph.get(current)?.dependents || []).sort().forEach(dependent => {
+                if (distance.has(dependent)) return;
+                distance.set(dependent, distance.get(current) + 1);
+                queue.push(dependent);
+            });
+        }
+        distance.delete(start);
+        
+        const levels = [];
+        distance.forEach((level, file) => {
+            if (!levels[level - 1]) levels[level - 1] = { distance: level, files: [] };
+            levels[level - 1].files.push({ path: file, test: this._isTestFile(file) });
+        });
+        levels.forEach(level => level.files.sort((a, b) => a.path.localeCompare(b.path)));
+        
+        const affected = levels.flatMap(level => level.files);
+        return {
+            file: start,
+            total: affected.length,
+            levels,
+            tests: affected.filter(f => f.test).map(f => f.path)
+        };
+    }
+    
+    _isTestFile(filePath) {
+        // By naming convention (*.test.*, *.spec.*, __tests__/ and test/ directories, test_*.py, *_test.py),
+        // or by calling a test framework
+        const relative = this.projectRoot ? this.path.relative(this.projectRoot, filePath) : filePath;
+        if (/(?:^|\/)(?:__tests__|tests?)\//.test(relative) || /\.(?:test|spec)\.[^/]+$|(?:^|\/)test_[^/]*\.py$|_test\.py$/.test(relative)) {
+            return true;
+        }
+        const info = this.trackedFiles.get(filePath);
+        return Boolean(info?.analysis?.patterns?.includes('testing'));
+    }
+    
+    _showImpact(filePath) {
+        const impact = this.getImpact(filePath);
+        const relative = (p) => this.projectRoot ? this.path.relative(this.projectRoot, p) : p;
+        
+        if (impact.total === 0) {
+            console.log(`✅ Nothing imports ${relative(impact.file)}`);
+            return impact;
+        }
+        
+        console.log(`💥 Changing ${relative(impact.file)} affects ${impact.total} file${impact.total === 1 ? '' : 's'}:`);
+        impact.levels.forEach(level => {
+            console.log(`\n  ${level.distance === 1 ? 'Direct importers' : `Distance ${level.distance}`}:`);
+            level.files.forEach(f => console.log(`   ${f.test ? '🧪' : '📄'} ${relative(f.path)}`));
+        });
+        console.log(`\n🧪 Tests to rerun: ${impact.tests.length > 0 ? impact.tests.map(relative).join(', ') : 'none found'}`);
+        
+        return impact;
+    }
+    
+    async _findEntryPoints() {
+        const entries = new Set();
+        const files = Array.from(this.dependencyGraph.keys());
+        const resolveFrom = (fromFile, target) => {
+            const specifier = /^\.{0,2}\//.test(target) ? target : `./${target}`;
+            const resolution = this.moduleResolver.resolve(specifier, fromFile);
+            if (resolution.kind === 'local') entries.add(resolution.path);
+        };
+        
+        // package.json: main/module/browser, bin, exports and files run by scripts
+        for (const file of files.filter(f => this.path.basename(f) === 'package.json')) {
+            const manifest = await this._readJSONFile(file);
+            if (!manifest) continue;
+            
+            const targets = [manifest.main, manifest.module, typeof manifest.browser === 'string' ? manifest.browser : null];
+            if (typeof manifest.bin === 'string') targets.push(manifest.bin);
+            else if (manifest.bin) targets.push(...Object.values(manifest.bin));
+            
+            const collectExports = (value) => {
+                if (typeof value === 'string') targets.push(value.replace(/\*.*$/, ''));
+                else if (value && typeof value === 'object') Object.values(value).forEach(collectExports);
+            };
+            collectExports(manifest.exports);
+            
+            Object.values(manifest.scripts || {}).forEach(script => {
+                String(script).split(/[\s;&|]+/)
+                    .filter(token => /\.[cm]?[jt]sx?$/.test(token))
+                    .forEach(token => targets.push(token.replace(/^['"]|['"]$/g, '')));
+            });
+            
+            targets.filter(Boolean).forEach(target => resolveFrom(file, target));
+        }
+        
+        // Pages load scripts directly
+        for (const file of files.filter(f => /\.html?$/i.test(f))) {
+            const content = await this._readSourceFile(file);
+            const scriptRegex = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+            let match;
+            while (content && (match = scriptRegex.exec(content)) !== null) {
+                if (!/^[a-z]+:|^\/\//i.test(match[1])) resolveFrom(file, match[1]);
+            }
+            // Inline <script type="module"> imports
+            this.parser.analyzeImports(content || '', 'javascript').forEach(entry => resolveFrom(file, entry.specifier));
+        }
+        
+        // Configured entry points (paths or globs relative to the project), tests and tool configs
+        const configured = (this.options.entryPoints || []).map(glob => this._compileGlob(glob));
+        files.forEach(file => {
+            const relative = this.projectRoot ? this.path.relative(this.projectRoot, file) : file;
+            const name = this.path.basename(file);
+            if (configured.some(glob => glob.test(relative, name)) ||
+                this._isTestFile(file) ||
+                /(?:^|[.\-])config\.[cm]?[jt]s$|^\.[\w-]+rc\.[cm]?js$/.test(name)) {
+                entries.add(file);
+            }
+        });
+        
+        return entries;
+    }
+    
+    async _findUnused() {
+        const entries = await this._findEntryPoints();
+        const isSource = (node) => ['javascript', 'typescript'].includes(node.language) && !/\.d\.[cm]?ts$/.test(node.path);
+        
+        // Names each file is imported by; '*' means the whole module is used
+        const usedNames = new Map();
+        this.dependencyGraph.forEach(node => {
+            node.imports.filter(entry => entry.resolved && entry.resolved !== node.path).forEach(entry => {
+                if (!usedNames.has(entry.resolved)) usedNames.set(entry.resolved, new Set());
+                entry.names.forEach(name => usedNames.get(entry.resolved).add(name));
+            });
+        });
+        
+        const files = [];
+        const exports = [];
+        
+        Array.from(this.dependencyGraph.values())
+            .filter(isSource)
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .forEach(node => {
+                const isEntry = entries.has(node.path);
+                if (node.dependents.size === 0 && !isEntry) {
+                    files.push(node.path);
+                    return;
+                }
+                if (isEntry) return;
+                
+                const used = usedNames.get(node.path) || new Set();
+                if (used.has('*')) return;
+                
+                const declared = this.trackedFiles.get(node.path)?.analysis?.exports || [];
+                declared
+                    .filter(exp => exp.name !== 'default' && exp.name !== '*' && !used.has(exp.name))
+                    .forEach(exp => exports.push({ file: node.path, name: exp.name, kind: exp.kind, line: exp.line }));
+            });
+        
+        return { files, exports, entryPoints: Array.from(entries).sort() };
+    }
+    
+    async _showUnused() {
+        const unused = await this._findUnused();
+        const relative = (p) => this.projectRoot ? this.path.relative(this.projectRoot, p) : p;
+        
+        console.log(`🚪 Entry points: ${unused.entryPoints.length > 0 ? unused.entryPoints.map(relative).join(', ') : 'none found'}`);
+        
+        console.log(`\n🗑️  Files nothing imports (${unused.files.length}):`);
+        unused.files.forEach(file => console.log(`   ${relative(file)}`));
+        
+        console.log(`\n📤 Exports no other file imports (${unused.exports.length}):`);
+        unused.exports.forEach(exp => console.log(`   ${relative(exp.file)}:${exp.line}  ${exp.name} (${exp.kind})`));
+        
+        if (unused.files.length + unused.exports.length === 0) {
+            console.log(`✅ No unused files or exports`);
+        }
+        
+        return unused;
+    }
+    
+    // ================ CLONE DETECTION ================
+    
+    _cloneTokens(content, language) {
+        // Only code is worth comparing; data and markup files repeat themselves by design
+        const definition = this.languages.get(language);
+        if (!definition || !(definition.tokenMetrics || definition.analyze || definition.complexityRules.length)) return null;
+        
+        // The JavaScript tokenizer doesn't know hash comments: blank them out, keeping offsets and lines
+        let source = content;
+        if (!definition.tokenMetrics) {
+            source = content.replace(/^([^#\n]*?)(#[^\n]*)/gm, (match, before, comment) => (
+                /^(?:[^'"]|'[^'\n]*'|"[^"\n]*")*$/.test(before) ? before + ' '.repeat(comment.length) : match));
+        }
+        
+        const KEYWORDS = new Set([
+            'if', 'else', 'elif', 'elsif', 'unless', 'for', 'foreach', 'while', 'until', 'do', 'switch', 'case', 'when', 'match',
+            'break', 'continue', 'return', 'yield', 'throw', 'raise', 'try', 'catch', 'except', 'finally', 'rescue', 'ensure',
+            'function', 'def', 'fn', 'func', 'fun', 'lambda', 'class', 'struct', 'interface', 'enum', 'new', 'delete', 'typeof',
+            'instanceof', 'in', 'of', 'is', 'not', 'and', 'or', 'import', 'from', 'export', 'const', 'let', 'var', 'val', 'async',
+            'await', 'static', 'public', 'private', 'protected', 'this', 'self', 'super', 'end', 'then', 'pass', 'with', 'void'
+        ]);
+        const lineStarts = [0];
+        for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+        const lineAt = (offset) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) low = mid;
+                else high = mid - 1;
+            }
+            return low + 1;
+        };
+        
+        // Identifiers and literals are normalized so renamed copies still match
+        return this.parser.tokenize(source).map(tok => ({
+            kind: tok.type === 'punct' ? tok.value : tok.type === 'name' && KEYWORDS.has(tok.value) ? tok.value : `$${tok.type}`,
+            line: lineAt(tok.start),
+            endLine: lineAt(Math.max(tok.start, tok.end - 1))
+        }));
+    }
+    
+    _findClones(sources, options = {}) {
+        // sources: [{ path, content, language }]; a clone is a run of at least minTokens equal normalized tokens
+        const minTokens = options.minTokens || 50;
+        const maxOccurrences = options.maxOccurrences || 50;
+        const relative = (p) => (p && this.projectRoot ? this.path.relative(this.projectRoot, p) : p);
+        
+        const kinds = new Map();
+        const files = sources
+            .map(source => ({ ...source, tokens: this._cloneTokens(source.content, source.language) }))
+            .filter(file => file.tokens);
+        files.forEach(file => {
+            file.seq = file.tokens.map(tok => {
+                if (!kinds.has(tok.kind)) kinds.set(tok.kind, kinds.size + 1);
+                return kinds.get(tok.kind);
+            });
+        });
+        
+        // Index every window of minTokens tokens by a rolling hash
+        const PRIME = 1000000007;
+        const BASE = 131;
+        let power = 1;
+        for (let i = 1; i < minTokens; i++) power = (power * BASE) % PRIME;
+        const windows = new Map();
+        files.forEach((file, f) => {
+            let hash = 0;
+            file.seq.forEach((value, i) => {
+                if (i >= minTokens) hash = (hash - (file.seq[i - minTokens] * power) % PRIME + PRIME) % PRIME;
+                hash = (hash * BASE + value) % PRIME;
+                if (i < minTokens - 1) return;
+                const list = windows.get(hash);
+                if (!list) windows.set(hash, [[f, i - minTokens + 1]]);
+                else if (list.length < maxOccurrences) list.push([f, i - minTokens + 1]);
+            });
+        });
+        
+        // Extend each matching pair from its left-most window; equal fragments are merged into groups
+        const parent = new Map();
+        const find = (key) => {
+            while (parent.get(key) !== key) key = parent.get(key);
+            return key;
+        };
+        const fragments = new Map();
+        const fragment = (f, start, length) => {
+            const key = `${f}:${start}:${length}`;
+            if (!fragments.has(key)) {
+                fragments.set(key, { f, start, length });
+                parent.set(key, key);
+            }
+            return key;
+        };
+        
+        for (const list of windows.values()) {
+            for (let x = 0; x < list.length; x++) {
+                for (let y = x + 1; y < list.length; y++) {
+                    const [fa, a] = list[x];
+                    const [fb, b] = list[y];
+                    const seqA = files[fa].seq;
+                    const seqB = files[fb].seq;
+                    if (a > 0 && b > 0 && seqA[a - 1] === seqB[b - 1]) continue;
+                    
+                    // Copies in one file may not overlap
+                    const limit = fa === fb ? b - a : Infinity;
+                    let length = 0;
+                    while (length < limit && a + length < seqA.length && b + length < seqB.length && seqA[a + length] === seqB[b + length]) length++;
+                    if (length < minTokens) continue;
+                    
+                    const ka = find(fragment(fa, a, length));
+                    const kb = find(fragment(fb, b, length));
+                    if (ka !== kb) parent.set(kb, ka);
+                }
+            }
+        }
+        
+        const grouped = new Map();
+        fragments.forEach((frag, key) => {
+            const root = find(key);
+            if (!grouped.has(root)) grouped.set(root, []);
+            grouped.get(root).push(frag);
+        });
+        
+        // Drop groups that only repeat part of a larger clone
+        const within = (inner, outer) => inner.f === outer.f && inner.start >= outer.start && inner.start + inner.length <= outer.start + outer.length;
+        const all = Array.from(grouped.values());
+        const kept = all.filter(group => !all.some(other => other !== group && other[0].length > group[0].length &&
+            group.every(frag => other.some(o => within(frag, o)))));
+        
+        const groups = kept.map(group => {
+            const list = group
+                .map(({ f, start, length }) => {
+                    const tokens = files[f].tokens;
+                    return { path: files[f].path, file: relative(files[f].path), startLine: tokens[start].line, endLine: tokens[start + length - 1].endLine };
+                })
+                .sort((a, b) => (a.path || '').localeCompare(b.path || '') || a.startLine - b.startLine);
+            return {
+                tokens: group[0].length,
+                lines: Math.max(...list.map(frag => frag.endLine - frag.startLine + 1)),
+                crossFile: new Set(list.map(frag => frag.path)).size > 1,
+                fragments: list
+            };
+        }).sort((a, b) => b.tokens * (b.fragments.length - 1) - a.tokens * (a.fragments.length - 1) ||
+            (a.fragments[0].path || '').localeCompare(b.fragments[0].path || '') || a.fragments[0].startLine - b.fragments[0].startLine);
+        
+        // Every copy after the first is duplication; count each line once
+        const duplicated = new Map();
+        groups.forEach(group => group.fragments.slice(1).forEach(frag => {
+            if (!duplicated.has(frag.path)) duplicated.set(frag.path, new Set());
+            for (let line = frag.startLine; line <= frag.endLine; line++) duplicated.get(frag.path).add(line);
+        }));
+        const duplicatedLines = Array.from(duplicated.values()).reduce((sum, lines) => sum + lines.size, 0);
+        const totalLines = files.reduce((sum, file) => sum + file.content.split('\n').length, 0);
+        
+        return {
+            minTokens,
+            files: files.length,
+            groups,
+            crossFileGroups: groups.filter(group => group.crossFile).length,
+            duplicatedLines,
+            totalLines,
+            percentage: totalLines ? Math.round(duplicatedLines / totalLines * 1000) / 10 : 0
+        };
+    }
+    
+    async _showClones(args = {}) {
+        const sources = [];
+        for (const [filePath, info] of this.trackedFiles) {
+            const content = await this._readSourceFile(filePath);
+            if (content) sources.push({ path: filePath, content, language: info.language });
+        }
+        
+        const report = this._findClones(sources, { minTokens: Number(args.minTokens) || this.options.cloneMinTokens || 50 });
+        console.log(`🧬 Clone detection over ${report.files} files (windows of ${report.minTokens} normalized tokens)`);
+        
+        if (report.groups.length === 0) {
+            console.log(`✅ No duplicated code found`);
+            return report;
+        }
+        
+        console.log(`   ${report.groups.length} clone groups (${report.crossFileGroups} across files), ${report.duplicatedLines} of ${report.totalLines} lines duplicated (${report.percentage}%)`);
+        report.groups.forEach(group => {
+            console.log(`\n   ${group.tokens} tokens, ${group.fragments.length} copies${group.crossFile ? ' across files' : ''}:`);
+            group.fragments.forEach(frag => console.log(`      ${frag.file}:${frag.startLine}-${frag.endLine}`));
+        });
+        
+        const largest = report.groups[0];
+        console.log(`\n👉 Extract ${largest.fragments[0].file}:${largest.fragments[0].startLine}-${largest.fragments[0].endLine} into a shared helper first`);
+        return report;
+    }
+    
+    // ================ FILE DISCOVERY ================
+    
+    async _findAllFiles(rootPath, overrides = {}) {
+        const options = { ...this._getDiscoveryOptions(), ...overrides };
+        const include = options.include.map(glob => this._compileGlob(glob));
+        const exclude = options.exclude.map(glob => this._compileGlob(glob));
+        const root = this.path.resolve(rootPath);
+        const files = [];
+        
+        // A full scan replaces the skip report, a partial scan (new directory) extends it
+        const skipped = new Map();
+        const skip = (filePath, reason, detail) => skipped.set(filePath, { path: filePath, reason, detail });
+        
+        const stack = [{ dir: root, rules: [] }];
+        while (stack.length > 0) {
+            this._checkAborted(options.signal);
+            const { dir, rules: parentRules } = stack.pop();
+            
+            let entries;
+            try {
+                entries = await this.fs.readdir(dir);
+            } catch (error) {
+                continue; // Skip inaccessible directories
+            }
+            entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+            
+            // Nested ignore files extend the rules inherited from parent directories
+            const rules = options.useIgnoreFiles
+                ? parentRules.concat(await this._loadIgnoreRules(dir, entries))
+                : parentRules;
+            
+            const subdirs = [];
+            for (const entry of entries) {
+                const fullPath = this.path.join(dir, entry.name);
+                const relativePath = this.path.relative(root, fullPath);
+                
+                if (entry.isDirectory) {
+                    if (options.excludeDirs.includes(entry.name)) continue;
+                    if (this._isIgnored(fullPath, true, rules)) continue;
+                    if (exclude.some(glob => glob.test(relativePath, entry.name))) continue;
+                    subdirs.push({ dir: fullPath, rules });
+                    continue;
+                }
+                
+                const verdict = await this._checkDiscoveredFile(fullPath, relativePath, rules, { options, include, exclude });
+                if (verdict.track) files.push(fullPath);
+                else skip(fullPath, verdict.reason, verdict.detail);
+            }
+            
+            // Reverse so the stack pops directories in name order
+            stack.push(...subdirs.reverse());
+        }
+        
+        if (!this.projectRoot || root === this.projectRoot) {
+            this.skippedFiles = skipped;
+        } else {
+            skipped.forEach((entry, filePath) => this.skippedFiles.set(filePath, entry));
+        }
+        
+        return files.sort();
+    }
+    
+    async _checkDiscoveredFile(fullPath, relativePath, rules, { options, include, exclude }) {
+        const name = this.path.basename(fullPath);
+        
+        if (this._isIgnored(fullPath, false, rules)) {
+            return { track: false, reason: 'ignored', detail: 'matched an ignore file' };
+        }
+        if (exclude.some(glob => glob.test(relativePath, name))) {
+            return { track: false, reason: 'excluded', detail: 'matched an exclude glob' };
+        }
+        if (include.length > 0 && !include.some(glob => glob.test(relativePath, name))) {
+            return { track: false, reason: 'excluded', detail: 'did not match any include glob' };
+        }
+        if (options.excludeFiles.includes(name) || /\.min\.(?:js|css)$/.test(name)) {
+            return { track: false, reason: 'generated', detail: 'lockfile or minified bundle' };
+        }
+        if (options.binaryExtensions.includes(this.path.extname(name).toLowerCase())) {
+            return { track: false, reason: 'binary', detail: 'binary file extension' };
+        }
+        
+        const stats = await this.fs.stat(fullPath);
+        if (stats.size > options.maxFileSize) {
+            return { track: false, reason: 'too-large', detail: `${stats.size} bytes (limit ${options.maxFileSize})` };
+        }
+        
+        return { track: true };
+    }
+    
+    async _shouldTrackFile(fullPath) {
+        // Same filters as a full scan, for a single file reported by the watcher
+        const options = this._getDiscoveryOptions();
+        const relativePath = this.path.relative(this.projectRoot, fullPath);
+        if (!relativePath || relativePath.startsWith('..')) return { track: false, reason: 'outside-root' };
+        
+        const segments = relativePath.split('/');
+        if (segments.slice(0, -1).some(segment => options.excludeDirs.includes(segment))) {
+            return { track: false, reason: 'excluded', detail: 'inside an excluded directory' };
+        }
+        
+        // Ignore rules from the project root down to the file's directory
+        let rules = [];
+        let dir = this.projectRoot;
+        const exclude = options.exclude.map(glob => this._compileGlob(glob));
+        for (const segment of [null, ...segments.slice(0, -1)]) {
+            if (segment) {
+                dir = this.path.join(dir, segment);
+                if (this._isIgnored(dir, true, rules)) return { track: false, reason: 'ignored', detail: 'inside an ignored directory' };
+                if (exclude.some(glob => glob.test(this.path.relative(this.projectRoot, dir), segment))) {
+                    return { track: false, reason: 'excluded', detail: 'inside an excluded directory' };
+                }
+            }
+            if (options.useIgnoreFiles) rules = rules.concat(await this._loadIgnoreRules(dir));
+        }
+        
+        return this._checkDiscoveredFile(fullPath, relativePath, rules, {
+            options,
+            include: options.include.map(glob => this._compileGlob(glob)),
+            exclude
+        });
+    }
+    
+    async _loadIgnoreRules(dir, entries = null) {
+        let rules = [];
+        for (const ignoreFile of ['.gitignore', '.cmmandsignore']) {
+            const present = entries
+                ? entries.some(e => e.name === ignoreFile && !e.isDirectory)
+                : await this.fs.exists(this.path.join(dir, ignoreFile));
+            if (present) {
+                const content = await this.fs.readFile(this.path.join(dir, ignoreFile));
+                rules = rules.concat(this._parseIgnorePatterns(content, dir));
+            }
+        }
+        return rules;
+    }
+    
+    _getDiscoveryOptions() {
+        return {
+            include: this.options.include || [],
+            exclude: this.options.exclude || [],
+            maxFileSize: this.options.maxFileSize || 1024 * 1024,
+            useIgnoreFiles: this.options.useIgnoreFiles !== false,
+            excludeDirs: ['node_modules', '.git', 'dist', 'build', this.options.cacheDir || '.cmmands-cache', ...(this.options.excludeDirs || [])],
+            excludeFiles: [
+                'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+                'composer.lock', 'Cargo.lock', 'Gemfile.lock', 'poetry.lock', 'Pipfile.lock', '.DS_Store'
+            ],
+            binaryExtensions: [
+                '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tiff', '.psd',
+                '.pdf', '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar',
+                '.woff', '.woff2', '.ttf', '.otf', '.eot',
+                '.mp3', '.mp4', '.wav', '.ogg', '.webm', '.mov', '.avi',
+                '.exe', '.dll', '.so', '.dylib', '.bin', '.o', '.a', '.wasm', '.class', '.jar', '.pyc',
+                '.sqlite', '.db'
+            ]
+        };
+    }
+    
+    _compileGlob(glob) {
+        // Globs without a slash match the file name at any depth (like .gitignore)
+        const regex = this._globToRegExp(glob.replace(/^\.\//, '').replace(/^\//, ''));
+        const byName = !glob.replace(/\/$/, '').includes('/');
+        return { test: (relativePath, name) => regex.test(byName ? name : relativePath) };
+    }
+    
+    _parseIgnorePatterns(content, baseDir) {
+        const rules = [];
+        
+        content.split(/\r?\n/).forEach(rawLine => {
+            let line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) return;
+            
+            const negate = line.startsWith('!');
+            if (negate) line = line.slice(1);
+            line = line.replace(/^\\([#!])/, '$1');
+            
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.replace(/\/+$/, '');
+            if (!line) return;
             
-            delete(key) {
-                cache.delete(key);
-                ttl.delete(key);
-                return true;
-            },
+            // A slash anywhere but the end anchors the pattern to the ignore file's directory
+            const anchored = line.includes('/');
+            const pattern = anchored ? line.replace(/^\//, '') : `**/${line}`;
             
-            clear() {
-                cache.clear();
-                ttl.clear();
-            },
+            rules.push({ regex: this._globToRegExp(pattern), negate, dirOnly, baseDir });
+        });
+        
+        return rules;
+    }
+    
+    _isIgnored(fullPath, isDirectory, rules) {
+        let ignored = false;
+        
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDirectory) continue;
             
-            size() {
-                return cache.size;
-            }
-        };
+            const relativePath = this.path.relative(rule.baseDir, fullPath);
+            if (!relativePath || relativePath.startsWith('..')) continue;
+            
+            // Last matching rule wins, so negations can re-include
+            if (rule.regex.test(relativePath)) ignored = !rule.negate;
+        }
+        
+        return ignored;
     }
     
-    async startTracking(rootPath = '.') {
-        console.log(`🔍 Starting advanced tracking...`);
-        console.log(`📁 Platform: ${this.platform.name} | 🛠️ Capabilities: ${Array.from(this.platform.capabilities).join(', ')}`);
+    _classifyContent(content) {
+        // Text read as UTF-8: binary data shows up as NUL bytes, other encodings
+        // as U+FFFD replacement characters (a UTF-16 BOM decodes to two of them)
+        if (content.charCodeAt(0) === 0xFEFF) {
+            return { text: true, encoding: 'utf-8', bom: true, content: content.slice(1) };
+        }
         
-        this.projectRoot = this.path.resolve(rootPath);
+        const sample = content.slice(0, 8192);
+        if (sample.startsWith('\uFFFD\uFFFD') && sample.includes('\0')) {
+            return { text: false, reason: 'non-utf8', detail: 'UTF-16 encoded (byte order mark)' };
+        }
+        if (sample.includes('\0')) {
+            return { text: false, reason: 'binary', detail: 'contains NUL bytes' };
+        }
+        
+        const replacements = (sample.match(/\uFFFD/g) || []).length;
+        if (replacements > 16 || (replacements > 0 && replacements / sample.length > 0.005)) {
+            return { text: false, reason: 'non-utf8', detail: `${replacements} invalid UTF-8 sequences` };
+        }
+        
+        const lines = sample.split('\n');
+        if (sample.length >= 4096 && lines.length <= 3) {
+            return { text: false, reason: 'generated', detail: 'minified bundle (very long lines)' };
+        }
+        
+        return { text: true, encoding: 'utf-8', bom: false, content };
+    }
+    
+    async _readSourceFile(filePath) {
+        // Single entry point for analyzers: returns null for files that must not be analyzed
+        if (this.skippedFiles?.has(filePath)) return null;
+        
+        const raw = await this.fs.readFile(filePath);
+        const content = raw == null ? '' : raw.toString();
+        const classification = this._classifyContent(content);
+        
+        if (!classification.text) {
+            this.skippedFiles.set(filePath, { path: filePath, reason: classification.reason, detail: classification.detail });
+            return null;
+        }
+        
+        return classification.content;
+    }
+    
+    // ================ FILE WATCHING ================
+    
+    _startFileWatching() {
+        this.stopWatching();
+        
+        const root = this.projectRoot;
+        const onEvent = (eventType, filename) => {
+            if (!filename) return;
+            this._queueFileChange(this.path.join(root, filename.toString()));
+        };
         
         try {
-            // 1. Build dependency graph
-            console.log(`🔗 Building dependency graph...`);
-            await this._buildDependencyGraph(this.projectRoot);
-            
-            // 2. Find and analyze all files
-            console.log(`📊 Analyzing project structure...`);
-            const files = await this._findAllFiles(this.projectRoot);
-            console.log(`📁 Found ${files.length} files in project`);
-            
-            // 3. Analyze each file and generate REAL commands
-            let totalCommands = 0;
-            let analysisTime = 0;
+            this._watchers = [this.fs.watch(root, onEvent, { recursive: true })];
+        } catch (error) {
+            // No recursive watching on this platform: watch every tracked directory
+            const dirs = new Set([root, ...Array.from(this.trackedFiles.keys()).map(p => this.path.dirname(p))]);
+            this._watchers = Array.from(dirs).map(dir =>
+                this.fs.watch(dir, (eventType, filename) => filename && this._queueFileChange(this.path.join(dir, filename.toString())))
+            );
+        }
+        
+        console.log(`👀 Watching ${root} for changes`);
+    }
+    
+    stopWatching() {
+        (this._watchers || []).forEach(watcher => watcher?.close?.());
+        this._watchers = [];
+        clearTimeout(this._watchTimer);
+        this._pendingChanges = new Set();
+    }
+    
+    _queueFileChange(filePath) {
+        // Editors emit bursts of events per save; coalesce them
+        this._pendingChanges = this._pendingChanges || new Set();
+        this._pendingChanges.add(filePath);
+        
+        clearTimeout(this._watchTimer);
+        this._watchTimer = setTimeout(() => {
+            const changes = Array.from(this._pendingChanges).sort();
+            this._pendingChanges = new Set();
+            this._processFileChanges(changes).catch(error => {
+                console.warn(`⚠️  Incremental update failed: ${error.message}`);
+            });
+        }, this.options.watchDebounce ?? 100);
+    }
+    
+    async _processFileChanges(paths) {
+        // Serialize batches so overlapping saves never interleave registry updates
+        this._changeQueue = (this._changeQueue || Promise.resolve()).then(() => this._applyFileChanges(paths));
+        return this._changeQueue;
+    }
+    
+    async _applyFileChanges(paths) {
+        const summary = { changed: [], added: [], removed: [] };
+        const handled = new Set();
+        
+        for (const filePath of paths) {
+            if (handled.has(filePath)) continue;
+            const name = this.path.basename(filePath);
             
-            for (const filePath of files) {
-                const startTime = Date.now();
-                const commands = await this._generateAdvancedCommandsFromFile(filePath);
-                totalCommands += commands.length;
-                analysisTime += Date.now() - startTime;
-                
-                // Update dependency graph with file relationships
-                await this._updateFileDependencies(filePath, commands);
+            // Ignore rules changed: only a full rescan gets the file set right
+            if (name === '.gitignore' || name === '.cmmandsignore') {
+                console.log(`🔄 ${name} changed, rescanning project`);
+                await this.refresh();
+                return summary;
             }
             
-            console.log(`✅ Generated ${totalCommands} REAL commands in ${analysisTime}ms`);
-            console.log(`📊 Cache hits: ${this.cache.size()} | AST parsed: ${this.astCache.size}`);
-            
-            // 4. Generate cross-file commands
-            console.log(`🔗 Generating cross-file commands...`);
-            const crossCommands = this._generateCrossFileCommands();
-            crossCommands.forEach(cmd => this.commandRegistry.set(cmd.name, cmd));
+            const stats = await this.fs.stat(filePath);
+            const exists = stats.isDirectory() || await this.fs.exists(filePath);
             
-            // 5. Setup real interfaces
-            if (this.browserMagic) {
-                this._setupRealBrowserInterface();
+            if (!exists) {
+                // Deleted file, or a deleted directory with tracked files under it
+                const prefix = filePath + '/';
+                const removed = Array.from(this.trackedFiles.keys()).filter(p => p === filePath || p.startsWith(prefix));
+                for (const p of removed) await this._removeTrackedFile(p);
+                summary.removed.push(...removed);
+                continue;
             }
             
-            // 6. Generate project insights
-            this._generateProjectInsights();
+            if (stats.isDirectory()) {
+                // New or renamed directory: discover what is inside
+                for (const newFile of await this._findAllFiles(filePath)) {
+                    handled.add(newFile);
+                    if (!(await this._shouldTrackFile(newFile)).track) continue;
+                    const existed = this.trackedFiles.has(newFile);
+                    await this._reanalyzeFile(newFile);
+                    (existed ? summary.changed : summary.added).push(newFile);
+                    this._emit('file:changed', { path: newFile, type: existed ? 'changed' : 'added' });
+                }
+                continue;
+            }
             
-            // 7. Start file watching if supported
-            if (this.fs.watch) {
-                this._startFileWatching();
+            const verdict = await this._shouldTrackFile(filePath);
+            if (!verdict.track) {
+                if (this.trackedFiles.has(filePath)) {
+                    await this._removeTrackedFile(filePath);
+                    summary.removed.push(filePath);
+                }
+                continue;
             }
             
-        } catch (error) {
-            console.error(`Failed to start tracking:`, error);
-            throw error;
+            const existed = this.trackedFiles.has(filePath);
+            await this._reanalyzeFile(filePath);
+            (existed ? summary.changed : summary.added).push(filePath);
+            this._emit('file:changed', { path: filePath, type: existed ? 'changed' : 'added' });
+        }
+        
+        if (summary.changed.length + summary.added.length + summary.removed.length > 0) {
+            this._registerCrossFileCommands();
+            await this.cache.flush();
+            console.log(`🔄 Incremental update: ${summary.changed.length} changed, ${summary.added.length} added, ${summary.removed.length} removed`);
         }
+        
+        return summary;
     }
     
-    async _buildDependencyGraph(rootPath) {
-        const queue = [rootPath];
+    async _reanalyzeFile(filePath) {
+        this._unregisterFileCommands(filePath);
+        this.trackedFiles.delete(filePath);
+        this.astCache.delete(filePath);
+        this.skippedFiles.delete(filePath);
         
-        while (queue.length > 0) {
-            const currentPath = queue.shift();
-            
+        const content = await this._readSourceFile(filePath);
+        await this._updateFileDependencies(filePath, content);
+        return this._generateAdvancedCommandsFromFile(filePath, content);
+    }
+    
+    async _removeTrackedFile(filePath) {
+        this._unregisterFileCommands(filePath);
+        this.trackedFiles.delete(filePath);
+        this.astCache.delete(filePath);
+        this.skippedFiles.delete(filePath);
+        await this._removeFromDependencyGraph(filePath);
+        console.log(`   🗑️  ${this.path.basename(filePath)} removed`);
+        this._emit('file:removed', { path: filePath });
+    }
+    
+    _unregisterFileCommands(filePath) {
+        const info = this.trackedFiles.get(filePath);
+        (info?.commands || []).forEach(name => {
+            // Another file may have registered a command with the same name since
+            if (this.commandRegistry.get(name)?.filePath === filePath) {
+                this._removeCommand(name);
+            }
+        });
+    }
+    
+    _registerCrossFileCommands() {
+        (this._crossFileCommands || []).forEach(name => this._removeCommand(name));
+        
+        const commands = this._generateCrossFileCommands();
+        commands.forEach(cmd => this._addCommand(cmd));
+        this._crossFileCommands = commands.map(cmd => cmd.name);
+        return commands;
+    }
+    
+    async _analyzeFiles(files, contents, { signal, report = () => {} } = {}) {
+        // Detection and cache lookups stay on this thread and cache misses fan out to the worker pool.
+        // Nothing is committed here: startTracking registers the results in file order afterwards.
+        const jobs = files.map(filePath => (contents.get(filePath) ? this._prepareAnalysis(filePath, contents.get(filePath)) : null));
+        // An injected parser cannot be sent to a worker, so JavaScript and TypeScript then stay here too
+        const hostParsed = this.parser.engine() === 'custom' ? ['javascript', 'typescript'] : [];
+        const offload = new Set(jobs.filter(job => job && !job.result && this.languages.get(job.language)?.builtin && !hostParsed.includes(job.language)));
+        const concurrency = await this._analysisConcurrency();
+        
+        // Spinning up workers costs more than analyzing a handful of files inline
+        const pool = concurrency > 1 && offload.size > concurrency * 4
+            ? await this._createAnalysisPool(concurrency).catch(() => null)
+            : null;
+        
+        let done = 0;
+        const analyze = async (job, analyzer) => {
             try {
-                const entries = await this.fs.readdir(currentPath);
+                job.result = await analyzer(job);
+            } catch (error) {
+                job.error = error;
+            }
+        };
+        const fallback = (job) => pool.run(job).catch(() => {
+            this._checkAborted(signal);
+            return this._analyzeInline(job);
+        });
+        const stop = () => pool?.close();
+        signal?.addEventListener('abort', stop);
+        
+        try {
+            const pooled = [];
+            let yielded = Date.now();
+            for (const [index, job] of jobs.entries()) {
+                this._checkAborted(signal);
+                if (job && !job.result && pool && offload.has(job)) {
+                    pooled.push(analyze(job, fallback).then(() => report(++done, files[index])));
+                    continue;
+                }
                 
-                for (const entry of entries) {
-                    const fullPath = this.path.join(currentPath, entry.name);
-                    
-                    if (entry.isDirectory) {
-                        if (!entry.name.match(/^(node_modules|\.git|dist|build)$/)) {
-                            queue.push(fullPath);
-                        }
-                    } else {
-                        const content = await this.fs.readFile(fullPath);
-                        const language = this._detectLanguage(content, entry.name, this.path.extname(entry.name));
-                        
-                        // Analyze dependencies
-                        const dependencies = this.parser.analyzeDependencies(content, language);
-                        this.dependencyGraph.set(fullPath, {
-                            path: fullPath,
-                            name: entry.name,
-                            language,
-                            dependencies,
-                            dependents: new Set()
-                        });
-                    }
+                if (job && !job.result) await analyze(job, (j) => this._analyzeInline(j));
+                report(++done, files[index]);
+                
+                // Give abort handlers, timers and page rendering a turn between inline analyses
+                if (Date.now() - yielded > 50) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    yielded = Date.now();
                 }
-            } catch (error) {
-                // Skip inaccessible directories
             }
+            await Promise.all(pooled);
+            this._checkAborted(signal);
+        } finally {
+            signal?.removeEventListener('abort', stop);
+            await pool?.close();
         }
         
-        // Build dependents relationships
-        for (const [filePath, fileInfo] of this.dependencyGraph.entries()) {
-            fileInfo.dependencies.forEach(dep => {
-                // Find which files depend on this file
-                for (const [otherPath, otherInfo] of this.dependencyGraph.entries()) {
-                    if (otherInfo.dependencies.some(d => d.includes(fileInfo.name) || d.includes(filePath))) {
-                        fileInfo.dependents.add(otherPath);
-                    }
-                }
+        return { jobs, workers: pool ? pool.size : 0 };
+    }
+    
+    async _analysisConcurrency() {
+        // options.concurrency: analysis workers to use (1 keeps analysis on this thread); defaults to the spare cores
+        if (this.options.concurrency !== undefined) {
+            return Math.max(1, Math.floor(Number(this.options.concurrency)) || 1);
+        }
+        let cores = globalThis.navigator?.hardwareConcurrency || 1;
+        if (this.platform.name === 'node') {
+            const os = await import('node:os');
+            cores = os.availableParallelism?.() ?? os.cpus().length;
+        }
+        return Math.max(1, cores - 1);
+    }
+    
+    async _createAnalysisPool(size) {
+        // Workers load this module again (serveAnalysisRequests) and analyze one file per message
+        let options;
+        try {
+            options = JSON.parse(JSON.stringify(this.options, (key, value) => (['fs', 'files', 'languages'].includes(key) ? undefined : value)));
+        } catch (error) {
+            return null; // options a worker could not receive
+        }
+        
+        let spawn = null;
+        if (this.platform.name === 'node') {
+            const { Worker } = await import('node:worker_threads');
+            spawn = () => {
+                const worker = new Worker(new URL(MODULE_URL), { workerData: { cmmandsAnalysis: true } });
+                return {
+                    post: (message) => worker.postMessage(message),
+                    listen: (onMessage, onError) => {
+                        worker.on('message', onMessage);
+                        worker.on('error', onError);
+                    },
+                    terminate: () => worker.terminate()
+                };
+            };
+        } else if (this.platform.name === 'browser' && typeof Worker !== 'undefined') {
+            spawn = () => {
+                const worker = new Worker(MODULE_URL, { type: 'module', name: 'cmmands-analysis' });
+                return {
+                    post: (message) => worker.postMessage(message),
+                    listen: (onMessage, onError) => {
+                        worker.onmessage = (event) => onMessage(event.data);
+                        worker.onerror = (event) => {
+                            event.preventDefault();
+                            onError(new Error(event.message || 'analysis worker failed'));
+                        };
+                    },
+                    terminate: () => worker.terminate()
+                };
+            };
+        }
+        if (!spawn) return null;
+        
+        const workers = new Set();
+        const idle = [];
+        const queue = [];
+        const dispatch = () => {
+            while (idle.length > 0 && queue.length > 0) {
+                const worker = idle.shift();
+                worker.task = queue.shift();
+                const { filePath, content, language } = worker.task;
+                worker.post({ filePath, content, language });
+            }
+        };
+        
+        for (let i = 0; i < size; i++) {
+            let worker;
+            try {
+                worker = spawn();
+            } catch (error) {
+                break;
+            }
+            worker.listen((message) => {
+                const task = worker.task;
+                if (!task) return; // answered after close()
+                worker.task = null;
+                idle.push(worker);
+                dispatch();
+                if (message.error) task.reject(new Error(message.error));
+                else task.resolve(message);
+            }, (error) => {
+                // A crashed worker leaves the pool; callers analyze its file (and, with no workers left, the queue) inline
+                workers.delete(worker);
+                if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+                worker.task?.reject(error);
+                worker.task = null;
+                if (workers.size === 0) queue.splice(0).forEach(task => task.reject(error));
             });
+            worker.post({ init: options, parser: this.parser.engine() });
+            workers.add(worker);
+            idle.push(worker);
         }
+        if (workers.size === 0) return null;
         
-        console.log(`📊 Dependency graph built: ${this.dependencyGraph.size} files`);
+        return {
+            size: workers.size,
+            run: (job) => new Promise((resolve, reject) => {
+                if (workers.size === 0) return reject(new Error('No analysis workers left'));
+                queue.push({ ...job, resolve, reject });
+                dispatch();
+            }),
+            close: () => {
+                // Outstanding requests fail fast so nothing waits on a terminated worker
+                const closed = new Error('Analysis pool closed');
+                const all = Array.from(workers);
+                workers.clear();
+                queue.splice(0).forEach(task => task.reject(closed));
+                all.forEach(worker => {
+                    worker.task?.reject(closed);
+                    worker.task = null;
+                });
+                return Promise.all(all.map(worker => worker.terminate()));
+            }
+        };
     }
     
-    async _generateAdvancedCommandsFromFile(filePath) {
-        const cacheKey = `analysis_${filePath}`;
+    _prepareAnalysis(filePath, content) {
+        const fileName = this.path.basename(filePath);
+        
+        // Detect language from extension, filename, shebang, modeline and content evidence
+        const detection = this.detectLanguage(filePath, content);
+        const language = detection.language;
+        if (detection.confidence < 0.5 && !detection.overridden) {
+            console.log(`   ⚠️ ${fileName}: guessed ${language} (${Math.round(detection.confidence * 100)}% confidence) - set options.languageOverrides to correct it`);
+        }
+        
+        // Analysis depends only on content, language, path, parser and analyzer version, so it survives restarts
+        const relative = this.projectRoot ? this.path.relative(this.projectRoot, filePath) : filePath;
+        const cacheKey = this.cache.key(content, language, this.languages.get(language)?.version ?? 0, relative, this.parser.engine());
         const cached = this.cache.get(cacheKey);
+        const result = cached && { analysis: cached.analysis };
+        return { filePath, fileName, content, detection, language, cacheKey, cached: Boolean(result), result };
+    }
+    
+    async _analyzeInline({ filePath, content, language }) {
+        // Deep analysis
+        const analysis = await this.ai.analyze(content, language, filePath);
         
-        if (cached) {
-            console.log(`   📦 ${this.path.basename(filePath)} (cached)`);
-            return cached;
+        return { analysis };
+    }
+    
+    _commitAnalysis(job) {
+        const { filePath, fileName, content, detection, language } = job;
+        if (job.error) {
+            console.warn(`   Could not process file ${filePath}: ${job.error.message}`);
+            return [];
         }
         
         try {
-            const content = await this.fs.readFile(filePath);
-            if (!content) return [];
-            
-            const fileName = this.path.basename(filePath);
-            const ext = this.path.extname(filePath).toLowerCase();
-            const contentStr = content.toString();
+            console.log(job.cached ? `   📦 ${fileName} (cached)` : `   🔍 ${fileName}`);
+            const { analysis } = job.result;
             
-            console.log(`   🔍 ${fileName}`);
-            
-            // Detect language with better accuracy
-            const language = this._detectAdvancedLanguage(contentStr, fileName, ext);
-            
-            // Deep analysis
-            const analysis = await this.ai.analyze(contentStr, language, filePath);
+            if (!job.cached) {
+                // The AST is rebuilt on demand rather than persisted
+                const { ast, ...persisted } = analysis;
+                this.cache.set(job.cacheKey, { analysis: persisted });
+            }
             
-            // Security scan
-            const securityIssues = this.security.scan(contentStr);
+            // Rules can change between runs (security.addRule), so findings are never cached
+            const securityIssues = this.security.scan(content, { language });
             
             // Generate REAL, useful commands
-            const commands = this._createAdvancedCommands(filePath, fileName, contentStr, language, analysis, securityIssues);
-            
-            // Cache the analysis
-            this.cache.set(cacheKey, commands, 300000); // 5 minute cache
+            const commands = this._createAdvancedCommands(filePath, fileName, content, language, analysis, securityIssues);
             
             // Store AST if parsed
             if (analysis.ast) {
@@ -952,20 +6027,24 @@ class CmmandsUniversal {
             
             // Register commands
             commands.forEach(cmd => {
-                this.commandRegistry.set(cmd.name, cmd);
+                cmd.filePath = filePath;
+                this._addCommand(cmd);
             });
             
             // Store detailed file info
-            this.trackedFiles.set(filePath, {
+            const info = {
                 path: filePath,
                 name: fileName,
                 language,
+                languageDetection: detection,
                 analysis,
                 securityIssues,
                 commands: commands.map(c => c.name),
                 dependencies: analysis.dependencies || [],
                 metrics: analysis.metrics
-            });
+            };
+            this.trackedFiles.set(filePath, info);
+            this._emit('file:tracked', { path: filePath, name: fileName, language, commands: info.commands });
             
             return commands;
             
@@ -975,63 +6054,20 @@ class CmmandsUniversal {
         }
     }
     
-    _detectAdvancedLanguage(content, fileName, ext) {
-        // More accurate language detection
-        const signatures = {
-            php: /<\?php/,
-            shell: /^#!\/bin\/(?:bash|sh|zsh)/m,
-            html: /<!DOCTYPE html|<html[^>]*>/i,
-            xml: /<\?xml version=/,
-            python: /^#!.*python|def\s+\w+\(|import\s+\w+/m,
-            ruby: /^#!.*ruby|def\s+\w+|require\s+['"]/m,
-            java: /public\s+class|import\s+java\.|@Override/,
-            csharp: /using\s+System|public\s+class|namespace\s+\w+/,
-            cpp: /#include\s+<[^>]+>|using\s+namespace|std::/,
-            rust: /fn\s+\w+\(|let\s+\w+:|use\s+\w+::/,
-            go: /package\s+main|func\s+\w+\(|import\s+\(/,
-            swift: /import\s+Foundation|func\s+\w+\(|let\s+\w+/,
-            kotlin: /fun\s+\w+\(|import\s+\w+\.|val\s+\w+/
-        };
-        
-        for (const [lang, pattern] of Object.entries(signatures)) {
-            if (pattern.test(content)) return lang;
-        }
-        
-        const extMap = {
-            '.js': 'javascript', '.jsx': 'javascript', '.ts': 'typescript', '.tsx': 'typescript',
-            '.mjs': 'javascript', '.cjs': 'javascript',
-            '.py': 'python', '.pyw': 'python',
-            '.rb': 'ruby', '.erb': 'ruby',
-            '.java': 'java', '.class': 'java',
-            '.cs': 'csharp',
-            '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.h': 'cpp', '.hpp': 'cpp',
-            '.c': 'c',
-            '.rs': 'rust',
-            '.go': 'go',
-            '.swift': 'swift',
-            '.kt': 'kotlin', '.kts': 'kotlin',
-            '.php': 'php', '.phtml': 'php',
-            '.html': 'html', '.htm': 'html', '.xhtml': 'html',
-            '.css': 'css', '.scss': 'scss', '.sass': 'sass', '.less': 'less',
-            '.sql': 'sql',
-            '.json': 'json', '.json5': 'json',
-            '.xml': 'xml', '.xsd': 'xml', '.xsl': 'xml',
-            '.yml': 'yaml', '.yaml': 'yaml',
-            '.md': 'markdown', '.markdown': 'markdown',
-            '.txt': 'text', '.text': 'text',
-            '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell',
-            '.ps1': 'powershell', '.psm1': 'powershell',
-            '.dockerfile': 'docker', 'dockerfile': 'docker',
-            '.env': 'env', '.env.local': 'env',
-            '.gitignore': 'gitignore', '.gitattributes': 'gitignore',
-            '.eslintrc': 'json', '.prettierrc': 'json',
-            '.toml': 'toml',
-            '.ini': 'ini',
-            '.csv': 'csv',
-            '.tsv': 'tsv'
-        };
-        
-        return extMap[ext] || extMap[fileName.toLowerCase()] || 'text';
+    async _generateAdvancedCommandsFromFile(filePath, content) {
+        // One file outside a full scan (watcher, refresh of a single path): analyzed on this thread
+        const source = content === undefined ? await this._readSourceFile(filePath) : content;
+        if (!source) return [];
+        
+        const job = this._prepareAnalysis(filePath, source);
+        if (!job.result) {
+            try {
+                job.result = await this._analyzeInline(job);
+            } catch (error) {
+                job.error = error;
+            }
+        }
+        return this._commitAnalysis(job);
     }
     
     _createAdvancedCommands(filePath, fileName, content, language, analysis, securityIssues) {
@@ -1061,7 +6097,7 @@ class CmmandsUniversal {
         });
         
         // === REAL CODE ANALYSIS COMMANDS ===
-        if (analysis.metrics) {
+        if (analysis.metrics && !analysis.declarationOnly) {
             commands.push({
                 name: `analyze:metrics:${safeName}`,
                 action: () => this._showAdvancedMetrics(filePath, analysis),
@@ -1085,15 +6121,17 @@ class CmmandsUniversal {
         
         // === REAL EXECUTION COMMANDS ===
         if (language === 'javascript' || language === 'typescript') {
-            // Real function execution with parameters
-            analysis.functions.forEach((func, index) => {
+            // Real function execution with parameters (declaration files have nothing to run)
+            const runnable = analysis.declarationOnly ? [] : analysis.functions.filter(func => func.topLevel && !func.className && !func.declaration);
+            runnable.forEach((func, index) => {
                 commands.push({
                     name: `execute:${safeName}:${func.name}`,
-                    action: () => this._executeFunctionWithUI(filePath, func, content, language),
+                    action: (args) => this._executeFunctionWithUI(filePath, func, content, language, args),
                     description: `Execute ${func.name}(${func.params.join(', ')})`,
                     category: 'execution',
                     icon: '⚡',
-                    tags: ['function', 'execute']
+                    tags: ['function', 'execute'],
+                    params: this._functionParams(func)
                 });
                 
                 // Generate test command for each function
@@ -1108,7 +6146,7 @@ class CmmandsUniversal {
             });
             
             // Real class instantiation
-            analysis.classes.forEach(cls => {
+            analysis.classes.filter(cls => !analysis.declarationOnly && !cls.abstract).forEach(cls => {
                 commands.push({
                     name: `instantiate:${safeName}:${cls.name}`,
                     action: () => this._instantiateClassWithUI(filePath, cls, content, language),
@@ -1119,18 +6157,40 @@ class CmmandsUniversal {
                 });
             });
             
-            // Real dependency graph commands
+            if (analysis.types) {
+                commands.push({
+                    name: `types:show:${safeName}`,
+                    action: () => this._showTypes(filePath, analysis),
+                    description: `Show the public type surface of ${fileName}`,
+                    category: 'types',
+                    icon: '🔷',
+                    tags: ['typescript', 'types', 'api']
+                });
+            }
+        }
+        
+        // === REAL DEPENDENCY GRAPH COMMANDS ===
+        if (this.languages.get(language)?.dependencies) {
             const deps = analysis.dependencies || [];
             if (deps.length > 0) {
                 commands.push({
                     name: `deps:show:${safeName}`,
-                    action: () => this._showDependencies(filePath, deps),
+                    action: () => this._showDependencies(filePath),
                     description: `Show dependencies for ${fileName}`,
                     category: 'dependencies',
                     icon: '🔗',
                     tags: ['deps', 'graph']
                 });
             }
+            
+            commands.push({
+                name: `deps:impact:${safeName}`,
+                action: () => this._showImpact(filePath),
+                description: `Show files affected by changing ${fileName}`,
+                category: 'dependencies',
+                icon: '💥',
+                tags: ['deps', 'impact', 'testing']
+            });
         }
         
         // === REAL SECURITY COMMANDS ===
@@ -1138,8 +6198,8 @@ class CmmandsUniversal {
             securityIssues.forEach((issue, index) => {
                 commands.push({
                     name: `security:fix:${safeName}:${index}`,
-                    action: () => this._fixSecurityIssue(filePath, issue, content),
-                    description: `Fix security issue: ${issue.pattern.slice(0, 50)}...`,
+                    action: () => this._fixSecurityIssue(filePath, issue),
+                    description: `Fix ${issue.ruleId} (line ${issue.line}): ${issue.pattern.slice(0, 50)}...`,
                     category: 'security',
                     icon: '🔒',
                     tags: ['security', 'fix']
@@ -1246,10 +6306,61 @@ class CmmandsUniversal {
             tags: ['search', 'imports']
         });
         
+        const cycles = this._findDependencyCycles();
+        commands.push({
+            name: `deps:cycles`,
+            action: () => this._showDependencyCycles(),
+            description: cycles.length > 0
+                ? `Show ${cycles.length} circular import chain${cycles.length === 1 ? '' : 's'}`
+                : `Check for circular imports`,
+            category: 'dependencies',
+            icon: '🔁',
+            tags: ['dependencies', 'cycles', 'global']
+        });
+        
+        commands.push({
+            name: `deps:export`,
+            action: (args) => this._exportDependencyGraphCommand(args),
+            description: `Export the dependency graph as Mermaid, DOT or JSON`,
+            category: 'dependencies',
+            icon: '🗺️',
+            tags: ['dependencies', 'graph', 'export'],
+            params: this._normalizeParams([
+                { name: 'format', type: 'string', enum: ['mermaid', 'dot', 'json'], default: 'mermaid', description: 'Output format' },
+                { name: 'output', type: 'string', description: 'File to write, relative to the project root (printed when omitted)' },
+                { name: 'directory', type: 'string', description: 'Only include files under this directory' },
+                { name: 'root', type: 'string', description: 'Only include files reachable from this file' },
+                { name: 'depth', type: 'number', description: 'How many imports to follow from root' },
+                { name: 'includeExternal', type: 'boolean', description: 'Include npm packages and other external imports' }
+            ], 'deps:export')
+        });
+        
+        commands.push({
+            name: `deps:unused`,
+            action: () => this._showUnused(),
+            description: `Find files nothing imports and exports nothing uses`,
+            category: 'dependencies',
+            icon: '🗑️',
+            tags: ['dependencies', 'cleanup', 'dead-code']
+        });
+        
+        commands.push({
+            name: `refactor:clones`,
+            action: (args) => this._showClones(args),
+            description: `Find copy-pasted code within and across files`,
+            category: 'refactor',
+            icon: '🧬',
+            tags: ['refactor', 'duplicates', 'clones', 'global'],
+            params: this._normalizeParams([
+                { name: 'minTokens', type: 'number', description: `Smallest clone to report, in normalized tokens (default ${this.options.cloneMinTokens || 50})` }
+            ], 'refactor:clones')
+        });
+        
         // Generate refactoring commands based on patterns
         const allFunctions = [];
         for (const data of this.trackedFiles.values()) {
-            data.analysis.functions.forEach(f => {
+            // Methods and nested helpers legitimately share names across files
+            data.analysis.functions.filter(f => f.topLevel !== false && !f.declaration).forEach(f => {
                 allFunctions.push({
                     name: f.name,
                     file: data.name,
@@ -1282,37 +6393,281 @@ class CmmandsUniversal {
         return commands;
     }
     
-    async _executeAdvancedOpen(filePath, content, analysis) {
-        console.log(`📂 Opening: ${filePath}`);
-        
-        if (this.platform.name === 'browser' && this.browserMagic) {
-            // Create enhanced editor with analysis sidebar
-            return this.browserMagic.createEnhancedEditor(filePath, content, analysis);
-        } else {
-            // Terminal output with detailed info
-            console.log(`📊 File Analysis:`);
-            console.log(`   Language: ${analysis.language || 'unknown'}`);
-            console.log(`   Functions: ${analysis.functions?.length || 0}`);
-            console.log(`   Classes: ${analysis.classes?.length || 0}`);
-            console.log(`   Lines: ${analysis.metrics?.lines || 0}`);
-            console.log(`   Complexity: ${analysis.metrics?.complexity || 0}`);
+    _showAdvancedMetrics(filePath, analysis) {
+        const metrics = analysis.metrics;
+        const relative = this.projectRoot ? this.path.relative(this.projectRoot, filePath) : filePath;
+        const needsWork = (m) => m.cyclomatic > 10 || m.cognitive > 15 || m.maintainability < 65;
+        
+        console.log(`📊 Metrics for ${relative}`);
+        console.log(`   Lines: ${metrics.lines} (${metrics.sloc ?? metrics.nonEmptyLines} source, ${metrics.commentLines} comment)`);
+        console.log(`   Cyclomatic complexity: ${metrics.complexity}${metrics.maxComplexity ? ` (avg ${metrics.averageComplexity} per function, max ${metrics.maxComplexity})` : ''}`);
+        if (metrics.cognitive !== undefined) console.log(`   Cognitive complexity: ${metrics.cognitive}`);
+        if (metrics.halstead) console.log(`   Halstead volume: ${metrics.halstead.volume} (difficulty ${metrics.halstead.difficulty}, effort ${metrics.halstead.effort})`);
+        console.log(`   Maintainability index: ${metrics.maintainability}${metrics.maintainability < 65 ? ' ⚠️' : ''}`);
+        
+        const functions = analysis.functions
+            .filter(f => f.metrics)
+            .map(f => ({ name: f.className ? `${f.className}.${f.name}` : f.name, line: f.line, ...f.metrics }))
+            .sort((a, b) => (b.cognitive ?? b.cyclomatic) - (a.cognitive ?? a.cyclomatic) || b.cyclomatic - a.cyclomatic || a.line - b.line);
+        const hotspots = functions.filter(needsWork);
+        
+        if (functions.length > 0) {
+            console.log(`\n🔧 Functions by ${functions.some(f => f.cognitive === null) ? 'cyclomatic' : 'cognitive'} complexity:`);
+            functions.forEach(f => {
+                console.log(`   ${needsWork(f) ? '⚠️ ' : '  '} L${String(f.line).padEnd(5)} ${`${f.name}()`.padEnd(32)} cyclomatic ${String(f.cyclomatic).padStart(3)}  cognitive ${String(f.cognitive ?? '-').padStart(3)}  MI ${String(f.maintainability).padStart(5)}  LOC ${f.loc}`);
+            });
+        }
+        
+        if (hotspots.length > 0) {
+            console.log(`\n👉 Start with ${hotspots[0].name}() at line ${hotspots[0].line}`);
+        } else {
+            console.log(`\n✅ No function exceeds the complexity thresholds`);
+        }
+        
+        return { file: { ...metrics }, functions, hotspots };
+    }
+    
+    _formatSignature(name, { typeParameters, params = [], returnType }) {
+        const list = params.map(p => `${p.rest ? '...' : ''}${p.name}${p.optional && !p.rest ? '?' : ''}${p.type ? `: ${p.type}` : ''}`);
+        return `${name}${typeParameters || ''}(${list.join(', ')})${returnType ? `: ${returnType}` : ''}`;
+    }
+    
+    _showTypes(filePath, analysis) {
+        const types = analysis.types || { interfaces: [], typeAliases: [], enums: [] };
+        const relative = this.projectRoot ? this.path.relative(this.projectRoot, filePath) : filePath;
+        
+        // A module exposes what it exports; a file without imports or exports declares globals
+        const exportedAs = new Map();
+        analysis.exports.filter(e => e.kind !== 'reexport').forEach(e => exportedAs.set(e.local || e.name, e.name));
+        const isModule = analysis.exports.length > 0 || analysis.imports.length > 0;
+        const visible = (decl) => !isModule || decl.exported || exportedAs.has(decl.name);
+        const publicName = (decl) => (exportedAs.get(decl.name) && exportedAs.get(decl.name) !== decl.name ? `${decl.name} as ${exportedAs.get(decl.name)}` : decl.name);
+        const isPublicMember = (m) => m.accessibility !== 'private' && !String(m.name).startsWith('#');
+        const describeMember = (m) => {
+            if (m.kind === 'property' || m.kind === 'index') {
+                const modifiers = `${m.static ? 'static ' : ''}${m.readonly ? 'readonly ' : ''}`;
+                return `${modifiers}${m.name}${m.optional ? '?' : ''}${m.type ? `: ${m.type}` : ''}`;
+            }
+            if (m.kind === 'call') return this._formatSignature('', m);
+            if (m.kind === 'construct') return this._formatSignature('new ', m);
+            const prefix = `${m.static ? 'static ' : ''}${m.abstract ? 'abstract ' : ''}${m.kind === 'getter' ? 'get ' : m.kind === 'setter' ? 'set ' : ''}`;
+            return prefix + this._formatSignature(`${m.name}${m.optional ? '?' : ''}`, m);
+        };
+        
+        const interfaces = types.interfaces.filter(visible);
+        const typeAliases = types.typeAliases.filter(visible);
+        const enums = types.enums.filter(visible);
+        const classes = analysis.classes.filter(visible).map(cls => ({ ...cls, members: (cls.members || []).filter(isPublicMember) }));
+        
+        // Overloads hide their implementation signature
+        const topLevel = analysis.functions.filter(f => f.topLevel && !f.className && visible(f));
+        const overloaded = new Set(topLevel.filter(f => f.declaration).map(f => f.name));
+        const functions = topLevel.filter(f => f.declaration || !overloaded.has(f.name));
+        const functionNames = new Set(functions.map(f => f.name));
+        const variables = analysis.variables.filter(v => visible(v) && !functionNames.has(v.name));
+        const reexports = analysis.exports
+            .filter(e => e.kind === 'reexport')
+            .map(e => (e.name === '*' ? `* from '${e.source}'` : e.name));
+        
+        console.log(`🔷 Type surface of ${relative}${analysis.declarationOnly ? ' (declaration file)' : ''}`);
+        interfaces.forEach(i => {
+            console.log(`\n   interface ${publicName(i)}${i.typeParameters || ''}${i.extends.length ? ` extends ${i.extends.join(', ')}` : ''}`);
+            i.members.forEach(m => console.log(`      ${describeMember(m)}`));
+        });
+        if (typeAliases.length > 0) console.log('');
+        typeAliases.forEach(a => console.log(`   type ${publicName(a)}${a.typeParameters || ''} = ${a.type}`));
+        enums.forEach(e => {
+            const members = e.members.map(m => (m.value !== undefined ? `${m.name} = ${m.value}` : m.name));
+            console.log(`\n   ${e.const ? 'const ' : ''}enum ${publicName(e)} { ${members.join(', ')} }`);
+        });
+        classes.forEach(cls => {
+            const heritage = `${cls.extends ? ` extends ${cls.extends}` : ''}${cls.implements ? ` implements ${cls.implements.join(', ')}` : ''}`;
+            console.log(`\n   ${cls.abstract ? 'abstract ' : ''}class ${publicName(cls)}${cls.typeParameters || ''}${heritage}`);
+            cls.members.forEach(m => console.log(`      ${m.accessibility === 'protected' ? 'protected ' : ''}${describeMember(m)}`));
+        });
+        if (functions.length > 0) console.log('');
+        functions.forEach(f => console.log(`   function ${this._formatSignature(publicName(f), { ...f, params: f.paramDetails })}`));
+        if (variables.length > 0) console.log('');
+        variables.forEach(v => console.log(`   ${v.kind} ${publicName(v)}${v.type ? `: ${v.type}` : ''}`));
+        if (reexports.length > 0) console.log(`\n   Re-exports: ${reexports.join(', ')}`);
+        
+        const total = interfaces.length + typeAliases.length + enums.length + classes.length + functions.length + variables.length;
+        if (total === 0 && reexports.length === 0) console.log(`   (no public declarations)`);
+        
+        return { file: filePath, declarationOnly: Boolean(analysis.declarationOnly), interfaces, typeAliases, enums, classes, functions, variables, reexports };
+    }
+    
+    async _executeAdvancedOpen(filePath, content, analysis) {
+        console.log(`📂 Opening: ${filePath}`);
+        
+        if (this.platform.name === 'browser' && this.browserMagic) {
+            // Create enhanced editor with analysis sidebar
+            return this.browserMagic.createEnhancedEditor(filePath, content, analysis);
+        } else {
+            // Terminal output with detailed info
+            console.log(`📊 File Analysis:`);
+            console.log(`   Language: ${analysis.language || 'unknown'}`);
+            console.log(`   Functions: ${analysis.functions?.length || 0}`);
+            console.log(`   Classes: ${analysis.classes?.length || 0}`);
+            console.log(`   Lines: ${analysis.metrics?.lines || 0}`);
+            console.log(`   Complexity: ${analysis.metrics?.complexity || 0}`);
+            
+            if (analysis.codeSmells?.length > 0) {
+                console.log(`   ⚠️  Code smells: ${analysis.codeSmells.length}`);
+            }
+            
+            // Show preview
+            console.log(`\n📄 Content preview (first 300 chars):`);
+            console.log('─'.repeat(50));
+            console.log(content.substring(0, 300) + (content.length > 300 ? '...' : ''));
+            console.log('─'.repeat(50));
+        }
+        
+        return { success: true, filePath, analysis };
+    }
+    
+    _functionParams(func) {
+        // Schema for an analyzed function: TypeScript annotations and literal defaults give the types,
+        // destructured parameters are addressed by position (arg1, arg2, ...)
+        const details = func.paramDetails || func.params.map(name => ({ name, optional: false, rest: false }));
+        const used = new Set();
+        
+        return this._normalizeParams(details.map((detail, index) => {
+            let name = detail.pattern ? `arg${index + 1}` : detail.name;
+            if (used.has(name)) name = `arg${index + 1}`;
+            used.add(name);
+            
+            const signature = `${detail.rest ? '...' : ''}${detail.name}${detail.optional && detail.default === undefined ? '?' : ''}`
+                + `${detail.type ? `: ${detail.type}` : ''}${detail.default !== undefined ? ` = ${detail.default}` : ''}`;
+            
+            if (detail.rest) {
+                const element = /^(?:readonly\s+)?(.+)\[\]$/.exec(detail.type || '')?.[1] ?? /^Array<(.+)>$/.exec(detail.type || '')?.[1];
+                return { name, type: 'array', items: this._schemaFromType(element).type, rest: true, description: signature };
+            }
+            
+            const schema = this._schemaFromType(detail.type);
+            // null would stop the function's own default from applying, so it is not carried over
+            const fallback = detail.default !== undefined ? this._literalValue(detail.default) ?? undefined : undefined;
+            if (schema.type === 'json' && fallback !== undefined) {
+                schema.type = Array.isArray(fallback) ? 'array' : typeof fallback;
+            }
+            
+            return {
+                name,
+                type: schema.type,
+                items: schema.items,
+                enum: schema.enum,
+                required: !detail.optional,
+                default: fallback,
+                description: signature
+            };
+        }), func.name);
+    }
+    
+    _schemaFromType(type) {
+        // Maps a TypeScript annotation onto a parameter type; unions of literals become an enum
+        if (!type) return { type: 'json' };
+        
+        const members = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < type.length; i++) {
+            const char = type[i];
+            if ('([{<'.includes(char)) depth++;
+            else if (')]}'.includes(char) || (char === '>' && type[i - 1] !== '=')) depth--;
+            else if (char === '|' && depth === 0) {
+                members.push(type.slice(start, i));
+                start = i + 1;
+            }
+        }
+        members.push(type.slice(start));
+        
+        const kept = members.map(m => m.trim()).filter(m => m && m !== 'undefined' && m !== 'null');
+        if (kept.length === 0) return { type: 'json' };
+        if (kept.every(m => /^(['"`])[^'"`]*\1$/.test(m))) return { type: 'string', enum: kept.map(m => m.slice(1, -1)) };
+        if (kept.every(m => /^-?\d+(\.\d+)?$/.test(m))) return { type: 'number', enum: kept.map(Number) };
+        if (kept.every(m => m === 'true' || m === 'false' || m === 'boolean')) return { type: 'boolean' };
+        if (kept.length > 1) return { type: 'json' };
+        
+        const single = kept[0];
+        if (single === 'string') return { type: 'string' };
+        if (single === 'number' || single === 'bigint') return { type: 'number' };
+        const element = /^(?:readonly\s+)?(.+)\[\]$/.exec(single)?.[1] ?? /^(?:Readonly)?Array<(.+)>$/.exec(single)?.[1];
+        if (element) return { type: 'array', items: this._schemaFromType(element).type };
+        if (/^(readonly\s+)?\[/.test(single)) return { type: 'array' };
+        if (single === 'object' || /^\{|^Record</.test(single)) return { type: 'object' };
+        return { type: 'json' };
+    }
+    
+    _literalValue(source) {
+        // Default values as written in the source, when they are plain literals
+        const text = source.trim();
+        const quoted = /^'([^'"\\]*)'$/.exec(text);
+        if (quoted) return quoted[1];
+        try {
+            return JSON.parse(text);
+        } catch {
+            return undefined;
+        }
+    }
+    
+    _functionArguments(params, values = {}) {
+        // Positional call arguments in declaration order; a rest parameter spreads its array
+        const list = [];
+        params.forEach(param => {
+            const value = values[param.name];
+            if (param.rest) list.push(...(Array.isArray(value) ? value : value === undefined ? [] : [value]));
+            else list.push(value);
+        });
+        while (list.length > 0 && list[list.length - 1] === undefined) list.pop();
+        return list;
+    }
+    
+    _executableSource(content) {
+        // vm.Script and new Function() run scripts, not modules: declarations lose their `export`, export
+        // lists are dropped and static imports become __cmmandsRequire() calls, each on its original lines
+        const masked = this.parser.blankStrings(content);
+        const sameLines = (text) => '\n'.repeat(text.split('\n').length - 1);
+        const statement = /^[ \t]*(import|export)\b(?!\s*[(.])/gm;
+        const edits = [];
+        let match;
+        while ((match = statement.exec(masked))) {
+            const start = match.index + match[0].length - match[1].length;
+            const rest = masked.slice(start);
             
-            if (analysis.codeSmells?.length > 0) {
-                console.log(`   ⚠️  Code smells: ${analysis.codeSmells.length}`);
+            if (match[1] === 'import') {
+                // import a, { b as c } from 'x' / import * as ns from 'x' / import 'x'
+                const clause = rest.match(/^import\s*(?:([\w$]+)\s*,?\s*)?(?:\*\s*as\s+([\w$]+)|\{([^}]*)\})?\s*(?:from\s*)?(['"])[^'"\n]*\4[ \t]*;?/);
+                if (!clause) continue;
+                const close = start + clause[0].lastIndexOf(clause[4]);
+                const specifier = content.slice(content.lastIndexOf(clause[4], close - 1) + 1, close);
+                const module = `__cmmandsImport${edits.length}`;
+                const bindings = [`const ${module} = __cmmandsRequire(${JSON.stringify(specifier)});`];
+                if (clause[1]) bindings.push(`const ${clause[1]} = ${module}.default ?? ${module};`);
+                if (clause[2]) bindings.push(`const ${clause[2]} = ${module};`);
+                if (clause[3]?.trim()) bindings.push(`const {${clause[3].replace(/\s+/g, ' ').replace(/\bas\b/g, ':')}} = ${module};`);
+                edits.push([start, start + clause[0].length, bindings.join(' ') + sameLines(clause[0])]);
+                continue;
             }
             
-            // Show preview
-            console.log(`\n📄 Content preview (first 300 chars):`);
-            console.log('─'.repeat(50));
-            console.log(content.substring(0, 300) + (content.length > 300 ? '...' : ''));
-            console.log('─'.repeat(50));
+            const list = rest.match(/^export\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})(?:\s*from\s*(['"])[^'"\n]*\1)?[ \t]*;?/);
+            if (list) {
+                edits.push([start, start + list[0].length, sameLines(list[0])]);
+                continue;
+            }
+            const keyword = rest.match(/^export\s+(default\s+)?/);
+            if (!keyword) continue;
+            // `export default` of anything but a named function or class is an expression to keep
+            const named = /^(?:async\s+)?function\b\s*\*?\s*[\w$]|^class\s+(?!extends\b)[\w$]/.test(rest.slice(keyword[0].length));
+            edits.push([start, start + keyword[0].length, keyword[1] && !named ? 'const __cmmandsDefault = ' : '']);
         }
         
-        return { success: true, filePath, analysis };
+        return edits.reduceRight((source, [from, to, text]) => source.slice(0, from) + text + source.slice(to), content);
     }
     
-    async _executeFunctionWithUI(filePath, func, content, language) {
+    async _executeFunctionWithUI(filePath, func, content, language, args = {}) {
         console.log(`🎯 Executing function: ${func.name}`);
+        const params = this._functionParams(func);
         
         if (this.platform.name === 'browser') {
             // Create interactive UI for function execution
@@ -1332,10 +6687,10 @@ class CmmandsUniversal {
             
             modal.innerHTML = `
                 <h3>Execute ${func.name}()</h3>
-                ${func.params.map((param, i) => `
+                ${params.map((param, i) => `
                     <div style="margin: 10px 0;">
-                        <label>${param}:</label>
-                        <input type="text" id="param-${i}" placeholder="Value for ${param}" style="width: 100%; padding: 5px;">
+                        <label><span id="param-name-${i}"></span> <small id="param-type-${i}" style="color: #888;"></small></label>
+                        <input type="text" id="param-${i}" style="width: 100%; padding: 5px;">
                     </div>
                 `).join('')}
                 <button id="execute-btn" style="margin-top: 10px; padding: 10px 20px; background: #007acc; color: white; border: none; border-radius: 5px; cursor: pointer;">
@@ -1349,23 +6704,59 @@ class CmmandsUniversal {
             
             document.body.appendChild(modal);
             
+            // Signatures and prefilled values are source text, so they are set as properties, not markup
+            params.forEach((param, i) => {
+                document.getElementById(`param-name-${i}`).textContent = `${param.rest ? '...' : ''}${param.name}${param.required ? ' *' : ''}`;
+                document.getElementById(`param-type-${i}`).textContent = param.enum ? param.enum.join(' | ') : param.type;
+                const input = document.getElementById(`param-${i}`);
+                input.placeholder = param.description || `Value for ${param.name}`;
+                const value = args[param.name];
+                if (value !== undefined) input.value = typeof value === 'string' ? value : JSON.stringify(value);
+            });
+            
             document.getElementById('execute-btn').onclick = async () => {
-                const params = func.params.map((_, i) => {
+                const values = {};
+                params.forEach((param, i) => {
                     const input = document.getElementById(`param-${i}`);
-                    return input.value;
+                    if (input.value !== '') values[param.name] = input.value;
                 });
                 
                 const resultDiv = document.getElementById('result');
                 resultDiv.style.display = 'block';
-                resultDiv.innerHTML = `<div style="color: #007acc;">Executing ${func.name}(${params.map(p => JSON.stringify(p)).join(', ')})...</div>`;
+                
+                // Arguments, results and error messages are runtime values: always text, never markup
+                const show = (message, color, output) => {
+                    resultDiv.replaceChildren();
+                    const line = document.createElement('div');
+                    line.style.color = color;
+                    line.textContent = message;
+                    resultDiv.appendChild(line);
+                    if (output !== undefined) {
+                        const pre = document.createElement('pre');
+                        pre.style.cssText = 'background: #1e1e1e; color: white; padding: 10px; border-radius: 5px; margin-top: 10px;';
+                        pre.textContent = output;
+                        resultDiv.appendChild(pre);
+                    }
+                };
+                
+                let callArgs;
+                try {
+                    callArgs = this._functionArguments(params, this._validateArgs({ name: func.name, params }, values))
+                        .map(value => value === undefined ? 'undefined' : JSON.stringify(value));
+                } catch (error) {
+                    show(`❌ ${error.message}`, 'red');
+                    return;
+                }
+                show(`Executing ${func.name}(${callArgs.join(', ')})...`, '#007acc');
                 
                 try {
                     // In browser, we need to be careful with execution
                     const code = `
                         (function() {
-                            ${content}
+                            const __cmmandsRequire = (specifier) => { throw new Error('Cannot import ' + specifier + ' in the browser'); };
+                            ${this._executableSource(content)}
                             try {
-                                const result = ${func.name}(${params.map(p => JSON.stringify(p)).join(', ')});
+                                const result = ${func.name}(${callArgs.join(', ')});
                                 return { success: true, result: result };
                             } catch(error) {
                                 return { success: false, error: error.message };
@@ -1378,17 +6769,12 @@ class CmmandsUniversal {
                     const executionResult = funcWrapper();
                     
                     if (executionResult.success) {
-                        resultDiv.innerHTML = `
-                            <div style="color: green;">✅ Function executed successfully</div>
-                            <pre style="background: #1e1e1e; color: white; padding: 10px; border-radius: 5px; margin-top: 10px;">
-${JSON.stringify(executionResult.result, null, 2)}
-                            </pre>
-                        `;
+                        show('✅ Function executed successfully', 'green', String(JSON.stringify(executionResult.result, null, 2)));
                     } else {
-                        resultDiv.innerHTML = `<div style="color: red;">❌ Error: ${executionResult.error}</div>`;
+                        show(`❌ Error: ${executionResult.error}`, 'red');
                     }
                 } catch (error) {
-                    resultDiv.innerHTML = `<div style="color: red;">❌ Execution failed: ${error.message}</div>`;
+                    show(`❌ Execution failed: ${error.message}`, 'red');
                 }
             };
             
@@ -1398,14 +6784,28 @@ ${JSON.stringify(executionResult.result, null, 2)}
             
             return { uiCreated: true, function: func.name };
         } else if (this.platform.name === 'node') {
-            // In Node.js, we can use vm module for safer execution
+            // node:vm gives the file its own globals, not a sandbox: the code gets a real require()
+            // and runs with this process's permissions, like running the file directly
             try {
-                const vm = require('vm');
-                const context = { console, require };
+                const vm = await import('node:vm');
+                const { createRequire } = await import('node:module');
+                // Imports and require() resolve from the file's own directory
+                const require = createRequire(filePath);
+                const module = { exports: {} };
+                const context = {
+                    console,
+                    require,
+                    module,
+                    exports: module.exports,
+                    __filename: filePath,
+                    __dirname: this.path.dirname(filePath),
+                    __cmmandsRequire: require,
+                    __cmmandsArgs: this._functionArguments(params, args)
+                };
                 vm.createContext(context);
                 
-                const script = new vm.Script(content + `\n${func.name}();`);
-                const result = script.runInContext(context);
+                const script = new vm.Script(this._executableSource(content) + `\n${func.name}(...__cmmandsArgs);`, { filename: filePath });
+                const result = await script.runInContext(context);
                 
                 console.log(`✅ ${func.name}() executed successfully`);
                 console.log(`Result:`, result);
@@ -1420,6 +6820,43 @@ ${JSON.stringify(executionResult.result, null, 2)}
         return { platform: this.platform.name, function: func.name };
     }
     
+    async _fixSecurityIssue(filePath, issue) {
+        console.log(`🔒 ${issue.ruleId} (${issue.severity}) at ${filePath}:${issue.line}:${issue.column}`);
+        console.log(`   ${issue.message}`);
+        console.log(`   > ${issue.snippet}`);
+        
+        const rule = this.security.rules.get(issue.ruleId);
+        if (!rule?.fix) {
+            console.log(`💡 ${issue.recommendation}`);
+            console.log(`   Silence accepted findings with: // cmmands-ignore ${issue.ruleId}`);
+            return { fixed: false, filePath, issue, recommendation: issue.recommendation };
+        }
+        
+        // The command was generated from an older copy: fix the file as it is now, on the line the
+        // finding moved to (the nearest one with the same text), and only if it is still there
+        const content = String(await this.fs.readFile(filePath));
+        const language = this.trackedFiles.get(filePath)?.language;
+        const current = this.security.scan(content, { rules: [issue.ruleId], language })
+            .filter(finding => finding.snippet === issue.snippet)
+            .sort((a, b) => Math.abs(a.line - issue.line) - Math.abs(b.line - issue.line))[0];
+        if (!current) {
+            console.log(`ℹ️  ${issue.ruleId} is no longer reported on that line, nothing to fix`);
+            return { fixed: false, stale: true, filePath, issue };
+        }
+        
+        const lines = content.split('\n');
+        const original = lines[current.line - 1];
+        lines[current.line - 1] = rule.fix(original);
+        
+        if (lines[current.line - 1] === original) {
+            return { fixed: false, filePath, issue, recommendation: issue.recommendation };
+        }
+        
+        await this.fs.writeFile(filePath, lines.join('\n'));
+        console.log(`✅ Fixed line ${current.line}: ${lines[current.line - 1].trim()}`);
+        return { fixed: true, filePath, issue, line: current.line };
+    }
+    
     _generateProjectInsights() {
         console.log('\n📈 PROJECT INSIGHTS');
         console.log('='.repeat(50));
@@ -1501,10 +6938,204 @@ ${JSON.stringify(executionResult.result, null, 2)}
         return insights;
     }
     
+    // ================ EVENTS & HOOKS ================
+    
+    _emit(event, payload = {}) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return;
+        
+        Array.from(listeners).forEach(listener => {
+            try {
+                listener({ type: event, ...payload });
+            } catch (error) {
+                // A broken subscriber must never break tracking or execution
+                console.warn(`⚠️  ${event} listener failed: ${error.message}`);
+            }
+        });
+    }
+    
+    _addCommand(command) {
+        const replaced = this.commandRegistry.has(command.name);
+        this.commandRegistry.set(command.name, command);
+        this._emit('command:registered', { command: command.name, category: command.category, filePath: command.filePath || null, replaced });
+    }
+    
+    _removeCommand(name) {
+        const command = this.commandRegistry.get(name);
+        if (!command) return false;
+        this.commandRegistry.delete(name);
+        this._emit('command:unregistered', { command: name, category: command.category, filePath: command.filePath || null });
+        return true;
+    }
+    
+    async _runInterceptors(command, args) {
+        let current = args;
+        let cancelled = null;
+        
+        for (const interceptor of this._interceptors) {
+            const context = {
+                command: command.name,
+                category: command.category,
+                tags: command.tags || [],
+                args: current,
+                cancel: (reason = 'cancelled by interceptor') => { cancelled = reason; }
+            };
+            
+            const result = await interceptor(context);
+            if (cancelled) return { cancelled: true, reason: cancelled, args: current };
+            if (result && typeof result === 'object') current = result;
+        }
+        
+        return { cancelled: false, args: current };
+    }
+    
+    _normalizeParams(params = [], commandName = 'command') {
+        // json: any JSON value, with strings that don't parse kept as strings; any: passed through untouched
+        const TYPES = new Set(['string', 'number', 'boolean', 'array', 'object', 'json', 'any']);
+        const seen = new Set();
+        
+        return (params || []).map(param => {
+            const spec = typeof param === 'string' ? { name: param } : { ...param };
+            if (!spec.name || typeof spec.name !== 'string') {
+                throw new Error(`Parameters of ${commandName} need a name`);
+            }
+            if (seen.has(spec.name)) throw new Error(`Duplicate parameter "${spec.name}" in ${commandName}`);
+            seen.add(spec.name);
+            
+            if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+                throw new Error(`Parameter "${spec.name}" of ${commandName} has an empty or invalid enum`);
+            }
+            const type = spec.type || (spec.enum ? (typeof spec.enum[0] === 'number' ? 'number' : 'string') : 'any');
+            if (!TYPES.has(type)) {
+                throw new Error(`Parameter "${spec.name}" of ${commandName} has unknown type "${type}" (expected ${[...TYPES].join(', ')})`);
+            }
+            
+            const normalized = {
+                name: spec.name,
+                type,
+                required: Boolean(spec.required) && spec.default === undefined,
+                default: spec.default,
+                enum: spec.enum ? [...spec.enum] : undefined,
+                description: spec.description || ''
+            };
+            if (spec.items) {
+                // items: an element type name or a spec like { type: 'number' }
+                const items = typeof spec.items === 'object' ? spec.items.type : spec.items;
+                if (!TYPES.has(items)) {
+                    throw new Error(`Parameter "${spec.name}" of ${commandName} has unknown item type "${items}" (expected ${[...TYPES].join(', ')})`);
+                }
+                normalized.items = items;
+            }
+            if (spec.rest) normalized.rest = true;
+            return normalized;
+        });
+    }
+    
+    _validateArgs(command, args = {}) {
+        const params = command.params || [];
+        if (params.length === 0) return args;
+        
+        // Undeclared keys pass through: some actions forward extra options
+        const values = { ...args };
+        const problems = [];
+        
+        for (const param of params) {
+            const value = values[param.name];
+            if (value === undefined) {
+                if (param.default !== undefined) {
+                    values[param.name] = typeof param.default === 'object' && param.default !== null
+                        ? JSON.parse(JSON.stringify(param.default))
+                        : param.default;
+                } else if (param.required) {
+                    problems.push(`missing required "${param.name}"`);
+                }
+                continue;
+            }
+            
+            const coerced = this._coerceArg(value, param.type, param.items);
+            if (coerced.error) {
+                problems.push(`"${param.name}" ${coerced.error} (got ${JSON.stringify(value)})`);
+                continue;
+            }
+            if (param.enum && !param.enum.includes(coerced.value)) {
+                problems.push(`"${param.name}" must be one of ${param.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+                continue;
+            }
+            values[param.name] = coerced.value;
+        }
+        
+        if (problems.length > 0) {
+            throw new Error(`Invalid arguments for ${command.name}: ${problems.join('; ')}`);
+        }
+        return values;
+    }
+    
+    _coerceArg(value, type, items) {
+        // Forms and command lines only produce strings, so those are converted to the declared type
+        const parseJson = (text) => {
+            try {
+                return { ok: true, value: JSON.parse(text) };
+            } catch {
+                return { ok: false };
+            }
+        };
+        
+        switch (type) {
+            case 'string':
+                if (typeof value === 'string') return { value };
+                if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value) };
+                return { error: 'must be a string' };
+            case 'number': {
+                if (typeof value === 'number' && Number.isFinite(value)) return { value };
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+                return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') return { value };
+                const text = String(value).toLowerCase();
+                if (['true', 'yes', 'on', '1'].includes(text)) return { value: true };
+                if (['false', 'no', 'off', '0'].includes(text)) return { value: false };
+                return { error: 'must be a boolean' };
+            }
+            case 'array': {
+                let list = value;
+                if (typeof value === 'string') {
+                    const parsed = value.trim().startsWith('[') ? parseJson(value) : { ok: false };
+                    list = parsed.ok ? parsed.value : [value];
+                }
+                if (!Array.isArray(list)) return { error: 'must be an array' };
+                if (!items) return { value: list };
+                
+                const converted = [];
+                for (const item of list) {
+                    const result = this._coerceArg(item, items);
+                    if (result.error) return { error: `items ${result.error.replace(/^must/, 'must each')}` };
+                    converted.push(result.value);
+                }
+                return { value: converted };
+            }
+            case 'object': {
+                const parsed = typeof value === 'string' ? parseJson(value) : { ok: true, value };
+                const object = parsed.ok ? parsed.value : null;
+                return object && typeof object === 'object' && !Array.isArray(object)
+                    ? { value: object }
+                    : { error: 'must be an object (JSON)' };
+            }
+            case 'json': {
+                if (typeof value !== 'string') return { value };
+                const parsed = parseJson(value);
+                return { value: parsed.ok ? parsed.value : value };
+            }
+            default:
+                return { value };
+        }
+    }
+    
     // ================ REAL BROWSER MAGIC ================
     
     _setupRealBrowserMagic() {
         if (this.platform.name !== 'browser' && this.platform.name !== 'mobile') return null;
+        const runtime = this;
         
         return {
             createEnhancedEditor(filePath, content, analysis) {
@@ -1633,22 +7264,39 @@ ${JSON.stringify(executionResult.result, null, 2)}
                 const input = document.getElementById('terminal-input');
                 const output = document.getElementById('terminal-output');
                 
+                // Commands and results are user and project text, so they are printed, never parsed as markup
+                const print = (text, style) => {
+                    const line = document.createElement('div');
+                    line.style.cssText = `white-space: pre-wrap; ${style}`;
+                    line.textContent = text;
+                    output.appendChild(line);
+                    terminal.scrollTop = terminal.scrollHeight;
+                };
+                const describe = (result) => {
+                    if (result === undefined || result === null || result === '') return 'Command executed';
+                    if (typeof result === 'string') return result;
+                    try {
+                        return JSON.stringify(result, null, 2) ?? String(result);
+                    } catch {
+                        return String(result);
+                    }
+                };
+                
                 input.addEventListener('keypress', (e) => {
                     if (e.key === 'Enter') {
                         const command = input.value.trim();
                         if (command) {
                             // Add command to output
-                            output.innerHTML += `<div style="color: #0f0;">❯ ${command}</div>`;
+                            print(`❯ ${command}`, 'color: #0f0;');
                             
-                            // Execute command
-                            this.executeCommand(command).then(result => {
-                                output.innerHTML += `<div style="color: #ccc; margin-left: 20px;">${result || 'Command executed'}</div>`;
+                            // Execute command (arguments are parsed like a shell line)
+                            runtime.executeLine(command).then(result => {
+                                print(describe(result), 'color: #ccc; margin-left: 20px;');
                             }).catch(error => {
-                                output.innerHTML += `<div style="color: #f44747; margin-left: 20px;">❌ ${error.message}</div>`;
+                                print(`❌ ${error.message}`, 'color: #f44747; margin-left: 20px;');
                             });
                             
                             input.value = '';
-                            terminal.scrollTop = terminal.scrollHeight;
                         }
                     }
                 });
@@ -1656,14 +7304,8 @@ ${JSON.stringify(executionResult.result, null, 2)}
                 return {
                     show: () => terminal.style.display = 'block',
                     hide: () => terminal.style.display = 'none',
-                    log: (text) => {
-                        output.innerHTML += `<div style="color: #ccc;">${text}</div>`;
-                        terminal.scrollTop = terminal.scrollHeight;
-                    },
-                    error: (text) => {
-                        output.innerHTML += `<div style="color: #f44747;">❌ ${text}</div>`;
-                        terminal.scrollTop = terminal.scrollHeight;
-                    }
+                    log: (text) => print(String(text), 'color: #ccc;'),
+                    error: (text) => print(`❌ ${text}`, 'color: #f44747;')
                 };
             }
         };
@@ -1719,18 +7361,26 @@ ${JSON.stringify(executionResult.result, null, 2)}
    // ================ PUBLIC API ================
 
 // ADD THIS METHOD - Your HTML demo calls cmmands.registerCommand()
+// The third argument may also be { description, category, icon, tags, shortcut, params }, where params
+// is a list of { name, type, required, default, enum, description } checked before the action runs;
+// array params may add items: 'number' (or { type: 'number' }) to coerce each element
 registerCommand(name, action, description = 'No description', category = 'custom', icon = '📝', tags = []) {
+    const options = description && typeof description === 'object'
+        ? description
+        : { description, category, icon, tags };
     const command = {
         name,
         action,
-        description,
-        category,
-        icon,
-        tags,
+        description: options.description || 'No description',
+        category: options.category || 'custom',
+        icon: options.icon || '📝',
+        tags: options.tags || [],
+        shortcut: options.shortcut,
+        params: this._normalizeParams(options.params, name),
         execute: async (args = {}) => {
             try {
                 console.log(`🚀 Executing custom command: ${name}`);
-                const result = await action(args);
+                const result = await action(this._validateArgs(command, args));
                 console.log(`✅ ${name} completed`);
                 return result;
             } catch (error) {
@@ -1740,11 +7390,37 @@ registerCommand(name, action, description = 'No description', category = 'custom
         }
     };
     
-    this.commandRegistry.set(name, command);
-    console.log(`✅ Registered command: ${name} - ${description}`);
+    this._addCommand(command);
+    console.log(`✅ Registered command: ${name} - ${command.description}`);
     return name;
 }
 
+// Language plugins: { id, version, extensions, filenames, interpreters, aliases, detect, analyze, dependencies, complexityRules, tokenMetrics }
+// interpreters are matched against the shebang (`python` also covers python3.11), aliases against vim/emacs modelines.
+// analyze(content, { language, filePath }) returns { functions, classes, imports, exports, variables } (may be async);
+// dependencies(content) returns specifiers or { specifier, line, names } synchronously.
+// Registering an existing id replaces it; register before startTracking() so files are analyzed with it.
+// Cached analysis is reused while `version` stays the same, so bump it when analyze() changes.
+registerLanguage(definition) {
+    const language = this._normalizeLanguage(definition);
+    this.languages.set(language.id, language);
+    console.log(`✅ Registered language: ${language.id} (${[...language.extensions, ...language.filenames].join(', ') || 'content detection only'})`);
+    return language.id;
+}
+
+// Ranked guess for a file: { language, confidence (0-1), overridden, candidates: [{ language, confidence, evidence }] }.
+// options.languageOverrides ({ 'legacy/*.js': 'javascript', '*.h': 'c' }) wins over any evidence.
+detectLanguage(filePath, content = '') {
+    const fileName = this.path.basename(filePath);
+    const candidates = this._rankLanguages(String(content), fileName, this.path.extname(fileName).toLowerCase());
+    const override = this._languageOverride(filePath);
+    if (override) {
+        return { language: override.language, confidence: 1, overridden: true, override: override.glob, candidates };
+    }
+    const best = candidates[0];
+    return { language: best ? best.language : 'text', confidence: best ? best.confidence : 0, overridden: false, candidates };
+}
+
 // Your HTML demo calls cmmands.getTrackedFiles()
 getTrackedFiles() {
     const files = [];
@@ -1753,6 +7429,8 @@ getTrackedFiles() {
             path,
             name: info.name || path.split('/').pop(),
             language: info.language || 'unknown',
+            languageConfidence: info.languageDetection?.confidence ?? null,
+            languageOverridden: Boolean(info.languageDetection?.overridden),
             commands: info.commands?.length || 0,
             functions: info.analysis?.functions?.length || 0,
             securityIssues: info.securityIssues?.length || 0
@@ -1762,13 +7440,15 @@ getTrackedFiles() {
 }
 
 // Your HTML demo calls cmmands.startUniversalTracking()
-async startUniversalTracking(rootPath = '.') {
+// options: { signal: AbortSignal, onProgress({ phase, done, total, file }) }, passed on to startTracking()
+async startUniversalTracking(rootPath = '.', options = {}) {
     console.log(`🌐 Starting universal file tracking...`);
     try {
-        await this.startTracking(rootPath);
+        await this.startTracking(rootPath, options);
         return true;
     } catch (error) {
-        console.error('Tracking failed:', error);
+        // A cancellation was asked for and startTracking already reported it
+        if (error.name !== 'AbortError') console.error('Tracking failed:', error);
         throw error;
     }
 }
@@ -1803,29 +7483,105 @@ async executeCommand(commandName, args = {}) {
             });
         }
         
-        throw new Error(`Command not found: ${commandName}`);
+        const error = new Error(`Command not found: ${commandName}`);
+        this._emit('command:failed', { command: commandName, args, error, notFound: true, suggestions: suggestions.map(s => s.name) });
+        throw error;
+    }
+    
+    // Interceptors may rewrite arguments or cancel before anything runs
+    let intercepted;
+    try {
+        intercepted = await this._runInterceptors(command, args);
+    } catch (error) {
+        this._emit('command:failed', { command: commandName, args, error, interceptor: true });
+        throw error;
+    }
+    if (intercepted.cancelled) {
+        const error = new Error(`Command cancelled: ${intercepted.reason}`);
+        this._emit('command:failed', { command: commandName, args: intercepted.args, error, cancelled: true });
+        throw error;
+    }
+    args = intercepted.args;
+    
+    // Declared parameters are checked (and string input coerced) after interceptors had their say
+    try {
+        args = this._validateArgs(command, args);
+    } catch (error) {
+        this._emit('command:failed', { command: commandName, args, error, invalid: true });
+        throw error;
     }
     
     // Enhanced security check
-    const securityCheck = this.security.validateCommand(commandName, args);
+    const securityCheck = await this.security.validateCommand(commandName, args, command);
     if (!securityCheck.allowed) {
-        throw new Error(`Command blocked: ${securityCheck.reason}`);
+        const error = new Error(`Command blocked: ${securityCheck.reason}`);
+        this._emit('command:failed', { command: commandName, args, error, blocked: true });
+        throw error;
     }
     
+    this._emit('command:before-execute', { command: commandName, args, category: command.category });
+    const startTime = Date.now();
+    
     try {
         console.log(`📝 ${command.description}`);
-        const startTime = Date.now();
         const result = await command.action(args);
         const elapsed = Date.now() - startTime;
         
         console.log(`✅ Command completed in ${elapsed}ms`);
+        this._emit('command:executed', { command: commandName, args, result, duration: elapsed });
         return result;
     } catch (error) {
         console.error(`❌ Command failed:`, error);
+        this._emit('command:failed', { command: commandName, args, error, duration: Date.now() - startTime });
         throw error;
     }
 }
 
+// Runs a shell-style line such as `execute:utils:add 1 2` or `deps:export --format=dot --output graph.dot`,
+// mapping its words onto the command's declared parameters (see parseCommandLine)
+async executeLine(line) {
+    const { command: name } = parseCommandLine(line);
+    if (!name) throw new Error('Empty command line');
+    
+    const command = this.commandRegistry.get(name);
+    const { args } = parseCommandLine(line, command?.params || []);
+    // Words no parameter takes would be silently dropped, so they are a usage error, with or without params
+    if (command && args._) {
+        const usage = (command.params || []).map(p => p.rest ? `...${p.name}` : p.name).join(' ');
+        throw new Error(`Too many arguments for ${name}: ${args._.join(' ')} (usage: ${usage ? `${name} ${usage}` : `${name}, which takes no arguments`})`);
+    }
+    
+    return this.executeCommand(name, args);
+}
+
+// Events: file:tracked, file:changed, file:removed, command:registered, command:unregistered,
+// command:before-execute, command:executed, command:failed, tracking:progress
+on(event, handler) {
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+}
+
+once(event, handler) {
+    const off = this.on(event, (payload) => {
+        off();
+        handler(payload);
+    });
+    return off;
+}
+
+off(event, handler) {
+    this._listeners.get(event)?.delete(handler);
+}
+
+// Interceptors run before every command: ({ command, args, cancel(reason) }) => newArgs | undefined
+addInterceptor(interceptor) {
+    this._interceptors.push(interceptor);
+    return () => {
+        this._interceptors = this._interceptors.filter(i => i !== interceptor);
+    };
+}
+
 _findCommandSuggestions(query) {
     const commands = this.getCommands();
     const queryLower = query.toLowerCase();
@@ -1855,7 +7611,8 @@ getCommands(filter = {}) {
         category: cmd.category,
         icon: cmd.icon,
         tags: cmd.tags || [],
-        shortcut: cmd.shortcut
+        shortcut: cmd.shortcut,
+        params: (cmd.params || []).map(param => ({ ...param }))
     }));
     
     // Apply filters
@@ -1877,6 +7634,42 @@ getCommands(filter = {}) {
     return filtered;
 }
 
+getDependencyCycles() {
+    // [{ files: [...], chain: [{ from, to, specifier, line }] }], one per strongly connected component
+    return this._findDependencyCycles();
+}
+
+// format: 'json' | 'dot' | 'mermaid'
+// options: { directory, root, depth, includeExternal }
+exportDependencyGraph(format = 'json', options = {}) {
+    return this._formatDependencyGraph(format, this._selectDependencySubgraph(options));
+}
+
+// Every file that transitively imports filePath, grouped by distance, tests flagged
+getImpact(filePath) {
+    return this._computeImpact(filePath);
+}
+
+// Analysis is cached by content hash across runs. Clear it after changing analyzer rules,
+// or set options.analyzerVersion so older entries are discarded on load.
+async clearAnalysisCache() {
+    await this.cache.clear();
+    console.log('🧹 Analysis cache cleared');
+    return this.cache.stats();
+}
+
+getSkippedFiles() {
+    return Array.from((this.skippedFiles || new Map()).values());
+}
+
+getAuditLog(filter = {}) {
+    return this.security.policy.auditLog.filter(entry =>
+        (!filter.command || entry.command === filter.command) &&
+        (!filter.decision || entry.decision === filter.decision) &&
+        (!filter.category || entry.category === filter.category)
+    );
+}
+
 getProjectStats() {
     const stats = {
         totalFiles: this.trackedFiles.size,
@@ -1884,7 +7677,8 @@ getProjectStats() {
         languages: {},
         securityIssues: 0,
         codeSmells: 0,
-        dependencies: this.dependencyGraph.size
+        dependencies: this.dependencyGraph.size,
+        cache: this.cache.stats()
     };
     
     for (const data of this.trackedFiles.values()) {
@@ -1896,17 +7690,312 @@ getProjectStats() {
     return stats;
 }
 
-async refresh() {
+// Re-scans the project. startTracking() swaps file commands, files and graph in one step,
+// so a cancelled refresh ({ signal }) keeps serving the current state; registerCommand() commands stay.
+async refresh(options = {}) {
     console.log('🔄 Refreshing CMMANDS analysis...');
-    this.cache.clear();
-    this.commandRegistry.clear();
-    this.trackedFiles.clear();
-    this.dependencyGraph.clear();
-    this.astCache.clear();
+    const watching = (this._watchers || []).length > 0;
+    this.stopWatching();
     
-    await this.startTracking(this.projectRoot);
+    try {
+        await this.startTracking(this.projectRoot, options);
+    } catch (error) {
+        if (watching) this._startFileWatching();
+        throw error;
+    }
     return this.getProjectStats();
 }
+}
+
+// ================ COMMAND LINES ================
+
+// Splits a line into shell-style words. Single quotes are literal, double quotes allow \" and \\,
+// and a backslash outside quotes escapes the next character. Words that start quoted are never flags.
+function splitCommandLine(line) {
+    const words = [];
+    let current = null;
+    let quote = null;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote === "'") {
+            if (char === "'") quote = null;
+            else current.text += char;
+        } else if (quote === '"') {
+            if (char === '"') quote = null;
+            else if (char === '\\' && (line[i + 1] === '"' || line[i + 1] === '\\')) current.text += line[++i];
+            else current.text += char;
+        } else if (/\s/.test(char)) {
+            if (current) words.push(current);
+            current = null;
+        } else {
+            current = current || { text: '', quoted: char === "'" || char === '"' || char === '\\' };
+            if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '\\') {
+                if (i + 1 >= line.length) throw new Error('Command line ends with an unfinished escape');
+                current.text += line[++i];
+            } else {
+                current.text += char;
+            }
+        }
+    }
+    
+    if (quote) throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote in command line`);
+    if (current) words.push(current);
+    return words;
+}
+
+// Maps `name 1 2 --flag=value --other value -- --literal` onto a command's declared parameters.
+// Positional words fill the parameters not set by flag, in order, and a rest parameter takes the
+// remainder; leftovers end up in args._. --kebab-case matches camelCase names, a bare --flag is
+// true and --no-flag false. Values stay strings: executeCommand coerces them to the declared types.
+function parseCommandLine(line, params = []) {
+    const words = splitCommandLine(String(line));
+    if (words.length === 0) return { command: '', args: {} };
+    
+    const camel = (name) => name.replace(/-+([a-z0-9])/gi, (_, char) => char.toUpperCase());
+    const declared = (name) => params.find(p => p.name === name) || params.find(p => p.name === camel(name));
+    const isFlag = (word) => Boolean(word) && !word.quoted && word.text.startsWith('--');
+    const args = {};
+    const positional = [];
+    
+    const set = (name, value) => {
+        const param = declared(name);
+        const key = param ? param.name : camel(name);
+        args[key] = param?.type === 'array' && args[key] !== undefined ? [].concat(args[key], value) : value;
+    };
+    
+    const rest = words.slice(1);
+    let flagsDone = false;
+    for (let i = 0; i < rest.length; i++) {
+        const word = rest[i];
+        if (flagsDone || !isFlag(word)) {
+            positional.push(word.text);
+            continue;
+        }
+        if (word.text === '--') {
+            flagsDone = true;
+            continue;
+        }
+        
+        const body = word.text.slice(2);
+        const equals = body.indexOf('=');
+        if (equals > 0) {
+            set(body.slice(0, equals), body.slice(equals + 1));
+            continue;
+        }
+        
+        const param = declared(body);
+        const next = rest[i + 1];
+        if (!param && body.startsWith('no-')) {
+            set(body.slice(3), false);
+        } else if (param?.type === 'boolean') {
+            // A bare boolean flag is true, but `--flag false` is honoured
+            const explicit = next && !next.quoted && /^(true|false)$/i.test(next.text);
+            set(body, explicit ? rest[++i].text : true);
+        } else if (next && !isFlag(next)) {
+            set(body, next.text);
+            i++;
+        } else {
+            set(body, true);
+        }
+    }
+    
+    for (const param of params.filter(p => args[p.name] === undefined)) {
+        if (positional.length === 0) break;
+        args[param.name] = param.rest ? positional.splice(0) : positional.shift();
+    }
+    if (positional.length > 0) args._ = positional;
+    
+    return { command: words[0].text, args };
+}
+
+// ================ FILESYSTEM CONFORMANCE ================
+
+// Fixture every adapter is checked against. Writable adapters get it written
+// under `root`; read-only adapters must already serve it there.
+const FS_CONFORMANCE_FIXTURE = {
+    'readme.md': '# conformance',
+    'empty.txt': '',
+    'src/index.js': 'export const answer = 42;\n',
+    'src/lib/util.js': 'module.exports = {};\n'
+};
+
+async function runFileSystemConformance(adapter, options = {}) {
+    const root = (options.root || '/cmmands-conformance').replace(/\/+$/, '');
+    const at = (relative) => `${root}/${relative}`;
+    const results = [];
+    
+    const check = async (name, fn) => {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error: error.message });
+        }
+    };
+    const assert = (condition, message) => {
+        if (!condition) throw new Error(message);
+    };
+    const isStatShape = (stats) =>
+        stats && typeof stats.isDirectory === 'function' &&
+        typeof stats.size === 'number' && stats.mtime instanceof Date;
+    
+    const writable = typeof adapter.writeFile === 'function' && !adapter.readOnly && !options.readOnly;
+    
+    await check('implements readFile/readdir/stat', () => {
+        ['readFile', 'readdir', 'stat'].forEach(method => {
+            assert(typeof adapter[method] === 'function', `${method}() is missing`);
+        });
+    });
+    
+    if (writable) {
+        await check('writeFile creates parent directories', async () => {
+            for (const [relative, content] of Object.entries(FS_CONFORMANCE_FIXTURE)) {
+                assert(await adapter.writeFile(at(relative), content), `writeFile(${relative}) did not resolve true`);
+            }
+        });
+    }
+    
+    await check('readFile returns file content', async () => {
+        const content = await adapter.readFile(at('src/index.js'));
+        assert(content === FS_CONFORMANCE_FIXTURE['src/index.js'], `unexpected content: ${JSON.stringify(content)}`);
+    });
+    
+    await check('readFile resolves to an empty string for a missing file (ENOENT)', async () => {
+        const content = await adapter.readFile(at('does/not/exist.txt'));
+        assert(content === '', `expected '', got ${JSON.stringify(content)}`);
+    });
+    
+    await check('readdir lists files and directories', async () => {
+        const entries = await adapter.readdir(at('src'));
+        assert(Array.isArray(entries), 'readdir did not return an array');
+        const byName = new Map(entries.map(e => [e.name, e]));
+        assert(byName.size === 2, `expected 2 entries, got ${entries.map(e => e.name).join(', ')}`);
+        assert(byName.get('index.js')?.isDirectory === false, 'index.js should be a file entry');
+        assert(byName.get('lib')?.isDirectory === true, 'lib should be a directory entry');
+    });
+    
+    await check('readdir entries have name, boolean isDirectory and joined path', async () => {
+        const entries = await adapter.readdir(root);
+        entries.forEach(entry => {
+            assert(typeof entry.name === 'string' && !entry.name.includes('/'), `bad entry name: ${entry.name}`);
+            assert(typeof entry.isDirectory === 'boolean', `isDirectory must be a boolean for ${entry.name}`);
+            assert(entry.path.replace(/\\/g, '/') === at(entry.name), `bad entry path: ${entry.path}`);
+        });
+    });
+    
+    await check('readdir resolves to [] for a missing directory (ENOENT)', async () => {
+        const entries = await adapter.readdir(at('missing-dir'));
+        assert(Array.isArray(entries) && entries.length === 0, 'expected an empty array');
+    });
+    
+    await check('stat describes files', async () => {
+        const stats = await adapter.stat(at('readme.md'));
+        assert(isStatShape(stats), 'stat must expose isDirectory(), size and mtime');
+        assert(stats.isDirectory() === false, 'file reported as directory');
+        assert(stats.size === FS_CONFORMANCE_FIXTURE['readme.md'].length, `size ${stats.size} does not match content`);
+    });
+    
+    await check('stat describes directories', async () => {
+        const stats = await adapter.stat(at('src/lib'));
+        assert(isStatShape(stats), 'stat must expose isDirectory(), size and mtime');
+        assert(stats.isDirectory() === true, 'directory not reported as directory');
+    });
+    
+    await check('stat does not throw for a missing path (ENOENT)', async () => {
+        const stats = await adapter.stat(at('does/not/exist.txt'));
+        assert(isStatShape(stats), 'stat must expose isDirectory(), size and mtime');
+        assert(stats.isDirectory() === false && stats.size === 0, 'missing path should be an empty non-directory');
+    });
+    
+    if (typeof adapter.exists === 'function') {
+        await check('exists distinguishes present and missing paths', async () => {
+            assert(await adapter.exists(at('readme.md')) === true, 'existing file reported missing');
+            assert(await adapter.exists(at('empty.txt')) === true, 'empty file reported missing');
+            assert(await adapter.exists(at('src/lib')) === true, 'directory reported missing');
+            assert(await adapter.exists(at('does/not/exist.txt')) === false, 'missing file reported present');
+        });
+    }
+    
+    if (writable) {
+        await check('writeFile overwrites and round-trips', async () => {
+            await adapter.writeFile(at('tmp/roundtrip.txt'), 'first');
+            await adapter.writeFile(at('tmp/roundtrip.txt'), 'second');
+            assert(await adapter.readFile(at('tmp/roundtrip.txt')) === 'second', 'content was not overwritten');
+        });
+    }
+    
+    if (writable && typeof adapter.mkdir === 'function') {
+        await check('mkdir is recursive and idempotent', async () => {
+            await adapter.mkdir(at('tmp/a/b/c'));
+            await adapter.mkdir(at('tmp/a/b/c'));
+            assert((await adapter.stat(at('tmp/a/b/c'))).isDirectory(), 'nested directory was not created');
+        });
+    }
+    
+    if (typeof adapter.watch === 'function') {
+        await check('watch returns a closable watcher', async () => {
+            const watcher = adapter.watch(root, () => {}, { recursive: true });
+            assert(watcher && typeof watcher.close === 'function', 'watch() must return an object with close()');
+            watcher.close();
+        });
+    }
+    
+    const failed = results.filter(r => !r.passed);
+    return {
+        passed: failed.length === 0,
+        total: results.length,
+        failures: failed,
+        results
+    };
+}
+
+// ================ ANALYSIS WORKERS ================
+
+// Entry point of a pool worker (worker_threads on Node, a module Web Worker in browsers).
+// The first message carries the host's options; every later one is a file to analyze.
+async function serveAnalysisRequests() {
+    let port;
+    if (typeof WorkerGlobalScope !== 'undefined') {
+        port = {
+            listen: (handler) => { self.onmessage = (event) => handler(event.data); },
+            post: (message) => self.postMessage(message)
+        };
+    } else {
+        const { parentPort } = await import('node:worker_threads');
+        port = {
+            listen: (handler) => parentPort.on('message', handler),
+            post: (message) => parentPort.postMessage(message)
+        };
+    }
+    
+    // The host owns the console; a worker only reports through messages
+    console.log = () => {};
+    let ready = null;
+    
+    port.listen(async (message) => {
+        if (message.init) {
+            // Parse with @babel/parser only when the host does, so results match inline analysis
+            ready = (async () => {
+                const runtime = new CmmandsUniversal({ ...message.init, files: {}, cache: false });
+                if (message.parser === 'babel') await runtime.parser.load();
+                return runtime;
+            })();
+            return;
+        }
+        
+        try {
+            const runtime = await ready;
+            const analysis = await runtime.ai.analyze(message.content, message.language, message.filePath);
+            const { ast, ...result } = analysis;
+            port.post({ analysis: result });
+        } catch (error) {
+            port.post({ error: error.message });
+        }
+    });
+}
 
 // ================ UNIVERSAL EXPORT ================
 
@@ -1917,7 +8006,7 @@ async function initializeCMMANDS(rootPath = '.', options = {}) {
         console.log('🚀 Initializing CMMANDS v2.0...');
         
         // Create instance
-        cmmandsInstance = new CmmandsUniversal();
+        cmmandsInstance = new CmmandsUniversal(options);
         
         // Apply options
         if (options.cache) {
@@ -1941,7 +8030,7 @@ async function initializeCMMANDS(rootPath = '.', options = {}) {
 }
 
 // Universal exports
-const CMMANDS = { initializeCMMANDS, CmmandsUniversal };
+const CMMANDS = { initializeCMMANDS, CmmandsUniversal, runFileSystemConformance, FS_CONFORMANCE_FIXTURE, parseCommandLine };
 
 if (typeof global !== 'undefined') {
     global.CMMANDS = CMMANDS;
@@ -1956,7 +8045,7 @@ if (typeof exports !== 'undefined') {
     exports = CMMANDS;
 }
 
-console.log(`
+if (!ANALYSIS_WORKER) console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║    CMMANDS ULTIMATE v2.0 - REAL IMPLEMENTATION       ║
 ║                                                       ║
@@ -1991,5 +8080,9 @@ if (typeof window !== 'undefined' && window.document && window.autoInitCMMANDS !
     });
 }
 
-export { initializeCMMANDS, CmmandsUniversal };
+if (ANALYSIS_WORKER) {
+    serveAnalysisRequests();
+}
+
+export { initializeCMMANDS, CmmandsUniversal, runFileSystemConformance, FS_CONFORMANCE_FIXTURE, parseCommandLine };
 export default CMMANDS;
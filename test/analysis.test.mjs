@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { quietly, createRuntime, track, analysisOf, tempDir } from './helpers.mjs';
+
+test('an injected parser analyzes JavaScript, with the bundled parser as fallback', async () => {
+    const bundled = await createRuntime();
+    const calls = [];
+    const parser = {
+        parse(code, options) {
+            calls.push(options.plugins);
+            if (code.includes('@@')) throw new SyntaxError('unsupported');
+            return bundled.parser.parseJavaScript(code);
+        }
+    };
+    
+    const runtime = await track({
+        '/app/a.ts': 'export function add(a: number, b = 2) { return a + b; }\n',
+        '/app/b.js': 'export const broken = () => 1; // @@\n'
+    }, { parser });
+    
+    assert.equal(runtime.parser.engine(), 'custom');
+    assert.deepEqual(calls, [['typescript', 'decorators-legacy'], ['flow', 'jsx', 'decorators-legacy']]);
+    assert.deepEqual(analysisOf(runtime, '/app/a.ts').functions.map(f => f.name), ['add']);
+    assert.deepEqual(analysisOf(runtime, '/app/b.js').functions.map(f => f.name), ['broken']);
+});
+
+test('languages without token metrics still measure each function over its own lines', async () => {
+    const runtime = await track({
+        '/app/m.py': [
+            'def outer(a):',
+            '    if a:',
+            '        def inner(b):',
+            '            for x in b:',
+            '                if x and a:',
+            '                    pass',
+            '        return inner',
+            '    return None'
+        ].join('\n') + '\n'
+    });
+    const { functions, metrics } = analysisOf(runtime, '/app/m.py');
+    
+    assert.deepEqual(functions.map(f => [f.name, f.metrics.cyclomatic, f.metrics.loc]), [['outer', 2, 8], ['inner', 4, 4]]);
+    assert.equal(metrics.maxComplexity, 4);
+    assert.equal(metrics.mostComplexFunction.name, 'inner');
+});
+
+test('pooled analysis reports the same commands and findings as inline analysis', async (t) => {
+    const root = await tempDir(t, 'cmmands-pool-');
+    for (let i = 0; i < 12; i++) {
+        await writeFile(join(root, `m${i}.js`), `export function run${i}(x) { return legacyToken(x) + ${i}; }\n`);
+    }
+    
+    const outcome = async (concurrency) => {
+        const runtime = await createRuntime({ concurrency, cache: false });
+        runtime.security.addRule({ id: 'custom/legacy-token', pattern: /legacyToken\(/, message: 'Legacy token API' });
+        let workers = 0;
+        const analyzeFiles = runtime._analyzeFiles;
+        runtime._analyzeFiles = async (...args) => {
+            const result = await analyzeFiles.apply(runtime, args);
+            workers = result.workers;
+            return result;
+        };
+        await quietly(() => runtime.startTracking(root));
+        runtime.stopWatching();
+        const findings = [...runtime.trackedFiles.values()].flatMap(info => info.securityIssues.map(issue => `${info.name}:${issue.ruleId}`));
+        return { commands: runtime.getCommands().map(c => c.name).sort(), findings: findings.sort(), workers };
+    };
+    
+    const inline = await outcome(1);
+    const pooled = await outcome(2);
+    
+    assert.equal(pooled.workers, 2);
+    assert.equal(inline.findings.length, 12);
+    assert.deepEqual(pooled.commands, inline.commands);
+    assert.deepEqual(pooled.findings, inline.findings);
+});
+
+test('the bundled parser records star re-exports, generic arrows and arrows inside template literals', async () => {
+    const runtime = await track({
+        '/app/z.ts': 'export const z = 1;\n',
+        '/app/index.ts': [
+            "export * from './z';",
+            "export * as ns from './z';",
+            'export const arrow = <T,>(v: T): T => v;',
+            'const pair = async <T extends object, U>(a: T, b: U): Promise<[T, U]> => [a, b];',
+            'const page = `<ul>${items.map(function renderItem(i) { return `<li>${i}</li>`; })}</ul>`;',
+            'const label = `${(() => { const inner = (v) => `${v}`; return inner(1); })()}`;',
+            'const deep = `a ${`b ${[1].map(x => { const after = () => x; return after(); })}`}`;',
+            'if (pair < arrow) {}'
+        ].join('\n') + '\n'
+    });
+    const { exports, functions } = analysisOf(runtime, '/app/index.ts');
+    
+    assert.deepEqual(exports.map(e => [e.name, e.kind, e.source]), [['*', 'reexport', './z'], ['ns', 'reexport', './z'], ['arrow', 'variable', undefined]]);
+    assert.deepEqual(functions.map(f => [f.name, f.typeParameters ?? null]), [
+        ['arrow', '<T,>'],
+        ['pair', '<T extends object, U>'],
+        ['renderItem', null],
+        ['inner', null],
+        ['after', null]
+    ]);
+    
+    const surface = await quietly(() => runtime.executeCommand('types:show:index'));
+    assert.deepEqual(surface.reexports, ["* from './z'", 'ns']);
+});
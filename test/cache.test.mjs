@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { quietly, track, tempDir } from './helpers.mjs';
+
+test('cached analysis is re-scanned with the current security rules', async () => {
+    const runtime = await track({ '/app/a.js': 'export const token = legacyToken();\n' }, { cache: true });
+    assert.deepEqual(runtime.trackedFiles.get('/app/a.js').securityIssues, []);
+    
+    runtime.security.addRule({ id: 'custom/legacy-token', pattern: /legacyToken\(/, message: 'Legacy token API' });
+    await quietly(() => runtime.refresh());
+    
+    assert.equal(runtime.cache.stats().hits, 1);
+    assert.deepEqual(runtime.trackedFiles.get('/app/a.js').securityIssues.map(issue => issue.ruleId), ['custom/legacy-token']);
+});
+
+test('a seeded project gets no cache file', async () => {
+    const runtime = await track({ '/app/a.js': 'export const a = 1;\n' }, { cache: true });
+    await runtime.cache.flush();
+    
+    assert.equal(runtime.cache.stats().store, 'memory');
+    assert.deepEqual(Object.keys(runtime.fs.exportSnapshot()), ['/app/a.js']);
+});
+
+test('on disk the cache is persisted next to the project and reused', async (t) => {
+    const root = await tempDir(t, 'cmmands-cache-');
+    await writeFile(join(root, 'a.js'), 'export const a = 1;\n');
+    
+    const first = await track(root, { concurrency: 1, cache: true });
+    await first.cache.flush();
+    const saved = JSON.parse(await readFile(join(root, '.cmmands-cache', 'analysis.json'), 'utf8'));
+    assert.equal(saved.entries.length, 1);
+    
+    const second = await track(root, { concurrency: 1, cache: true });
+    assert.equal(second.cache.stats().hits, 1);
+    assert.equal(second.trackedFiles.size, 1);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, track, analysisOf } from './helpers.mjs';
+
+// The same function with renamed identifiers and different literals
+const total = (name, list, rules, factor) => [
+    `export function ${name}(${list}, ${rules}) {`,
+    `    const total = ${list}.reduce((sum, item) => sum + item.price * ${factor}, 0);`,
+    `    if (total > ${factor * 10}) {`,
+    `        return ${rules}.discount(total, '${name}');`,
+    '    }',
+    '    return total;',
+    '}'
+].join('\n');
+
+const PROJECT = {
+    '/app/orders.js': '// orders\n' + total('orderTotal', 'items', 'rules', 2) + '\n',
+    '/app/cart.js': 'import x from "./orders.js";\n\n' + total('cartTotal', 'lines', 'policy', 3) + '\n\n' + total('wishTotal', 'w', 'p', 4) + '\n',
+    '/app/other.js': 'export const unique = (a) => a + 1;\n'
+};
+
+test('refactor:clones groups normalized copies within and across files', async () => {
+    const runtime = await track(PROJECT);
+    const report = await quietly(() => runtime.executeCommand('refactor:clones', { minTokens: 30 }));
+    
+    assert.equal(report.files, 3);
+    assert.equal(report.groups.length, 1);
+    const [group] = report.groups;
+    assert.deepEqual([group.tokens, group.lines, group.crossFile], [55, 7, true]);
+    assert.deepEqual(group.fragments.map(f => `${f.file}:${f.startLine}-${f.endLine}`), ['cart.js:3-9', 'cart.js:11-17', 'orders.js:2-8']);
+    assert.deepEqual([report.crossFileGroups, report.duplicatedLines, report.totalLines, report.percentage], [1, 14, 29, 48.3]);
+});
+
+test('clones shorter than minTokens are not reported', async () => {
+    const runtime = await track(PROJECT);
+    const report = await quietly(() => runtime.executeCommand('refactor:clones', { minTokens: 80 }));
+    
+    assert.deepEqual([report.groups, report.duplicatedLines, report.percentage], [[], 0, 0]);
+});
+
+test('copies inside one file are flagged as a DUPLICATE_CODE smell with their line ranges', async () => {
+    const runtime = await track(PROJECT);
+    const smells = (path) => analysisOf(runtime, path).codeSmells.filter(s => s.type === 'DUPLICATE_CODE');
+    
+    assert.deepEqual(smells('/app/cart.js').map(s => s.locations), [[[{ line: 3, endLine: 9 }, { line: 11, endLine: 17 }]]]);
+    assert.deepEqual(smells('/app/orders.js'), []);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, createRuntime, track } from './helpers.mjs';
+
+test('every rejected executeCommand is reported as command:failed', async () => {
+    const runtime = await createRuntime();
+    const failures = [];
+    runtime.on('command:failed', (event) => failures.push(event));
+    await quietly(() => runtime.registerCommand('demo:ok', () => 'ok'));
+    
+    await assert.rejects(quietly(() => runtime.executeCommand('demo')), /Command not found/);
+    runtime.addInterceptor(() => { throw new Error('interceptor broke'); });
+    await assert.rejects(quietly(() => runtime.executeCommand('demo:ok')), /interceptor broke/);
+    
+    assert.equal(failures.length, 2);
+    assert.equal(failures[0].notFound, true);
+    assert.deepEqual(failures[0].suggestions, ['demo:ok']);
+    assert.equal(failures[1].interceptor, true);
+    assert.equal(failures[1].error.message, 'interceptor broke');
+});
+
+test('interceptors run in order before the command, then the lifecycle events fire', async () => {
+    const runtime = await createRuntime();
+    const seen = [];
+    await quietly(() => runtime.registerCommand('demo:echo', (args) => {
+        seen.push(`action ${JSON.stringify(args)}`);
+        return args.value;
+    }));
+    ['command:before-execute', 'command:executed', 'command:failed'].forEach(event => runtime.on(event, (e) => seen.push(e.type)));
+    runtime.once('command:executed', () => seen.push('once'));
+    runtime.addInterceptor(({ args }) => {
+        seen.push('first');
+        return { ...args, value: `${args.value}!` };
+    });
+    const removeSecond = runtime.addInterceptor(({ args }) => {
+        seen.push(`second ${args.value}`);
+    });
+    
+    assert.equal(await quietly(() => runtime.executeCommand('demo:echo', { value: 'hi' })), 'hi!');
+    assert.deepEqual(seen, ['first', 'second hi!', 'command:before-execute', 'action {"value":"hi!"}', 'command:executed', 'once']);
+    
+    seen.length = 0;
+    removeSecond();
+    runtime.addInterceptor(({ cancel }) => cancel('not now'));
+    await assert.rejects(quietly(() => runtime.executeCommand('demo:echo', { value: 'x' })), /Command cancelled: not now/);
+    assert.deepEqual(seen, ['first', 'command:failed']);
+});
+
+test('execute commands run ES module functions with their arguments', async () => {
+    const runtime = await track({
+        '/app/utils.js': [
+            "import { join } from 'node:path';",
+            'export function add(a, b) { return a + b; }',
+            "export async function under(dir) { return join(dir, 'out'); }"
+        ].join('\n') + '\n'
+    }, { permissions: { confirm: () => true } });
+    
+    assert.deepEqual(await quietly(() => runtime.executeLine('execute:utils:add 1 2')), { success: true, result: 3 });
+    assert.deepEqual(await quietly(() => runtime.executeLine('execute:utils:under /tmp')), { success: true, result: '/tmp/out' });
+});
+
+test('array parameters coerce each item to the declared element type', async () => {
+    const runtime = await track({
+        '/app/math.ts': 'export function sum(values: number[], ...rest: string[]) { return 0; }\n'
+    });
+    const [values, rest] = runtime.commandRegistry.get('execute:math:sum').params;
+    assert.deepEqual([values.type, values.items, rest.items], ['array', 'number', 'string']);
+    await assert.rejects(quietly(() => runtime.executeLine(`execute:math:sum '["x"]'`)), /"values" items must each be a number/);
+    
+    await quietly(() => runtime.registerCommand('demo:total', (args) => args.values, {
+        params: [{ name: 'values', type: 'array', items: { type: 'number' } }]
+    }));
+    assert.deepEqual(await quietly(() => runtime.executeLine(`demo:total '["1", 2.5]'`)), [1, 2.5]);
+    await assert.rejects(quietly(async () => runtime.registerCommand('demo:dates', () => null, {
+        params: [{ name: 'days', type: 'array', items: { type: 'date' } }]
+    })), /unknown item type "date"/);
+});
+
+test('command lines reject positional words that no parameter takes', async () => {
+    const runtime = await createRuntime();
+    await quietly(() => runtime.registerCommand('demo:none', (args) => args));
+    await quietly(() => runtime.registerCommand('demo:one', (args) => args, { params: [{ name: 'x', type: 'string' }] }));
+    
+    await assert.rejects(quietly(() => runtime.executeLine('demo:none extra words')),
+        { message: 'Too many arguments for demo:none: extra words (usage: demo:none, which takes no arguments)' });
+    await assert.rejects(quietly(() => runtime.executeLine('demo:one a b')), { message: 'Too many arguments for demo:one: b (usage: demo:one x)' });
+    assert.deepEqual(await quietly(() => runtime.executeLine('demo:none --verbose')), { verbose: true });
+    assert.deepEqual(await quietly(() => runtime.executeLine('demo:one -- --literal')), { x: '--literal' });
+});
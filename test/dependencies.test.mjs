@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, track } from './helpers.mjs';
+
+const dependenciesOf = (runtime, filePath) => [...runtime.dependencyGraph.get(filePath).dependencies].sort();
+
+test('import-like text inside strings is not an import', async () => {
+    const runtime = await track({
+        '/app/main.js': [
+            "import { util } from './util.js';",
+            "const doc = \"import ghost from './ghost.js'\";",
+            "const tpl = `require('./ghost.js') ${util(\"x\")} import('./ghost.js')`;",
+            "const lazy = () => import('./lazy.js');"
+        ].join('\n'),
+        '/app/util.js': 'export const util = (x) => x;\n',
+        '/app/ghost.js': 'export default 1;\n',
+        '/app/lazy.js': 'export default 2;\n'
+    });
+    
+    assert.deepEqual(dependenciesOf(runtime, '/app/main.js'), ['/app/lazy.js', '/app/util.js']);
+});
+
+test('removing a resolver config re-resolves before the change is done', async () => {
+    const runtime = await track({
+        '/app/tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@lib/*': ['lib/*'] } } }),
+        '/app/main.ts': "import { util } from '@lib/util';\nutil();\n",
+        '/app/lib/util.ts': 'export const util = () => 1;\n'
+    });
+    assert.deepEqual(dependenciesOf(runtime, '/app/main.ts'), ['/app/lib/util.ts']);
+    
+    await runtime.fs.unlink('/app/tsconfig.json');
+    await quietly(() => runtime._applyFileChanges(['/app/tsconfig.json']));
+    assert.deepEqual(dependenciesOf(runtime, '/app/main.ts'), []);
+});
+
+const CYCLIC = {
+    '/app/main.js': "import { a } from './a.js';\n",
+    '/app/a.js': "import { b } from './b.js';\nimport x from 'lodash';\nexport const a = b;\n",
+    '/app/b.js': "import { c } from './lib/c.js';\nexport const b = c;\n",
+    '/app/lib/c.js': "\nimport { a } from '../a.js';\nexport const c = 1;\n",
+    '/app/lib/d.js': "import { e } from './e.js';\nexport const d = 1;\n",
+    '/app/lib/e.js': "import { d } from './d.js';\nexport const e = 1;\n"
+};
+
+test('every circular import chain is reported once, with the lines that close it', async () => {
+    const runtime = await track(CYCLIC);
+    const cycles = runtime.getDependencyCycles();
+    
+    assert.deepEqual(cycles.map(cycle => cycle.files), [['/app/a.js', '/app/b.js', '/app/lib/c.js'], ['/app/lib/d.js', '/app/lib/e.js']]);
+    assert.deepEqual(cycles[0].chain.map(link => [link.from, link.specifier, link.line]), [
+        ['/app/a.js', './b.js', 1],
+        ['/app/b.js', './lib/c.js', 1],
+        ['/app/lib/c.js', '../a.js', 2]
+    ]);
+    assert.match(runtime.getCommands({ search: 'deps:cycles' })[0].description, /2 circular import chains/);
+});
+
+test('the dependency graph exports to Mermaid, DOT and JSON', async () => {
+    const runtime = await track(CYCLIC);
+    
+    assert.equal(runtime.exportDependencyGraph('mermaid'), [
+        'graph LR',
+        '    f0["a.js"]',
+        '    f1["b.js"]',
+        '    f2["lib/c.js"]',
+        '    f3["lib/d.js"]',
+        '    f4["lib/e.js"]',
+        '    f5["main.js"]',
+        '    f0 --> f1',
+        '    f1 --> f2',
+        '    f2 --> f0',
+        '    f3 --> f4',
+        '    f4 --> f3',
+        '    f5 --> f0',
+        '    x0(["lodash"])',
+        '    f0 -.-> x0'
+    ].join('\n'));
+    
+    const dot = runtime.exportDependencyGraph('dot', { root: '/app/main.js', depth: 1 });
+    assert.match(dot, /^digraph dependencies \{/);
+    assert.match(dot, /"main\.js" -> "a\.js";/);
+    assert.doesNotMatch(dot, /b\.js/);
+    
+    const json = JSON.parse(runtime.exportDependencyGraph('json', { directory: 'lib' }));
+    assert.equal(json.schema, 'cmmands/dependency-graph');
+    assert.deepEqual(json.files.map(f => f.id), ['lib/c.js', 'lib/d.js', 'lib/e.js']);
+    assert.deepEqual(json.edges.map(e => `${e.from} -> ${e.to}`), ['lib/d.js -> lib/e.js', 'lib/e.js -> lib/d.js']);
+    assert.deepEqual(json.externals, []);
+    
+    assert.throws(() => runtime.exportDependencyGraph('svg'), /Unknown graph format: svg/);
+});
+
+test('deps:export writes the graph relative to the project root', async () => {
+    const runtime = await track(CYCLIC);
+    const text = await quietly(() => runtime.executeLine('deps:export --format json --output graphs/deps.json --includeExternal'));
+    
+    assert.equal(await runtime.fs.readFile('/app/graphs/deps.json'), text);
+    assert.deepEqual(JSON.parse(text).externals, [{ name: 'lodash', importedBy: ['a.js'] }]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRuntime, track } from './helpers.mjs';
+
+test('extensions outrank content signatures from other languages', async () => {
+    const runtime = await createRuntime();
+    const detection = runtime.detectLanguage('app.js', "import x from 'y';\nlet v: number = 1;\nfunc foo(");
+    
+    assert.equal(detection.language, 'javascript');
+    assert.equal(detection.confidence, 0.8);
+    assert.equal(detection.overridden, false);
+    assert.deepEqual(detection.candidates[0].evidence, [{ source: 'extension', value: '.js', weight: 0.8 }]);
+    assert.ok(detection.candidates.slice(1).every(c => c.confidence < 0.8));
+});
+
+test('shebangs, modelines and filenames identify files without a useful extension', async () => {
+    const runtime = await createRuntime();
+    const guess = (path, content) => {
+        const { language, confidence, candidates } = runtime.detectLanguage(path, content);
+        return [language, confidence, candidates[0].evidence[0].source];
+    };
+    
+    assert.deepEqual(guess('tool', '#!/usr/bin/env python3.11\nprint(1)\n'), ['python', 0.93, 'shebang']);
+    assert.deepEqual(guess('notes.txt', '# vim: set ft=ruby:\nputs 1\n'), ['ruby', 0.95, 'modeline']);
+    assert.deepEqual(guess('build', 'run()\n# -*- mode: ruby -*-\n'), ['ruby', 0.95, 'modeline']);
+    assert.deepEqual(guess('Dockerfile', 'FROM node'), ['docker', 0.9, 'filename']);
+    assert.deepEqual(guess('types.h', '#include <stdio.h>'), ['cpp', 0.86, 'extension']);
+});
+
+test('content alone gives a low-confidence guess, and nothing falls back to text', async () => {
+    const runtime = await createRuntime();
+    const mystery = runtime.detectLanguage('mystery', 'def foo(x):\n    return x\n');
+    
+    assert.deepEqual([mystery.language, mystery.confidence], ['python', 0.3]);
+    assert.deepEqual(runtime.detectLanguage('empty', ''), { language: 'text', confidence: 0, overridden: false, candidates: [] });
+});
+
+test('languageOverrides win over evidence and are stored on tracked files', async () => {
+    const runtime = await track({
+        '/app/legacy/page.inc': '<?php echo 1;',
+        '/app/src/page.inc': '<?php echo 1;'
+    }, { languageOverrides: { 'legacy/*.inc': 'php' } });
+    const legacy = runtime.trackedFiles.get('/app/legacy/page.inc');
+    
+    assert.equal(legacy.language, 'php');
+    assert.deepEqual([legacy.languageDetection.confidence, legacy.languageDetection.overridden, legacy.languageDetection.override], [1, true, 'legacy/*.inc']);
+    assert.equal(runtime.trackedFiles.get('/app/src/page.inc').languageDetection.overridden, false);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { track } from './helpers.mjs';
+
+const reasons = (runtime) => Object.fromEntries([...runtime.skippedFiles.values()].map(entry => [entry.path, entry.reason]));
+
+test('discovery honours ignore files, globs and generated or binary files', async () => {
+    const runtime = await track({
+        '/app/.gitignore': 'logs/\n*.tmp\n!keep.tmp\n',
+        '/app/src/.gitignore': 'local.js\n',
+        '/app/src/main.js': 'export const main = 1;\n',
+        '/app/src/local.js': 'export const local = 1;\n',
+        '/app/src/vendor.min.js': 'var a=1;\n',
+        '/app/logs/today.js': 'log();\n',
+        '/app/scratch.tmp': 'x\n',
+        '/app/keep.tmp': 'x\n',
+        '/app/logo.png': 'PNG\n',
+        '/app/package-lock.json': '{}\n',
+        '/app/node_modules/dep/index.js': 'module.exports = 1;\n',
+        '/app/docs/guide.md': '# Guide\n',
+        '/app/data.js': 'const blob = "\u0000\u0001";\n'
+    }, { exclude: ['docs/**'] });
+    
+    assert.deepEqual([...runtime.trackedFiles.keys()].sort(), ['/app/.gitignore', '/app/keep.tmp', '/app/src/.gitignore', '/app/src/main.js']);
+    assert.deepEqual(reasons(runtime), {
+        '/app/data.js': 'binary',
+        '/app/docs/guide.md': 'excluded',
+        '/app/logo.png': 'binary',
+        '/app/package-lock.json': 'generated',
+        '/app/scratch.tmp': 'ignored',
+        '/app/src/local.js': 'ignored',
+        '/app/src/vendor.min.js': 'generated'
+    });
+});
+
+test('include globs and the size limit narrow what is tracked', async () => {
+    const runtime = await track({
+        '/app/src/a.ts': 'export const a = 1;\n',
+        '/app/src/b.js': 'export const b = 1;\n',
+        '/app/src/big.ts': `export const big = "${'x'.repeat(200)}";\n`
+    }, { include: ['src/**/*.ts'], maxFileSize: 100 });
+    
+    assert.deepEqual([...runtime.trackedFiles.keys()], ['/app/src/a.ts']);
+    assert.deepEqual(reasons(runtime), { '/app/src/b.js': 'excluded', '/app/src/big.ts': 'too-large' });
+});
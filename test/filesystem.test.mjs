@@ -0,0 +1,103 @@
+// Runs every filesystem backend through the adapter contract: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runFileSystemConformance, FS_CONFORMANCE_FIXTURE } from '../runtime.js';
+import { createRuntime, tempDir } from './helpers.mjs';
+
+const assertConformant = (report) => {
+    const failures = report.failures.map(f => `${f.name}: ${f.error}`);
+    assert.deepEqual(failures, []);
+    assert.equal(report.passed, true);
+    return report.results.map(r => r.name);
+};
+
+test('the Node backend passes the conformance suite on disk', async (t) => {
+    const root = await tempDir(t, 'cmmands-fs-');
+    const runtime = await createRuntime({});
+    const checks = assertConformant(await runFileSystemConformance(runtime.fs, { root }));
+    assert.ok(checks.some(name => name.startsWith('writeFile')), 'the write checks did not run');
+});
+
+test('the in-memory backend passes the conformance suite', async () => {
+    const runtime = await createRuntime();
+    assertConformant(await runFileSystemConformance(runtime.fs));
+});
+
+test('a read-only adapter passes once normalized, exists() included', async () => {
+    // Minimal adapter serving the fixture: no exists(), no write methods
+    const root = '/cmmands-conformance';
+    const files = new Map(Object.entries(FS_CONFORMANCE_FIXTURE).map(([p, content]) => [`${root}/${p}`, content]));
+    const isDir = (p) => [...files.keys()].some(file => file.startsWith(`${p}/`));
+    const stat = (p) => ({
+        isDirectory: () => isDir(p),
+        size: files.get(p)?.length ?? 0,
+        mtime: new Date(),
+        ctime: new Date()
+    });
+    const adapter = {
+        readFile: async (p) => files.get(p) ?? '',
+        stat: async (p) => stat(p),
+        readdir: async (dir) => {
+            const names = new Set();
+            for (const file of files.keys()) {
+                if (file.startsWith(`${dir}/`)) names.add(file.slice(dir.length + 1).split('/')[0]);
+            }
+            return [...names].map(name => ({ name, isDirectory: isDir(`${dir}/${name}`), path: `${dir}/${name}` }));
+        }
+    };
+    
+    const runtime = await createRuntime({ fs: adapter });
+    assert.equal(runtime.fs.readOnly, true);
+    const checks = assertConformant(await runFileSystemConformance(runtime.fs));
+    assert.ok(checks.some(name => name.startsWith('exists')), 'the derived exists() was not checked');
+});
+
+test('the conformance suite reports a broken adapter', async () => {
+    const broken = {
+        readFile: async () => { throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' }); },
+        readdir: async () => [],
+        stat: async () => ({ isDirectory: () => false, size: 0, mtime: new Date() })
+    };
+    
+    const report = await runFileSystemConformance(broken, { readOnly: true });
+    assert.equal(report.passed, false);
+    assert.ok(report.failures.some(f => /missing file/.test(f.name)));
+});
+
+test('the in-memory backend imports and exports snapshots', async () => {
+    const runtime = await createRuntime({ files: { 'app\\src\\a.js': 'a', '/app/./b.js': 'b' } });
+    const fs = runtime.fs;
+    assert.deepEqual(fs.exportSnapshot(), { '/app/b.js': 'b', '/app/src/a.js': 'a' });
+    assert.deepEqual((await fs.readdir('/app')).map(e => [e.name, e.isDirectory]), [['b.js', false], ['src', true]]);
+    
+    assert.equal(fs.importSnapshot({ '/app/c.js': 'c' }, { merge: true }), 3);
+    assert.equal(await fs.readFile('/app/c.js'), 'c');
+    
+    assert.equal(fs.importSnapshot({ '/other/d.js': 4 }), 1);
+    assert.deepEqual(fs.exportSnapshot(), { '/other/d.js': '4' });
+    assert.equal(await fs.exists('/app'), false);
+});
+
+test('in-memory watchers see writes below the watched directory', async () => {
+    const runtime = await createRuntime({ files: { '/app/README.md': '' } });
+    const events = [];
+    const shallow = runtime.fs.watch('/app', (type, name) => events.push(['shallow', type, name]));
+    const deep = runtime.fs.watch('/app', (type, name) => events.push(['deep', type, name]), { recursive: true });
+    
+    await runtime.fs.writeFile('/app/a.js', '1');
+    await runtime.fs.writeFile('/app/a.js', '2');
+    await runtime.fs.writeFile('/app/lib/b.js', '1');
+    shallow.close();
+    deep.close();
+    await runtime.fs.unlink('/app/a.js');
+    
+    assert.deepEqual(events, [
+        ['shallow', 'rename', 'a.js'],
+        ['deep', 'rename', 'a.js'],
+        ['shallow', 'change', 'a.js'],
+        ['deep', 'change', 'a.js'],
+        ['shallow', 'rename', 'lib'],
+        ['deep', 'rename', 'lib'],
+        ['deep', 'rename', 'lib/b.js']
+    ]);
+});
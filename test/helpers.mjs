@@ -0,0 +1,40 @@
+// Shared by the suites in this directory: node --test test/
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CmmandsUniversal } from '../runtime.js';
+
+// The runtime narrates everything it does; tests only want their own output
+export const quietly = async (fn) => {
+    const log = console.log;
+    const error = console.error;
+    console.log = () => {};
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+};
+
+export const createRuntime = (options = { files: {} }) => quietly(() => new CmmandsUniversal(options));
+
+// Tracks a seeded project (an object of files under /app) or a directory on disk, and stops the
+// watcher tracking starts so the test process can exit
+export const track = async (project, options = {}) => {
+    const seeded = typeof project !== 'string';
+    const runtime = await createRuntime({ ...(seeded && { files: project }), cache: false, ...options });
+    await quietly(() => runtime.startTracking(seeded ? '/app' : project));
+    runtime.stopWatching();
+    return runtime;
+};
+
+export const analysisOf = (runtime, filePath) => runtime.trackedFiles.get(filePath).analysis;
+
+// A scratch directory removed when the test ends
+export const tempDir = async (t, prefix = 'cmmands-') => {
+    const dir = await mkdtemp(join(tmpdir(), prefix));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+};
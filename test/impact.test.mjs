@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, track } from './helpers.mjs';
+
+const PROJECT = {
+    '/app/package.json': JSON.stringify({ main: 'main.js' }),
+    '/app/main.js': "import { a } from './lib.js';\nconsole.log(a);\n",
+    '/app/lib.js': "export const a = 1;\nexport const b = 'x,y'.split(',');\n",
+    '/app/dead.js': "export const parts = (s) => s.split(',');\n",
+    '/app/app/init.js': "import { a } from '../lib.js';\nexport function init() { return a; }\ninit();\n",
+    '/app/lib.test.js': "import { a } from './lib.js';\ntest('a', () => {});\n",
+    '/app/__tests__/smoke.js': "import { a } from '../lib.js';\n",
+    '/app/tools/check.py': 'import sys\n',
+    '/app/tools/test_check.py': 'import check\n'
+};
+
+test('calls such as split( or init( do not make a file a test entry point', async () => {
+    const runtime = await track(PROJECT);
+    const unused = await quietly(() => runtime.executeCommand('deps:unused'));
+    
+    assert.deepEqual(unused.entryPoints, ['/app/__tests__/smoke.js', '/app/lib.test.js', '/app/main.js', '/app/tools/test_check.py']);
+    assert.deepEqual(unused.files, ['/app/app/init.js', '/app/dead.js']);
+    assert.deepEqual(unused.exports.map(e => `${e.file}:${e.name}`), ['/app/lib.js:b']);
+});
+
+test('impact lists every importer by distance and only real tests as tests', async () => {
+    const runtime = await track({
+        ...PROJECT,
+        '/app/feature.js': "import { init } from './app/init.js';\nexport const start = () => init();\n"
+    });
+    const impact = runtime.getImpact('/app/lib.js');
+    
+    assert.equal(impact.total, 5);
+    assert.deepEqual(impact.levels.map(level => [level.distance, level.files.map(f => f.path)]), [
+        [1, ['/app/__tests__/smoke.js', '/app/app/init.js', '/app/lib.test.js', '/app/main.js']],
+        [2, ['/app/feature.js']]
+    ]);
+    assert.deepEqual(impact.tests, ['/app/__tests__/smoke.js', '/app/lib.test.js']);
+    assert.ok(!impact.tests.includes('/app/app/init.js'), 'a module calling init( is not a test');
+});
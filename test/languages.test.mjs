@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, createRuntime, track, analysisOf } from './helpers.mjs';
+
+const GO = {
+    id: 'go',
+    version: '1',
+    extensions: ['go'],
+    filenames: ['go.mod'],
+    detect: /^package \w+/m,
+    analyze: async (content) => ({
+        functions: [...content.matchAll(/^func (\w+)\(/gm)].map(match => {
+            const line = content.slice(0, match.index).split('\n').length;
+            return { name: match[1], line, endLine: line + 2 };
+        })
+    }),
+    dependencies: (content) => [...content.matchAll(/^import "(.+)"/gm)].map(match => match[1]),
+    complexityRules: [/\bif\b/, 'for\\b']
+};
+
+test('a registered language supplies functions, dependencies and complexity', async () => {
+    const runtime = await track({
+        '/app/main.go': 'package main\nimport "./util"\nfunc main() {\n    if ok { for {} }\n}\n',
+        '/app/util.go': 'package util\nfunc Help() {}\n'
+    }, { languages: [GO] });
+    const main = runtime.trackedFiles.get('/app/main.go');
+    
+    assert.equal(main.language, 'go');
+    assert.deepEqual(analysisOf(runtime, '/app/main.go').functions.map(f => [f.name, f.line, f.metrics.cyclomatic]), [['main', 3, 3]]);
+    assert.deepEqual(runtime.dependencyGraph.get('/app/main.go').imports.map(i => [i.specifier, i.resolved]), [['./util', '/app/util.go']]);
+});
+
+test('built-in languages live in the same registry and can be replaced', async () => {
+    const runtime = await createRuntime();
+    assert.equal(runtime.languages.get('python').builtin, true);
+    assert.equal(runtime.languages.get('go').builtin, true);
+    
+    const id = await quietly(() => runtime.registerLanguage(GO));
+    const go = runtime.languages.get('go');
+    assert.equal(id, 'go');
+    assert.equal(go.builtin, false);
+    assert.deepEqual([go.extensions, go.filenames], [['.go'], ['go.mod']]);
+});
+
+test('malformed definitions are rejected with the offending field', async () => {
+    const runtime = await createRuntime();
+    const rejects = (definition, message) => assert.throws(() => runtime.registerLanguage(definition), { message });
+    
+    rejects({}, 'Language definition needs a string `id`');
+    rejects({ id: 'x', extensions: 'x' }, 'Language x: `extensions` must be an array of strings');
+    rejects({ id: 'x', analyze: 1 }, 'Language x: `analyze` must be a function');
+    rejects({ id: 'x', detect: 'x' }, 'Language x: `detect` must be a RegExp or a function');
+    rejects({ id: 'x', complexityRules: [1] }, 'Language x: `complexityRules` must be an array of RegExps or strings');
+});
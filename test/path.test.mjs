@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { posix } from 'node:path';
+import { createRuntime } from './helpers.mjs';
+
+const { path } = await createRuntime();
+
+test('POSIX paths behave like node:path', () => {
+    const cases = ['/a/b/../c/./d.js', 'a//b/', '../x/../../y', '/', '.', 'a/b/.hidden', '/dir/file.tar.gz', 'x/..'];
+    for (const p of cases) {
+        assert.equal(path.normalize(p), posix.normalize(p), `normalize(${p})`);
+        assert.equal(path.dirname(p), posix.dirname(p), `dirname(${p})`);
+        assert.equal(path.basename(p), posix.basename(p), `basename(${p})`);
+        assert.equal(path.extname(p), posix.extname(p), `extname(${p})`);
+    }
+    assert.equal(path.join('/a', 'b', '../c', 'd/'), posix.join('/a', 'b', '../c', 'd/'));
+    assert.equal(path.resolve('/a/b', '../c', './d'), '/a/c/d');
+    assert.equal(path.relative('/a/b/c', '/a/d/e'), '../../d/e');
+    assert.deepEqual(path.parse('/home/u/file.txt'), posix.parse('/home/u/file.txt'));
+    assert.equal(path.format({ dir: '/x', name: 'y', ext: '.js' }), '/x/y.js');
+});
+
+test('Windows paths and URLs become POSIX paths', () => {
+    assert.equal(path.normalize('c:\\Users\\me\\..\\app\\main.js'), 'C:/Users/app/main.js');
+    assert.equal(path.isAbsolute('C:\\x'), true);
+    assert.equal(path.dirname('C:\\x'), 'C:/');
+    assert.equal(path.relative('C:/a', 'D:/b'), 'D:/b');
+    assert.equal(path.toPosix('file:///home/me/My%20App/index.html'), '/home/me/My App/index.html');
+    assert.equal(path.resolve('https://example.com/app/page?x=1', '../lib.js'), '/app/lib.js');
+});
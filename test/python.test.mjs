@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { track, analysisOf } from './helpers.mjs';
+
+const MODELS = [
+    '"""Shape models."""',
+    'import os, sys as system',
+    'from typing import (',
+    '    List,',
+    '    Optional,',
+    ')',
+    'from . import util',
+    'from .util import helper',
+    'TEXT = "import fake"  # from nowhere import nothing',
+    '',
+    '@dataclass(frozen=True)',
+    'class Shape(Base, metaclass=ABCMeta):',
+    '    """A shape."""',
+    '',
+    '    @property',
+    '    def area(self) -> float:',
+    '        return 0.0',
+    '',
+    '    async def load(self,',
+    '                   path: str,',
+    '                   *, retries: int = 3) -> Optional["Shape"]:',
+    '        """Load it."""',
+    '        return None',
+    '',
+    'def top(items: List[int]) -> int:',
+    '    return sum(items)'
+].join('\n') + '\n';
+
+const PROJECT = {
+    '/app/pkg/__init__.py': 'from .models import Shape\n',
+    '/app/pkg/models.py': MODELS,
+    '/app/pkg/util.py': 'def helper():\n    pass\n',
+    '/app/main.py': 'import pkg.models\nfrom pkg import util\nimport requests\n'
+};
+
+test('classes keep their bases, decorators, docstrings and methods', async () => {
+    const runtime = await track(PROJECT);
+    const [shape] = analysisOf(runtime, '/app/pkg/models.py').classes;
+    
+    assert.equal(shape.name, 'Shape');
+    assert.deepEqual(shape.bases, ['Base']);
+    assert.deepEqual(shape.keywords, { metaclass: 'ABCMeta' });
+    assert.deepEqual(shape.decorators, ['dataclass(frozen=True)']);
+    assert.equal(shape.docstring, 'A shape.');
+    assert.deepEqual(shape.methods, ['area', 'load']);
+    assert.deepEqual([shape.line, shape.endLine], [12, 23]);
+});
+
+test('functions span multi-line signatures with type hints and decorators', async () => {
+    const runtime = await track(PROJECT);
+    const functions = analysisOf(runtime, '/app/pkg/models.py').functions;
+    
+    assert.deepEqual(functions.map(f => [f.name, f.kind, f.className, f.async, f.returnType, f.decorators]), [
+        ['area', 'getter', 'Shape', false, 'float', ['property']],
+        ['load', 'method', 'Shape', true, 'Optional["Shape"]', []],
+        ['top', 'function', null, false, 'int', []]
+    ]);
+    const load = functions[1];
+    assert.deepEqual(load.params, ['path', 'retries']);
+    assert.deepEqual(load.paramDetails.map(p => [p.name, p.type, p.optional, p.default ?? null]), [['path', 'str', false, null], ['retries', 'int', true, '3']]);
+    assert.equal(load.docstring, 'Load it.');
+    assert.deepEqual([load.line, load.endLine], [19, 23]);
+});
+
+test('imports are parsed from code only and resolve to tracked modules', async () => {
+    const runtime = await track(PROJECT);
+    const imports = analysisOf(runtime, '/app/pkg/models.py').imports;
+    
+    assert.deepEqual(imports.map(i => [i.source, i.specifiers.map(s => `${s.kind}:${s.imported ?? ''}:${s.local}`)]), [
+        ['os', ['namespace::os']],
+        ['sys', ['namespace::system']],
+        ['typing', ['named:List:List', 'named:Optional:Optional']],
+        ['.', ['named:util:util']],
+        ['.util', ['named:helper:helper']]
+    ]);
+    
+    const resolved = (path) => runtime.dependencyGraph.get(path).imports.map(i => [i.specifier, i.resolved]);
+    assert.deepEqual(resolved('/app/main.py'), [
+        ['pkg.models', '/app/pkg/models.py'],
+        ['pkg', '/app/pkg/__init__.py'],
+        ['pkg.util', '/app/pkg/util.py'],
+        ['requests', null]
+    ]);
+    assert.deepEqual(resolved('/app/pkg/__init__.py'), [['.models', '/app/pkg/models.py'], ['.models.Shape', null]]);
+    assert.deepEqual(Array.from(runtime.dependencyGraph.get('/app/pkg/util.py').dependents).sort(), ['/app/main.py', '/app/pkg/models.py']);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quietly, createRuntime, track } from './helpers.mjs';
+
+const rulesOn = (findings, line) => findings.filter(f => f.line === line).map(f => f.ruleId).sort();
+
+test('a leading block suppression only silences the rules it names', async () => {
+    const runtime = await createRuntime();
+    const findings = runtime.security.scan([
+        '/* cmmands-ignore security/eval */ eval(x); el.innerHTML = y;',
+        '/* cmmands-ignore */ eval(x); el.innerHTML = y;',
+        '/* cmmands-ignore security/eval */',
+        'eval(x); el.innerHTML = y;',
+        'el.innerHTML = y; // cmmands-ignore security/inner-html eval('
+    ].join('\n'));
+    
+    assert.deepEqual(rulesOn(findings, 1), ['security/inner-html']);
+    assert.deepEqual(rulesOn(findings, 2), []);
+    assert.deepEqual(rulesOn(findings, 4), ['security/inner-html']);
+    assert.deepEqual(rulesOn(findings, 5), []);
+});
+
+test('security fixes apply to the file as it is now', async () => {
+    const runtime = await track({ '/app/api.js': 'const url = "http://example.com/api";\n' }, { permissions: { confirm: () => true } });
+    
+    // Edited after the fix command was generated: a line was added above the finding
+    await runtime.fs.writeFile('/app/api.js', '// endpoints\nconst url = "http://example.com/api";\nconst keep = 1;\n');
+    const name = runtime.getCommands({ search: 'security:fix' })[0].name;
+    const result = await quietly(() => runtime.executeCommand(name));
+    
+    assert.equal(result.fixed, true);
+    assert.equal(result.line, 2);
+    assert.equal(await runtime.fs.readFile('/app/api.js'), '// endpoints\nconst url = "https://example.com/api";\nconst keep = 1;\n');
+    
+    const again = await quietly(() => runtime.executeCommand(name));
+    assert.equal(again.fixed, false);
+    assert.equal(again.stale, true);
+});
+
+test('rules ignore comments and string literals unless they look for literal values', async () => {
+    const runtime = await createRuntime();
+    const findings = runtime.security.scan([
+        "// don't use eval( here, and never new Function(",
+        'const help = "call eval(x) only in tests";',
+        '/* el.innerHTML = y */ run(x);',
+        'const url = "http://example.com"; // see http://example.org',
+        'eval(x);'
+    ].join('\n'));
+    assert.deepEqual(findings.map(f => [f.line, f.ruleId]), [[4, 'security/insecure-http'], [5, 'security/eval']]);
+    
+    const python = runtime.security.scan('# eval(payload) is unsafe\nprint("eval(x)")  # eval(y)\nvalue = eval(text)\n', { language: 'python' });
+    assert.deepEqual(python.map(f => [f.line, f.ruleId]), [[3, 'security/eval']]);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CmmandsUniversal } from '../runtime.js';
+
+test('a cancelled tracking run is not reported as a failure', async () => {
+    const log = console.log;
+    const error = console.error;
+    const errors = [];
+    console.log = () => {};
+    console.error = (...args) => errors.push(args);
+    try {
+        const runtime = new CmmandsUniversal({ files: { '/app/a.js': 'export const a = 1;\n' }, cache: false });
+        const controller = new AbortController();
+        controller.abort();
+        
+        await assert.rejects(runtime.startUniversalTracking('/app', { signal: controller.signal }), { name: 'AbortError' });
+        assert.deepEqual(errors, []);
+        assert.equal(runtime.trackedFiles.size, 0);
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+});
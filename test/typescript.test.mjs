@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { track, analysisOf } from './helpers.mjs';
+
+const SHAPES = [
+    'export interface Shape<T> extends Named { area(): T; readonly sides?: number; }',
+    'interface Named { name: string }',
+    'export type Pair<A, B = A> = [A, B];',
+    "export const enum Color { Red, Green = 'g' }",
+    'export abstract class Base {}',
+    "export class Sq<T> extends Base implements Shape<T>, Named { name = 'sq'; area(): T { return null as T; } }",
+    'class Keyed extends Map<string, Array<number>> implements Named { name = "keyed"; }'
+].join('\n') + '\n';
+
+test('class heritage keeps extends and implements apart', async () => {
+    const runtime = await track({ '/app/shapes.ts': SHAPES });
+    const classes = analysisOf(runtime, '/app/shapes.ts').classes;
+    
+    assert.deepEqual(classes.map(c => [c.name, c.typeParameters ?? null, c.extends ?? null, c.implements ?? null, c.abstract]), [
+        ['Base', null, null, null, true],
+        ['Sq', '<T>', 'Base', ['Shape<T>', 'Named'], false],
+        ['Keyed', null, 'Map<string, Array<number>>', ['Named'], false]
+    ]);
+});
+
+test('interfaces, type aliases and enums are recorded with their type parameters', async () => {
+    const runtime = await track({ '/app/shapes.ts': SHAPES });
+    const { interfaces, typeAliases, enums } = analysisOf(runtime, '/app/shapes.ts').types;
+    
+    assert.deepEqual(interfaces.map(i => [i.name, i.typeParameters ?? null, i.extends, i.exported]), [
+        ['Shape', '<T>', ['Named'], true],
+        ['Named', null, [], false]
+    ]);
+    assert.deepEqual(interfaces[0].members.map(m => [m.name, m.kind, m.returnType ?? m.type, m.optional, Boolean(m.readonly)]), [
+        ['area', 'method', 'T', false, false],
+        ['sides', 'property', 'number', true, true]
+    ]);
+    assert.deepEqual(typeAliases.map(a => [a.name, a.typeParameters, a.type]), [['Pair', '<A, B = A>', '[A, B]']]);
+    assert.deepEqual(enums.map(e => [e.name, e.const, e.members.map(m => [m.name, m.value ?? null])]), [['Color', true, [['Red', null], ['Green', "'g'"]]]]);
+});
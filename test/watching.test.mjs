@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { quietly, createRuntime } from './helpers.mjs';
+
+const watch = async (files) => {
+    const runtime = await createRuntime({ files, cache: false, watchDebounce: 20 });
+    await quietly(() => runtime.startTracking('/app'));
+    const batches = [];
+    const apply = runtime._applyFileChanges;
+    runtime._applyFileChanges = async (paths) => {
+        batches.push(paths);
+        return quietly(() => apply.call(runtime, paths));
+    };
+    return { runtime, batches };
+};
+
+test('a burst of saves is re-analyzed as one batch', async (t) => {
+    const { runtime, batches } = await watch({
+        '/app/a.js': "import { c } from './c.js';\nexport const a = c;\n",
+        '/app/c.js': 'export const c = 1;\n'
+    });
+    t.after(() => runtime.stopWatching());
+    const changes = [];
+    runtime.on('file:changed', (event) => changes.push([event.path, event.type]));
+    
+    await runtime.fs.writeFile('/app/a.js', 'export const a = 1;\n');
+    await runtime.fs.writeFile('/app/a.js', 'export const a = 2;\nexport function twice(x) { return x * 2; }\n');
+    await runtime.fs.writeFile('/app/b.js', 'export const b = 1;\n');
+    await runtime.fs.unlink('/app/c.js');
+    await delay(100);
+    
+    assert.deepEqual(batches, [['/app/a.js', '/app/b.js', '/app/c.js']]);
+    assert.deepEqual(changes, [['/app/a.js', 'changed'], ['/app/b.js', 'added']]);
+    assert.deepEqual([...runtime.trackedFiles.keys()].sort(), ['/app/a.js', '/app/b.js']);
+    assert.deepEqual(runtime.trackedFiles.get('/app/a.js').analysis.functions.map(f => f.name), ['twice']);
+    assert.deepEqual([...runtime.dependencyGraph.get('/app/a.js').dependencies], []);
+});
+
+test('saves after the debounce window form a new batch, and nothing is queued once stopped', async () => {
+    const { runtime, batches } = await watch({ '/app/a.js': 'export const a = 1;\n' });
+    
+    await runtime.fs.writeFile('/app/a.js', 'export const a = 2;\n');
+    await delay(60);
+    await runtime.fs.writeFile('/app/a.js', 'export const a = 3;\n');
+    await delay(60);
+    runtime.stopWatching();
+    await runtime.fs.writeFile('/app/a.js', 'export const a = 4;\n');
+    await delay(60);
+    
+    assert.deepEqual(batches, [['/app/a.js'], ['/app/a.js']]);
+});